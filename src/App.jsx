@@ -1,180 +1,209 @@
-import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
-import * as tf from '@tensorflow/tfjs'
-import * as faceDetection from '@tensorflow-models/face-detection'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import { createClient } from '@supabase/supabase-js'
+import AnalysisDiagnostics from './components/AnalysisDiagnostics.jsx'
+import CameraCapture from './components/CameraCapture.jsx'
+import FeedbackControl from './components/FeedbackControl.jsx'
+import ConsensusBreakdown from './components/ConsensusBreakdown.jsx'
+import HistoryCompare from './components/HistoryCompare.jsx'
+import HistoryPanel from './components/HistoryPanel.jsx'
+import ModelSelector from './components/ModelSelector.jsx'
+import MstDistribution from './components/MstDistribution.jsx'
+import PrivacySettings from './components/PrivacySettings.jsx'
+import ReportActions from './components/ReportActions.jsx'
+import SharedResultView from './components/SharedResultView.jsx'
+import TryOnPreview from './components/TryOnPreview.jsx'
+import WardrobeChecker from './components/WardrobeChecker.jsx'
+import {
+  ANALYSIS_STAGES,
+  BEAUTY_CATEGORIES,
+  MAIN_THREAD_BACKEND_CANDIDATES,
+  MST_COLORS,
+  QualityGateError,
+  TTA_VARIANTS,
+  classifySeason,
+  estimateUndertone,
+  formatModelVersion,
+  generateHarmonyPalette,
+  getBeautyRecommendations,
+  getEnsembleOptions,
+  getModelAnalysisOptions,
+  getSeasonRecommendations,
+  labToRgb,
+  loadFaceDetector,
+  loadModelManifest,
+  rgbToHex,
+  selectModel,
+  sumTimings,
+} from './analysis/index.js'
+import { useI18n } from './i18n/context.js'
+import { LOCALE_NAMES, SUPPORTED_LOCALES } from './i18n/index.js'
+import { downloadBlob, readSharedResultFromHash } from './report/index.js'
+import {
+  addFeedbackEntry,
+  createFeedbackEntry,
+  exportFeedbackDataset,
+  listFeedbackEntries,
+  updateFeedbackEntry,
+} from './storage/feedback.js'
+import { stripImageMetadata } from './storage/metadata.js'
+import { loadModelPreference, readModelFromUrl, saveModelPreference } from './storage/models.js'
+import { loadPrivacySettings, savePrivacySettings } from './storage/privacy.js'
+import { listUploads, recordUpload, removeUploadRecords } from './storage/uploads.js'
+import { addHistoryEntry, clearHistory, createHistoryEntry, deleteHistoryEntry, listHistoryEntries } from './storage/history.js'
+import { analyzeInBackground, analyzeManyInBackground, warmUpAnalysis } from './workers/analysisClient.js'
+import { WASM_PATHS } from './workers/wasmPaths.js'
+
+const MODEL_MANIFEST_URL = `${import.meta.env.BASE_URL}models/manifest.json`
+
+const FACE_DETECTOR_URL = `${import.meta.env.BASE_URL}models/face_detection_short/model.json`
+
+const SHOW_MODEL_SELECTOR = import.meta.env.DEV || import.meta.env.VITE_SHOW_MODEL_SELECTOR === 'true' || Boolean(readModelFromUrl())
 
-const MST_COLORS = [
-  '#f6ede4',
-  '#f3e7db',
-  '#f7ead0',
-  '#eadaba',
-  '#d7bd96',
-  '#a07e56',
-  '#825c43',
-  '#604134',
-  '#3a312a',
-  '#292420',
+const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL
+const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY
+const SUPABASE_BUCKET = import.meta.env.VITE_SUPABASE_BUCKET
+const SUPABASE_FEEDBACK_TABLE = import.meta.env.VITE_SUPABASE_FEEDBACK_TABLE || 'mst_feedback'
+
+const NAV_SECTIONS = [
+  ['about', 'nav.about'],
+  ['analyzer', 'nav.analyzer'],
+  ['history', 'nav.history'],
+  ['how-it-works', 'nav.howItWorks'],
+  ['faq', 'nav.faq'],
 ]
 
-const CLASS_LABELS = [
-  'MST1',
-  'MST2',
-  'MST3',
-  'MST4',
-  'MST5',
-  'MST6',
-  'MST7',
-  'MST8',
-  'MST9',
-  'MST10',
-]
+const VEIN_OPTIONS = ['green', 'blue', 'mixed']
 
-const CLOTHING_RECOMMENDATIONS = {
-  light: {
-    recommended: [
-      { name: 'Navy Blue', hex: '#000080' },
-      { name: 'Royal Purple', hex: '#7851a9' },
-      { name: 'Emerald Green', hex: '#046307' },
-      { name: 'Burgundy', hex: '#800020' },
-      { name: 'Sapphire Blue', hex: '#0f52ba' },
-    ],
-    avoid: [
-      { name: 'Orange', hex: '#ffa500' },
-      { name: 'Bright Yellow', hex: '#ffff00' },
-      { name: 'Pastel Colors', hex: '#fadadd' },
-    ],
-  },
-  'light medium': {
-    recommended: [
-      { name: 'Teal', hex: '#008080' },
-      { name: 'Cobalt Blue', hex: '#0047ab' },
-      { name: 'Lavender', hex: '#e6e6fa' },
-      { name: 'Ruby Red', hex: '#9b111e' },
-      { name: 'Forest Green', hex: '#228b22' },
-    ],
-    avoid: [
-      { name: 'Brown', hex: '#5c4033' },
-      { name: 'Khaki', hex: '#c3b091' },
-      { name: 'Olive', hex: '#808000' },
-    ],
-  },
-  medium: {
-    recommended: [
-      { name: 'Coral', hex: '#ff7f50' },
-      { name: 'Turquoise', hex: '#40e0d0' },
-      { name: 'Olive Green', hex: '#556b2f' },
-      { name: 'Royal Blue', hex: '#4169e1' },
-      { name: 'Magenta', hex: '#c71585' },
-    ],
-    avoid: [
-      { name: 'Neon Colors', hex: '#39ff14' },
-      { name: 'White', hex: '#ffffff' },
-      { name: 'Black', hex: '#000000' },
-    ],
-  },
-  'medium deep': {
-    recommended: [
-      { name: 'Gold', hex: '#ffd700' },
-      { name: 'Mustard Yellow', hex: '#ffdb58' },
-      { name: 'Orange', hex: '#ffa500' },
-      { name: 'Kelly Green', hex: '#4cbb17' },
-      { name: 'Electric Blue', hex: '#7df9ff' },
-    ],
-    avoid: [
-      { name: 'Pastel Colors', hex: '#fadadd' },
-      { name: 'Beige', hex: '#f5f5dc' },
-      { name: 'Silver', hex: '#c0c0c0' },
-    ],
-  },
-  deep: {
-    recommended: [
-      { name: 'Bright Yellow', hex: '#ffff00' },
-      { name: 'Fuchsia', hex: '#ff00ff' },
-      { name: 'Lime Green', hex: '#32cd32' },
-      { name: 'Bright Orange', hex: '#ff4500' },
-      { name: 'Aqua', hex: '#00ffff' },
-    ],
-    avoid: [
-      { name: 'Dark Colors', hex: '#2f4f4f' },
-      { name: 'Brown', hex: '#5c4033' },
-      { name: 'Navy', hex: '#000080' },
-    ],
-  },
-}
+const JEWELRY_OPTIONS = ['gold', 'silver', 'both']
 
-const MODEL_URL = `${import.meta.env.BASE_URL}models/mobilenetv2_mst_model94/model.json`
+const FEATURE_CARDS = [
+  ['tshirt', 'clothing'],
+  ['paint-brush', 'palette'],
+  ['robot', 'ai'],
+]
 
-const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL
-const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY
-const SUPABASE_BUCKET = import.meta.env.VITE_SUPABASE_BUCKET
+const FAQ_ITEMS = ['accuracy', 'privacy', 'scale', 'clothing']
 
-const supabaseClient = SUPABASE_URL && SUPABASE_ANON_KEY ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null
-const FACE_DETECTOR_TIMEOUT_MS = 8000
-const DETECTION_MAX_SIZE = 640
-let backendReadyPromise = null
-
-const ensureBackendReady = async () => {
-  if (!backendReadyPromise) {
-    backendReadyPromise = (async () => {
-      try {
-        await tf.setBackend('webgl')
-      } catch {
-        await tf.setBackend('cpu')
-      }
-      if (tf.getBackend() !== 'webgl') {
-        await tf.setBackend('cpu')
-      }
-      await tf.ready()
-    })()
-  }
-  try {
-    await backendReadyPromise
-    return true
-  } catch {
-    return false
-  }
-}
+const loadLocalFaceDetector = () =>
+  loadFaceDetector(FACE_DETECTOR_URL, { candidates: MAIN_THREAD_BACKEND_CANDIDATES, wasmPaths: WASM_PATHS })
 
-const withTimeout = (promise, timeoutMs) =>
-  new Promise((resolve, reject) => {
-    const timeoutId = setTimeout(() => reject(new Error('Face detector timeout')), timeoutMs)
-    promise
-      .then((value) => {
-        clearTimeout(timeoutId)
-        resolve(value)
-      })
-      .catch((error) => {
-        clearTimeout(timeoutId)
-        reject(error)
-      })
-  })
+const supabaseClient = SUPABASE_URL && SUPABASE_ANON_KEY ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null
 
 function App() {
+  const { locale, setLocale, t, colorName, explain } = useI18n()
   const [navOpen, setNavOpen] = useState(false)
   const [selectedFile, setSelectedFile] = useState(null)
   const [previewUrl, setPreviewUrl] = useState('')
-  const [processedPreviewUrl, setProcessedPreviewUrl] = useState('')
-  const [results, setResults] = useState(null)
+  const [batchFiles, setBatchFiles] = useState([])
+  const [batchProgress, setBatchProgress] = useState(null)
+  const [resultObjectUrls, setResultObjectUrls] = useState([])
+  const [showSkinMask, setShowSkinMask] = useState(false)
+  const [faceResults, setFaceResults] = useState([])
+  const [selectedFaceIndex, setSelectedFaceIndex] = useState(0)
   const [loading, setLoading] = useState(false)
+  const [analysisStage, setAnalysisStage] = useState('')
   const [errorMessage, setErrorMessage] = useState('')
+  const [qualityIssues, setQualityIssues] = useState([])
   const [activeTab, setActiveTab] = useState('recommended')
   const [accordionOpen, setAccordionOpen] = useState([false, false, false, false])
   const [dragActive, setDragActive] = useState(false)
+  const [inputMode, setInputMode] = useState('upload')
+  const [historyEntries, setHistoryEntries] = useState([])
+  const [compareIds, setCompareIds] = useState([])
+  const [showCompare, setShowCompare] = useState(false)
+  const [undertoneHints, setUndertoneHints] = useState({ veins: null, jewelry: null })
+  const [recommendationCount, setRecommendationCount] = useState(8)
+  const [tryOnColors, setTryOnColors] = useState([])
+  const [sharedResult, setSharedResult] = useState(() => readSharedResultFromHash())
+  const [privacySettings, setPrivacySettings] = useState(loadPrivacySettings)
+  const [uploadRecords, setUploadRecords] = useState([])
+  const [feedbackCount, setFeedbackCount] = useState(0)
+  const [modelManifest, setModelManifest] = useState(null)
+  const [selectedModelId, setSelectedModelId] = useState(loadModelPreference)
+  const [accuracyMode, setAccuracyMode] = useState(false)
   const fileInputRef = useRef(null)
-  const modelRef = useRef(null)
-  const faceDetectorRef = useRef(null)
 
   useEffect(() => {
-    ensureBackendReady()
+    warmUpAnalysis({ detectorModelUrl: FACE_DETECTOR_URL })
+  }, [])
+
+  useEffect(() => {
+    const handleHashChange = () => setSharedResult(readSharedResultFromHash())
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [])
+
+  useEffect(() => {
+    loadModelManifest(MODEL_MANIFEST_URL)
+      .then(setModelManifest)
+      .catch(() => setModelManifest(null))
+  }, [])
+
+  useEffect(() => {
+    listFeedbackEntries()
+      .then((entries) => setFeedbackCount(entries.length))
+      .catch(() => setFeedbackCount(0))
+  }, [])
+
+  useEffect(() => {
+    listUploads()
+      .then(setUploadRecords)
+      .catch(() => setUploadRecords([]))
+  }, [])
+
+  useEffect(() => {
+    listHistoryEntries()
+      .then(setHistoryEntries)
+      .catch(() => setHistoryEntries([]))
+  }, [])
+
+  useEffect(() => {
     return () => {
       if (previewUrl) {
         URL.revokeObjectURL(previewUrl)
       }
-      if (processedPreviewUrl) {
-        URL.revokeObjectURL(processedPreviewUrl)
-      }
     }
-  }, [previewUrl, processedPreviewUrl])
+  }, [previewUrl])
+
+  useEffect(() => {
+    return () => resultObjectUrls.forEach((url) => URL.revokeObjectURL(url))
+  }, [resultObjectUrls])
+
+  useEffect(() => {
+    return () => batchFiles.forEach((entry) => URL.revokeObjectURL(entry.url))
+  }, [batchFiles])
+
+  const results = faceResults[selectedFaceIndex] ?? null
+  const { undertone, season, recommendations, beauty } = useMemo(() => {
+    if (!results) {
+      return { undertone: null, season: null, recommendations: null, beauty: null }
+    }
+    const nextUndertone = estimateUndertone(results.skinLab, undertoneHints)
+    const nextSeason = classifySeason({
+      expectedMst: results.expectedMst,
+      skinLab: results.skinLab,
+      undertone: nextUndertone,
+      features: results.features,
+    })
+    return {
+      undertone: nextUndertone,
+      season: nextSeason,
+      recommendations: results.skinRgb
+        ? generateHarmonyPalette(results.skinRgb, { undertone: nextUndertone, season: nextSeason, count: recommendationCount })
+        : getSeasonRecommendations(nextSeason),
+      beauty: getBeautyRecommendations({
+        skinLab: results.skinLab,
+        expectedMst: results.expectedMst,
+        undertone: nextUndertone,
+        season: nextSeason,
+      }),
+    }
+  }, [results, undertoneHints, recommendationCount])
+  const canTryOn = Boolean(results?.faceBox && previewUrl)
+  const ensembleSize = modelManifest
+    ? getEnsembleOptions(modelManifest, selectModel(modelManifest, selectedModelId).id).length + 1
+    : 1
+  const compareEntries = historyEntries.filter((entry) => compareIds.includes(entry.id))
 
   const mstScaleItems = useMemo(
     () =>
@@ -186,414 +215,372 @@ function App() {
     []
   )
 
-  const handleSelectFile = (file) => {
-    if (!file) {
-      return
-    }
+  const isValidImageFile = (file) => {
     if (!file.type.startsWith('image/')) {
-      window.alert('Please select a valid image file.')
-      return
+      window.alert(t('analyzer.invalidType', { name: file.name }))
+      return false
     }
     if (file.size > 5 * 1024 * 1024) {
-      window.alert('Image size exceeds 5MB limit.')
-      return
+      window.alert(t('analyzer.tooLarge', { name: file.name }))
+      return false
     }
-    setSelectedFile(file)
-    setResults(null)
+    return true
+  }
+
+  const resetResults = () => {
+    setFaceResults([])
     setErrorMessage('')
+    setQualityIssues([])
     setActiveTab('recommended')
-    if (previewUrl) {
-      URL.revokeObjectURL(previewUrl)
+    setTryOnColors([])
+  }
+
+  const handleSelectFile = (file) => {
+    if (!file || !isValidImageFile(file)) {
+      return
     }
+    setSelectedFile(file)
+    setBatchFiles([])
+    resetResults()
     const nextPreviewUrl = URL.createObjectURL(file)
     setPreviewUrl(nextPreviewUrl)
   }
 
+  const handleSelectFiles = (fileList) => {
+    const files = Array.from(fileList ?? []).filter(isValidImageFile)
+    if (files.length <= 1) {
+      handleSelectFile(files[0])
+      return
+    }
+    setSelectedFile(null)
+    setPreviewUrl('')
+    setBatchFiles(files.map((file) => ({ file, url: URL.createObjectURL(file) })))
+    resetResults()
+  }
+
+  const handleRemoveBatchFile = (index) => {
+    const remaining = batchFiles.filter((_, entryIndex) => entryIndex !== index)
+    if (remaining.length === 1) {
+      handleSelectFile(remaining[0].file)
+      return
+    }
+    setBatchFiles(remaining.map(({ file }) => ({ file, url: URL.createObjectURL(file) })))
+    resetResults()
+  }
+
   const handleFileChange = (event) => {
-    const file = event.target.files?.[0]
+    handleSelectFiles(event.target.files)
+    event.target.value = ''
+  }
+
+  const handleCameraCapture = (file) => {
     handleSelectFile(file)
+    setInputMode('upload')
   }
 
   const handleDrop = (event) => {
     event.preventDefault()
     setDragActive(false)
-    const file = event.dataTransfer.files?.[0]
-    handleSelectFile(file)
+    handleSelectFiles(event.dataTransfer.files)
+  }
+
+  const processAnalysis = async (file, analysis, timestamp, localPreviewUrl) => {
+    const baseName = file.name.replace(/\.[^/.]+$/, '')
+    const objectUrls = []
+    const entries = []
+    for (const [index, face] of analysis.faces.entries()) {
+      const processedLocalUrl = URL.createObjectURL(face.processedBlob)
+      const maskImageUrl = face.maskOverlayBlob ? URL.createObjectURL(face.maskOverlayBlob) : ''
+      objectUrls.push(processedLocalUrl, maskImageUrl)
+      const suffix = analysis.faces.length > 1 ? `_face${index + 1}` : ''
+      const processedBase = `processed/${timestamp}_${baseName}${suffix}.jpg`
+      await uploadToSupabase(face.processedBlob, processedBase, timestamp)
+      entries.push({
+        prediction: face.label,
+        confidence: face.confidence * 100,
+        probabilities: face.probabilities,
+        model: face.model,
+        backend: face.backend,
+        timings: face.timings,
+        stability: face.stability,
+        expectedMst: face.expectedMst,
+        uncertain: face.uncertain,
+        alternativeLabel: face.alternativeLabel,
+        mstColor: face.mstColor,
+        mstIndex: face.mstIndex,
+        imageUrl: localPreviewUrl,
+        processedImageUrl: processedLocalUrl,
+        thumbnailUrl: processedLocalUrl,
+        processedBlob: face.processedBlob,
+        maskImageUrl,
+        fileName: file.name,
+        faceDetected: face.faceDetected,
+        faceBox: face.faceBox,
+        sourceSize: face.sourceSize,
+        quality: face.quality,
+        colorCorrection: face.colorCorrection,
+        skin: face.skin,
+        skinToneGroup: face.skinToneGroup,
+        skinLab: face.skin?.color.lab ?? null,
+        skinRgb: face.skin?.color.rgb ?? null,
+        features: face.features,
+      })
+    }
+    const savedEntries = await Promise.all(
+      analysis.faces.map((face, index) =>
+        addHistoryEntry(
+          createHistoryEntry(face, {
+            fileName: file.name,
+            faceIndex: index,
+            faceCount: analysis.faces.length,
+            createdAt: timestamp,
+          })
+        ).catch(() => null)
+      )
+    )
+    setHistoryEntries((prev) => [...savedEntries.filter(Boolean).reverse(), ...prev])
+    return { entries, objectUrls: objectUrls.filter(Boolean) }
+  }
+
+  const getAnalysisModelOptions = async () => {
+    const manifest = await loadModelManifest(MODEL_MANIFEST_URL)
+    const model = selectModel(manifest, selectedModelId)
+    return {
+      ...getModelAnalysisOptions(model),
+      detectorModelUrl: FACE_DETECTOR_URL,
+      accuracyMode,
+      ensemble: accuracyMode ? getEnsembleOptions(manifest, model.id) : [],
+    }
   }
 
-  const handleAnalyze = async () => {
-    if (!selectedFile) {
+  const handleAnalyzeBatch = async () => {
+    const { analyses, consensus } = await analyzeManyInBackground(
+      batchFiles.map((entry) => entry.file),
+      { ...(await getAnalysisModelOptions()), qualityGate: 'warn', undertoneHints },
+      (stage, progress) => {
+        setAnalysisStage(stage)
+        setBatchProgress(progress)
+      }
+    )
+    const timestamp = Date.now()
+    const objectUrls = []
+    const images = []
+    for (const [index, analysis] of analyses.entries()) {
+      const processed = await processAnalysis(batchFiles[index].file, analysis, timestamp + index, batchFiles[index].url)
+      objectUrls.push(...processed.objectUrls)
+      images.push(processed.entries[analysis.primaryIndex])
+    }
+    setResultObjectUrls(objectUrls)
+    setFaceResults([
+      {
+        prediction: consensus.label,
+        confidence: consensus.confidence * 100,
+        probabilities: consensus.probabilities,
+        model: consensus.model,
+        backend: analyses[0]?.backend ?? null,
+        timings: sumTimings(analyses.map((analysis) => analysis.timings)),
+        expectedMst: consensus.expectedMst,
+        uncertain: consensus.uncertain,
+        alternativeLabel: consensus.alternativeLabel,
+        mstColor: consensus.mstColor,
+        mstIndex: consensus.mstIndex,
+        skinToneGroup: consensus.skinToneGroup,
+        skinLab: consensus.skin?.color.lab ?? null,
+        skinRgb: consensus.skin?.color.rgb ?? null,
+        features: consensus.features,
+        consensus,
+        images,
+      },
+    ])
+    setSelectedFaceIndex(0)
+  }
+
+  const handleAnalyze = async (qualityGate = 'block') => {
+    if (!selectedFile && batchFiles.length < 2) {
       return
     }
     setLoading(true)
+    setAnalysisStage('init')
     setErrorMessage('')
+    setQualityIssues([])
     try {
-      await new Promise((resolve) => setTimeout(resolve, 0))
-      const backendOk = await ensureBackendReady()
-      const timestamp = Date.now()
-      const { tensorInput, processedCanvas, luminance, faceDetected } = await createTensorFromFile(selectedFile)
-      if (!backendOk || !tensorInput) {
-        throw new Error('Backend atau input tensor tidak siap.')
+      if (batchFiles.length > 1) {
+        await handleAnalyzeBatch()
+        return
       }
-      const model = await loadModel()
-      const predictionTensor = model.predict(tensorInput)
-      const predictionData = await predictionTensor.data()
-      predictionTensor.dispose()
-      const prediction = getPrediction(predictionData)
-      const predictedLabel = prediction.predictedLabel
-      const confidence = prediction.confidence
-      if (tensorInput) {
-        tensorInput.dispose()
-      }
-      const adjustedLabel = adjustPredictionWithLuminance(predictedLabel, luminance)
-      const mstIndex = parseInt(adjustedLabel.replace('MST', ''), 10) - 1
-      const skinToneGroup = getSkinToneGroup(adjustedLabel)
-      const recommendations = CLOTHING_RECOMMENDATIONS[skinToneGroup]
-      const processedBlob = await canvasToBlob(processedCanvas)
-      const processedLocalUrl = URL.createObjectURL(processedBlob)
-      if (processedPreviewUrl) {
-        URL.revokeObjectURL(processedPreviewUrl)
-      }
-      setProcessedPreviewUrl(processedLocalUrl)
-      const uploadBase = `uploads/${timestamp}_${selectedFile.name}`
-      const processedBase = `processed/${timestamp}_${selectedFile.name.replace(/\.[^/.]+$/, '')}.jpg`
-      const imageUrl = await uploadToSupabase(selectedFile, uploadBase, selectedFile.type)
-      const processedUrl = await uploadToSupabase(processedBlob, processedBase, 'image/jpeg')
-      setResults({
-        prediction: adjustedLabel,
-        confidence: confidence * 100,
-        mstColor: MST_COLORS[mstIndex],
-        mstIndex,
-        imageUrl: imageUrl || previewUrl,
-        processedImageUrl: processedUrl || processedLocalUrl,
-        faceDetected,
-        skinToneGroup,
-        recommendations,
-      })
+      const timestamp = Date.now()
+      const analysis = await analyzeInBackground(
+        selectedFile,
+        { ...(await getAnalysisModelOptions()), qualityGate, undertoneHints },
+        setAnalysisStage
+      )
+      const { entries, objectUrls } = await processAnalysis(selectedFile, analysis, timestamp, previewUrl)
+      setResultObjectUrls(objectUrls)
+      setFaceResults(entries)
+      setSelectedFaceIndex(analysis.primaryIndex)
     } catch (error) {
+      if (error instanceof QualityGateError) {
+        const issues = error.quality.flatMap((entry) => entry.issues)
+        setQualityIssues(issues.filter((issue, index) => issues.findIndex((other) => other.check === issue.check) === index))
+        return
+      }
       const message = error instanceof Error ? error.message : String(error)
-      setErrorMessage(`Analisis gagal: ${message}`)
+      setErrorMessage(t('errors.analysisFailed', { message }))
     } finally {
       setLoading(false)
+      setAnalysisStage('')
+      setBatchProgress(null)
     }
   }
 
-  const normalizeInputLayerConfig = useCallback((value) => {
-    if (!value || typeof value !== 'object') {
-      return
-    }
-    if (Array.isArray(value)) {
-      value.forEach(normalizeInputLayerConfig)
-      return
+  const uploadToSupabase = async (blob, path, createdAt) => {
+    if (!supabaseClient || !SUPABASE_BUCKET || privacySettings.uploadMode !== 'processed') {
+      return null
     }
-    if (value.class_name === 'InputLayer' && value.config) {
-      if (value.config.batch_shape && !value.config.batch_input_shape) {
-        value.config.batch_input_shape = value.config.batch_shape
-      }
+    const cleanBlob = await stripImageMetadata(blob)
+    const { error } = await supabaseClient.storage.from(SUPABASE_BUCKET).upload(path, cleanBlob, {
+      contentType: cleanBlob.type || 'application/octet-stream',
+      upsert: true,
+    })
+    if (error) {
+      setErrorMessage((prev) => prev || t('errors.uploadFailed', { message: error.message }))
+      return null
     }
-    Object.values(value).forEach(normalizeInputLayerConfig)
-  }, [])
+    const record = { path, bucket: SUPABASE_BUCKET, createdAt }
+    await recordUpload(path, record).catch(() => null)
+    setUploadRecords((prev) => [...prev.filter((entry) => entry.path !== path), record])
+    return path
+  }
 
-  const normalizeInboundNodes = useCallback((value) => {
-    if (!value || typeof value !== 'object') {
-      return
+  const uploadFeedback = async (entry) => {
+    const path = await uploadToSupabase(entry.crop, `feedback/${entry.createdAt}_${entry.id}_${entry.correctedLabel}.jpg`, entry.createdAt)
+    if (!path) {
+      return false
     }
-    if (Array.isArray(value)) {
-      value.forEach(normalizeInboundNodes)
-      return
-    }
-    if (Array.isArray(value.inbound_nodes)) {
-      value.inbound_nodes = value.inbound_nodes.map((node) => {
-        if (Array.isArray(node)) {
-          return node
-        }
-        const args = node?.args
-        const history = Array.isArray(args) ? args[0]?.config?.keras_history : null
-        if (Array.isArray(history)) {
-          return [[history[0], history[1] ?? 0, history[2] ?? 0, {}]]
-        }
-        return []
-      })
+    const { error } = await supabaseClient.from(SUPABASE_FEEDBACK_TABLE).insert({
+      image_path: path,
+      corrected_label: entry.correctedLabel,
+      predicted_label: entry.predictedLabel,
+      confidence: entry.confidence,
+      expected_mst: entry.expectedMst,
+      probabilities: entry.probabilities,
+      model: formatModelVersion(entry.model),
+      created_at: new Date(entry.createdAt).toISOString(),
+    })
+    if (error) {
+      return false
     }
-    Object.values(value).forEach(normalizeInboundNodes)
-  }, [])
+    await updateFeedbackEntry({ ...entry, remotePath: path })
+    return true
+  }
 
-  const normalizeDTypePolicy = useCallback((value) => {
-    if (!value || typeof value !== 'object') {
-      return
+  const handleSubmitFeedback = async (correctedLabel) => {
+    const sources = (results.consensus ? results.images : [results]).filter((source) => source?.processedBlob)
+    if (sources.length === 0) {
+      throw new Error(t('errors.noCrop'))
     }
-    if (Array.isArray(value)) {
-      value.forEach(normalizeDTypePolicy)
-      return
-    }
-    if (value.dtype && typeof value.dtype === 'object') {
-      const dtypeName = value.dtype?.config?.name
-      if (typeof dtypeName === 'string') {
-        value.dtype = dtypeName
+    const createdAt = Date.now()
+    let uploaded = 0
+    for (const source of sources) {
+      const entry = await addFeedbackEntry(
+        createFeedbackEntry(
+          {
+            crop: source.processedBlob,
+            predictedLabel: source.prediction,
+            confidence: source.confidence / 100,
+            probabilities: source.probabilities,
+            expectedMst: source.expectedMst,
+            fileName: source.fileName,
+            model: source.model,
+          },
+          correctedLabel,
+          { createdAt }
+        )
+      )
+      if (await uploadFeedback(entry)) {
+        uploaded += 1
       }
     }
-    Object.values(value).forEach(normalizeDTypePolicy)
-  }, [])
-
-  const loadModel = useCallback(async () => {
-    if (modelRef.current) {
-      return modelRef.current
-    }
-    await ensureBackendReady()
-    const handler = tf.io.browserHTTPRequest(MODEL_URL)
-    const fixedHandler = {
-      load: async () => {
-        const artifacts = await handler.load()
-        if (artifacts?.modelTopology) {
-          normalizeInputLayerConfig(artifacts.modelTopology)
-          normalizeInboundNodes(artifacts.modelTopology)
-          normalizeDTypePolicy(artifacts.modelTopology)
-        }
-        return artifacts
-      },
-    }
-    modelRef.current = await tf.loadLayersModel(fixedHandler)
-    return modelRef.current
-  }, [normalizeDTypePolicy, normalizeInboundNodes, normalizeInputLayerConfig])
-
-  const loadFaceDetector = useCallback(async () => {
-    if (faceDetectorRef.current === false) {
-      return null
-    }
-    if (faceDetectorRef.current) {
-      return faceDetectorRef.current
-    }
-    const backendOk = await ensureBackendReady()
-    if (!backendOk) {
-      faceDetectorRef.current = false
-      return null
-    }
-    try {
-      const model = faceDetection.SupportedModels.MediaPipeFaceDetector
-      const detectorPromise = faceDetection.createDetector(model, {
-        runtime: 'tfjs',
-        modelType: 'short',
-      })
-      const detector = await withTimeout(detectorPromise, FACE_DETECTOR_TIMEOUT_MS)
-      faceDetectorRef.current = detector
-      return detector
-    } catch {
-      faceDetectorRef.current = false
-      return null
-    }
-  }, [])
+    setFeedbackCount((prev) => prev + sources.length)
+    return t(uploaded > 0 ? 'feedback.thanksShared' : 'feedback.thanksLocal', { label: correctedLabel })
+  }
 
+  const handleExportFeedback = async () => {
+    const entries = await listFeedbackEntries()
+    downloadBlob(await exportFeedbackDataset(entries), `skintone-feedback-${new Date().toISOString().slice(0, 10)}.zip`)
+  }
 
+  const handleModelChange = (id) => {
+    setSelectedModelId(id)
+    saveModelPreference(id)
+  }
 
-  const loadImageFromFile = (file) =>
-    new Promise((resolve, reject) => {
-      const url = URL.createObjectURL(file)
-      const image = new Image()
-      image.onload = () => {
-        URL.revokeObjectURL(url)
-        resolve(image)
-      }
-      image.onerror = () => {
-        URL.revokeObjectURL(url)
-        reject(new Error('Failed to load image file.'))
-      }
-      image.src = url
-    })
+  const handlePrivacyChange = (settings) => {
+    setPrivacySettings(settings)
+    savePrivacySettings(settings)
+  }
 
-  const createTensorFromFile = async (file) => {
-    let imageBitmap = null
-    let imageElement = null
-    try {
-      imageBitmap = await createImageBitmap(file)
-    } catch {
-      imageElement = await loadImageFromFile(file)
-    }
-    const sourceWidth = imageBitmap ? imageBitmap.width : imageElement.width
-    const sourceHeight = imageBitmap ? imageBitmap.height : imageElement.height
-    const size = 224
-    const sourceCanvas = document.createElement('canvas')
-    sourceCanvas.width = sourceWidth
-    sourceCanvas.height = sourceHeight
-    const sourceCtx = sourceCanvas.getContext('2d', { willReadFrequently: true })
-    if (!sourceCtx) {
-      return { tensorInput: null, processedCanvas: sourceCanvas, luminance: 0, faceDetected: false }
-    }
-    if (imageBitmap) {
-      sourceCtx.drawImage(imageBitmap, 0, 0)
-    } else {
-      sourceCtx.drawImage(imageElement, 0, 0)
+  const handleDeleteUploads = async () => {
+    if (!supabaseClient || uploadRecords.length === 0) {
+      return
     }
-    let detectionCanvas = sourceCanvas
-    let scaleX = 1
-    let scaleY = 1
-    if (Math.max(sourceWidth, sourceHeight) > DETECTION_MAX_SIZE) {
-      const ratio = DETECTION_MAX_SIZE / Math.max(sourceWidth, sourceHeight)
-      const detectionWidth = Math.round(sourceWidth * ratio)
-      const detectionHeight = Math.round(sourceHeight * ratio)
-      const resizedCanvas = document.createElement('canvas')
-      resizedCanvas.width = detectionWidth
-      resizedCanvas.height = detectionHeight
-      const resizedCtx = resizedCanvas.getContext('2d', { willReadFrequently: true })
-      if (resizedCtx) {
-        resizedCtx.drawImage(sourceCanvas, 0, 0, detectionWidth, detectionHeight)
-        detectionCanvas = resizedCanvas
-        scaleX = sourceWidth / detectionWidth
-        scaleY = sourceHeight / detectionHeight
+    const buckets = [...new Set(uploadRecords.map((record) => record.bucket ?? SUPABASE_BUCKET))]
+    for (const bucket of buckets) {
+      const paths = uploadRecords.filter((record) => (record.bucket ?? SUPABASE_BUCKET) === bucket).map((record) => record.path)
+      const { error } = await supabaseClient.storage.from(bucket).remove(paths)
+      if (error) {
+        throw new Error(t('errors.deleteUploadsFailed', { message: error.message }))
       }
-    }
-    let faceDetected = false
-    let cropArea = {
-      x: 0,
-      y: 0,
-      width: sourceWidth,
-      height: sourceHeight,
-    }
-    try {
-      const detector = await loadFaceDetector()
-      if (detector) {
-        const faces = await detector.estimateFaces(detectionCanvas, { flipHorizontal: false })
-        if (faces && faces.length > 0) {
-          const box = faces[0].box ?? faces[0].boundingBox
-          if (box) {
-            const rawXMin = box.xMin ?? box.x ?? 0
-            const rawYMin = box.yMin ?? box.y ?? 0
-            const rawWidth = box.width ?? Math.max(0, (box.xMax ?? 0) - (box.xMin ?? 0))
-            const rawHeight = box.height ?? Math.max(0, (box.yMax ?? 0) - (box.yMin ?? 0))
-            const xMin = rawXMin * scaleX
-            const yMin = rawYMin * scaleY
-            const width = rawWidth * scaleX
-            const height = rawHeight * scaleY
-            const marginX = width * 0.2
-            const marginY = height * 0.2
-            const cropX = Math.max(0, xMin - marginX)
-            const cropY = Math.max(0, yMin - marginY)
-            const cropW = Math.min(sourceWidth - cropX, width + marginX * 2)
-            const cropH = Math.min(sourceHeight - cropY, height + marginY * 2)
-            if (cropW > 0 && cropH > 0) {
-              cropArea = {
-                x: cropX,
-                y: cropY,
-                width: cropW,
-                height: cropH,
-              }
-              faceDetected = true
-            }
-          }
+      const feedbackPaths = paths.filter((path) => path.startsWith('feedback/'))
+      if (feedbackPaths.length > 0) {
+        const { error: feedbackError } = await supabaseClient.from(SUPABASE_FEEDBACK_TABLE).delete().in('image_path', feedbackPaths)
+        if (feedbackError) {
+          throw new Error(t('errors.deleteUploadsFailed', { message: feedbackError.message }))
         }
       }
-    } catch {
-      faceDetected = false
-    }
-    const canvas = document.createElement('canvas')
-    canvas.width = size
-    canvas.height = size
-    const ctx = canvas.getContext('2d', { willReadFrequently: true })
-    if (!ctx) {
-      return { tensorInput: null, processedCanvas: canvas, luminance: 0, faceDetected }
+      await removeUploadRecords(paths)
+      setUploadRecords((prev) => prev.filter((record) => !paths.includes(record.path)))
     }
-    ctx.drawImage(
-      sourceCanvas,
-      cropArea.x,
-      cropArea.y,
-      cropArea.width,
-      cropArea.height,
-      0,
-      0,
-      size,
-      size
-    )
-    const imageData = ctx.getImageData(0, 0, size, size)
-    const luminance = calculateLuminance(imageData.data)
-    let tensorInput = null
-    try {
-      tensorInput = tf.tidy(() =>
-        tf.browser.fromPixels(canvas).toFloat().div(255).expandDims(0)
-      )
-    } catch {
-      tensorInput = null
-    }
-    return { tensorInput, processedCanvas: canvas, luminance, faceDetected }
   }
 
-  const calculateLuminance = (data) => {
-    let total = 0
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i]
-      const g = data[i + 1]
-      const b = data[i + 2]
-      total += 0.299 * r + 0.587 * g + 0.114 * b
-    }
-    return total / (data.length / 4)
+  const toggleAccordion = (index) => {
+    setAccordionOpen((prev) =>
+      prev.map((value, idx) => (idx === index ? !value : value))
+    )
   }
 
-  const getPrediction = (predictionData) => {
-    let maxValue = -Infinity
-    let maxIndex = 0
-    predictionData.forEach((value, index) => {
-      if (value > maxValue) {
-        maxValue = value
-        maxIndex = index
-      }
-    })
-    return {
-      predictedLabel: CLASS_LABELS[maxIndex] || 'MST5',
-      confidence: maxValue,
-    }
+  const toggleTryOnColor = (color) => {
+    setTryOnColors((prev) =>
+      prev.some((entry) => entry.hex === color.hex) ? prev.filter((entry) => entry.hex !== color.hex) : [...prev, color].slice(-2)
+    )
   }
 
-  const adjustPredictionWithLuminance = (predictedLabel, luminance) => {
-    let mstNumber = parseInt(predictedLabel.replace('MST', ''), 10)
-    if (luminance < 80 && mstNumber >= 4 && mstNumber <= 7) {
-      mstNumber = Math.min(10, mstNumber + 2)
-    }
-    if (luminance < 50 && mstNumber < 8) {
-      mstNumber = Math.min(10, mstNumber + 3)
-    }
-    return `MST${mstNumber}`
+  const toggleCompareEntry = (id) => {
+    setCompareIds((prev) => (prev.includes(id) ? prev.filter((entryId) => entryId !== id) : [...prev, id]))
   }
 
-  const getSkinToneGroup = (label) => {
-    const mstNumber = parseInt(label.replace('MST', ''), 10)
-    if (mstNumber <= 2) {
-      return 'light'
-    }
-    if (mstNumber <= 4) {
-      return 'light medium'
-    }
-    if (mstNumber <= 6) {
-      return 'medium'
-    }
-    if (mstNumber <= 8) {
-      return 'medium deep'
+  const handleDeleteHistory = async (id) => {
+    try {
+      await deleteHistoryEntry(id)
+      setHistoryEntries((prev) => prev.filter((entry) => entry.id !== id))
+      setCompareIds((prev) => prev.filter((entryId) => entryId !== id))
+    } catch (error) {
+      window.alert(t('errors.deleteEntryFailed', { message: error instanceof Error ? error.message : String(error) }))
     }
-    return 'deep'
   }
 
-  const canvasToBlob = (canvas) =>
-    new Promise((resolve) => {
-      canvas.toBlob((blob) => resolve(blob), 'image/jpeg', 0.9)
-    })
-
-  const uploadToSupabase = async (file, path, contentType) => {
-    if (!supabaseClient || !SUPABASE_BUCKET) {
-      return null
+  const handleClearHistory = async () => {
+    if (!window.confirm(t('history.clearConfirm'))) {
+      return
     }
-    const { error } = await supabaseClient.storage.from(SUPABASE_BUCKET).upload(path, file, {
-      contentType: contentType || 'application/octet-stream',
-      upsert: true,
-    })
-    if (error) {
-      setErrorMessage((prev) => prev || `Upload gagal: ${error.message}`)
-      return null
+    try {
+      await clearHistory()
+      setHistoryEntries([])
+      setCompareIds([])
+      setShowCompare(false)
+    } catch (error) {
+      window.alert(t('errors.clearHistoryFailed', { message: error instanceof Error ? error.message : String(error) }))
     }
-    const { data } = supabaseClient.storage.from(SUPABASE_BUCKET).getPublicUrl(path)
-    return data?.publicUrl ?? null
-  }
-
-  const toggleAccordion = (index) => {
-    setAccordionOpen((prev) =>
-      prev.map((value, idx) => (idx === index ? !value : value))
-    )
   }
 
   return (
@@ -604,14 +591,22 @@ function App() {
             <i className="fas fa-palette"></i> SkinTone<span>AI</span>
           </a>
           <ul className={`nav-links ${navOpen ? 'active' : ''}`}>
-            {['about', 'analyzer', 'how-it-works', 'faq'].map((section) => (
+            {NAV_SECTIONS.map(([section, labelKey]) => (
               <li key={section}>
                 <a href={`#${section}`} onClick={() => setNavOpen(false)}>
-                  {section.replace('-', ' ').replace(/\b\w/g, (l) => l.toUpperCase())}
+                  {t(labelKey)}
                 </a>
               </li>
             ))}
           </ul>
+          <label className="language-switcher">
+            <i className="fas fa-globe"></i>
+            <select value={locale} onChange={(event) => setLocale(event.target.value)} aria-label={t('nav.language')}>
+              {SUPPORTED_LOCALES.map((code) => (
+                <option key={code} value={code}>{LOCALE_NAMES[code]}</option>
+              ))}
+            </select>
+          </label>
           <div className={`hamburger ${navOpen ? 'active' : ''}`} onClick={() => setNavOpen((prev) => !prev)}>
             <span className="bar"></span>
             <span className="bar"></span>
@@ -620,15 +615,23 @@ function App() {
         </div>
       </nav>
 
+      {sharedResult && (
+        <section id="shared-result" className="shared-result">
+          <div className="container">
+            <SharedResultView result={sharedResult} />
+          </div>
+        </section>
+      )}
+
       <section className="hero">
         <div className="hero-container">
           <div className="hero-content">
-            <h1>Discover Your Perfect Color Palette</h1>
-            <p>Upload a photo and our AI will analyze your skin tone to provide personalized clothing color recommendations that complement your natural beauty.</p>
-            <a href="#analyzer" className="hero-btn" id="try-it-now-btn">Try It Now <i className="fas fa-arrow-right"></i></a>
+            <h1>{t('hero.title')}</h1>
+            <p>{t('hero.text')}</p>
+            <a href="#analyzer" className="hero-btn" id="try-it-now-btn">{t('hero.cta')} <i className="fas fa-arrow-right"></i></a>
           </div>
           <div className="hero-image">
-            <img src="/images/hero-image.svg" alt="Skin Tone Analysis" />
+            <img src="/images/hero-image.svg" alt={t('hero.imageAlt')} />
           </div>
         </div>
         <div className="wave-separator">
@@ -641,22 +644,18 @@ function App() {
       <section id="about" className="about">
         <div className="container">
           <div className="section-header">
-            <h2>Why Skin Tone Matters</h2>
-            <p>Understanding your skin tone helps you make better fashion choices and enhances your personal style</p>
+            <h2>{t('about.title')}</h2>
+            <p>{t('about.subtitle')}</p>
           </div>
 
           <div className="features">
-            {[
-              { icon: 'tshirt', title: 'Better Clothing Choices', text: 'Identify colors that naturally complement your skin tone for a more flattering look.' },
-              { icon: 'paint-brush', title: 'Personalized Palette', text: 'Get customized color recommendations based on the Monk Skin Tone (MST) scale.' },
-              { icon: 'robot', title: 'AI-Powered Analysis', text: 'Leverage deep learning technology to accurately identify your skin tone category.' },
-            ].map((feature) => (
-              <div className="feature-card" key={feature.title}>
+            {FEATURE_CARDS.map(([icon, key]) => (
+              <div className="feature-card" key={key}>
                 <div className="feature-icon">
-                  <i className={`fas fa-${feature.icon}`}></i>
+                  <i className={`fas fa-${icon}`}></i>
                 </div>
-                <h3>{feature.title}</h3>
-                <p>{feature.text}</p>
+                <h3>{t(`about.features.${key}.title`)}</h3>
+                <p>{t(`about.features.${key}.text`)}</p>
               </div>
             ))}
           </div>
@@ -666,8 +665,8 @@ function App() {
       <section className="mst-info">
         <div className="container">
           <div className="section-header">
-            <h2>The Monk Skin Tone Scale</h2>
-            <p>A more inclusive way to classify the rich diversity of human skin tones</p>
+            <h2>{t('mstInfo.title')}</h2>
+            <p>{t('mstInfo.subtitle')}</p>
           </div>
 
           <div className="mst-showcase">
@@ -679,11 +678,11 @@ function App() {
               ))}
             </div>
             <div className="mst-description">
-              <p>The Monk Skin Tone (MST) Scale is a ten-point skin tone scale designed to be more inclusive and representative of the diversity of human skin tones. Created by Harvard professor Dr. Ellis Monk, it helps ensure technology works well for people of all skin tones.</p>
+              <p>{t('mstInfo.description')}</p>
               <ul className="mst-benefits">
-                <li><i className="fas fa-check-circle"></i> More inclusive than traditional scales</li>
-                <li><i className="fas fa-check-circle"></i> Scientifically developed and tested</li>
-                <li><i className="fas fa-check-circle"></i> Used by leading technology companies</li>
+                {['inclusive', 'scientific', 'industry'].map((key) => (
+                  <li key={key}><i className="fas fa-check-circle"></i> {t(`mstInfo.benefits.${key}`)}</li>
+                ))}
               </ul>
             </div>
           </div>
@@ -693,86 +692,257 @@ function App() {
       <section id="analyzer" className="analyzer">
         <div className="container">
           <div className="section-header">
-            <h2>Analyze Your Skin Tone</h2>
-            <p>Upload your photo to discover your skin tone classification and get personalized clothing recommendations</p>
+            <h2>{t('analyzer.title')}</h2>
+            <p>{t('analyzer.subtitle')}</p>
           </div>
 
           <div className="analyzer-container">
             <div className="upload-card">
               <div className="card-header">
-                <h3><i className="fas fa-cloud-upload-alt"></i> Upload Your Photo</h3>
-                <p>For best results, use a well-lit photo of your face without makeup or filters</p>
+                <h3><i className="fas fa-cloud-upload-alt"></i> {t('analyzer.uploadTitle')}</h3>
+                <p>{t('analyzer.uploadHint')}</p>
               </div>
 
-              <div
-                className="upload-area"
-                id="upload-area"
-                onClick={() => fileInputRef.current?.click()}
-                onDragOver={(event) => {
-                  event.preventDefault()
-                  setDragActive(true)
-                }}
-                onDragLeave={(event) => {
-                  event.preventDefault()
-                  setDragActive(false)
-                }}
-                onDrop={handleDrop}
-                style={dragActive ? { borderColor: 'var(--primary-color)' } : undefined}
-              >
-                <div className="upload-content">
-                  <div className="upload-icon-container">
-                    <i className="fas fa-cloud-upload-alt"></i>
+              <div className="input-mode-toggle">
+                <button className={`tab-btn ${inputMode === 'upload' ? 'active' : ''}`} type="button" onClick={() => setInputMode('upload')}>
+                  <i className="fas fa-cloud-upload-alt"></i> {t('analyzer.uploadMode')}
+                </button>
+                <button className={`tab-btn ${inputMode === 'camera' ? 'active' : ''}`} type="button" onClick={() => setInputMode('camera')}>
+                  <i className="fas fa-camera"></i> {t('analyzer.cameraMode')}
+                </button>
+              </div>
+
+              {inputMode === 'camera' ? (
+                <CameraCapture
+                  loadFaceDetector={loadLocalFaceDetector}
+                  onCapture={handleCameraCapture}
+                  onCancel={() => setInputMode('upload')}
+                />
+              ) : (
+                <div
+                  className="upload-area"
+                  id="upload-area"
+                  onClick={() => fileInputRef.current?.click()}
+                  onDragOver={(event) => {
+                    event.preventDefault()
+                    setDragActive(true)
+                  }}
+                  onDragLeave={(event) => {
+                    event.preventDefault()
+                    setDragActive(false)
+                  }}
+                  onDrop={handleDrop}
+                  style={dragActive ? { borderColor: 'var(--primary-color)' } : undefined}
+                >
+                  <div className="upload-content">
+                    <div className="upload-icon-container">
+                      <i className="fas fa-cloud-upload-alt"></i>
+                    </div>
+                    <p>{t('analyzer.dragDrop')}</p>
+                    <p className="file-support">{t('analyzer.batchHint')}</p>
+                    <span>{t('analyzer.or')}</span>
+                    <button className="browse-btn" type="button" onClick={(event) => {
+                      event.stopPropagation()
+                      fileInputRef.current?.click()
+                    }}>
+                      {t('analyzer.browse')}
+                    </button>
+                    <p className="file-support">{t('analyzer.supports')}</p>
                   </div>
-                  <p>Drag and drop your image here</p>
-                  <span>or</span>
-                  <button className="browse-btn" type="button" onClick={(event) => {
-                    event.stopPropagation()
-                    fileInputRef.current?.click()
-                  }}>
-                    Browse Files
-                  </button>
-                  <p className="file-support">Supports: JPG, PNG, JPEG (Max 5MB)</p>
+                  <input ref={fileInputRef} type="file" id="file-input" accept="image/*" multiple hidden onChange={handleFileChange} />
                 </div>
-                <input ref={fileInputRef} type="file" id="file-input" accept="image/*" hidden onChange={handleFileChange} />
-              </div>
+              )}
 
-              {previewUrl && (
+              {previewUrl && inputMode === 'upload' && (
                 <div className="preview-container" id="preview-container">
                   <div className="preview-header">
-                    <h4>Image Preview</h4>
+                    <h4>{t('analyzer.preview')}</h4>
                     <button className="change-image-btn" id="change-image-btn" type="button" onClick={() => fileInputRef.current?.click()}>
-                      <i className="fas fa-redo"></i> Change
+                      <i className="fas fa-redo"></i> {t('analyzer.change')}
                     </button>
                   </div>
                   <div className="image-preview" id="image-preview">
-                    <img src={previewUrl} alt="Preview" />
+                    <div className="preview-frame">
+                      <img src={previewUrl} alt={t('analyzer.previewAlt')} />
+                      {faceResults.map((entry, index) =>
+                        entry.faceBox ? (
+                          <button
+                            type="button"
+                            key={`face-${index}`}
+                            className={`face-box ${index === selectedFaceIndex ? 'active' : ''}`}
+                            style={{
+                              left: `${(entry.faceBox.x / entry.sourceSize.width) * 100}%`,
+                              top: `${(entry.faceBox.y / entry.sourceSize.height) * 100}%`,
+                              width: `${(entry.faceBox.width / entry.sourceSize.width) * 100}%`,
+                              height: `${(entry.faceBox.height / entry.sourceSize.height) * 100}%`,
+                            }}
+                            onClick={() => setSelectedFaceIndex(index)}
+                            aria-label={t('analyzer.showPerson', { index: index + 1 })}
+                          >
+                            <span>{index + 1}</span>
+                          </button>
+                        ) : null
+                      )}
+                    </div>
+                  </div>
+                  {faceResults.length > 1 && (
+                    <p className="face-box-hint">{t('analyzer.facesDetected', { count: faceResults.length })}</p>
+                  )}
+                </div>
+              )}
+
+              {batchFiles.length > 1 && inputMode === 'upload' && (
+                <div className="preview-container" id="batch-preview-container">
+                  <div className="preview-header">
+                    <h4>{t('analyzer.photosSelected', { count: batchFiles.length })}</h4>
+                    <button className="change-image-btn" type="button" onClick={() => fileInputRef.current?.click()}>
+                      <i className="fas fa-redo"></i> {t('analyzer.change')}
+                    </button>
+                  </div>
+                  <div className="batch-preview">
+                    {batchFiles.map((entry, index) => (
+                      <div className="batch-preview-item" key={entry.url}>
+                        <img src={entry.url} alt={entry.file.name} />
+                        <span className="batch-preview-index">{index + 1}</span>
+                        <button
+                          type="button"
+                          className="batch-preview-remove"
+                          onClick={() => handleRemoveBatchFile(index)}
+                          aria-label={t('analyzer.removeFile', { name: entry.file.name })}
+                          disabled={loading}
+                        >
+                          <i className="fas fa-times"></i>
+                        </button>
+                      </div>
+                    ))}
                   </div>
                 </div>
               )}
 
-              <button id="analyze-btn" className="analyze-btn" disabled={!selectedFile || loading} onClick={handleAnalyze}>
-                <i className="fas fa-magic"></i> Analyze Skin Tone
+              <PrivacySettings
+                settings={privacySettings}
+                onChange={handlePrivacyChange}
+                uploadsAvailable={Boolean(supabaseClient && SUPABASE_BUCKET)}
+                uploadCount={uploadRecords.length}
+                onDeleteUploads={handleDeleteUploads}
+              />
+
+              <div className="accuracy-mode">
+                <label className="accuracy-toggle">
+                  <input
+                    type="checkbox"
+                    checked={accuracyMode}
+                    onChange={(event) => setAccuracyMode(event.target.checked)}
+                    disabled={loading}
+                  />
+                  {t('accuracyMode.toggle')}
+                </label>
+                <p className="accuracy-note">
+                  {t('accuracyMode.hint', { count: TTA_VARIANTS.length + 1 })}
+                  {ensembleSize > 1 && ` ${t('accuracyMode.ensemble', { count: ensembleSize })}`}
+                </p>
+              </div>
+
+              {SHOW_MODEL_SELECTOR && modelManifest && (
+                <ModelSelector
+                  manifest={modelManifest}
+                  selectedId={selectedModelId}
+                  onChange={handleModelChange}
+                  disabled={loading}
+                />
+              )}
+
+              <button
+                id="analyze-btn"
+                className="analyze-btn"
+                disabled={(!selectedFile && batchFiles.length < 2) || loading}
+                onClick={() => handleAnalyze()}
+              >
+                <i className={`fas fa-${loading ? 'spinner fa-spin' : 'magic'}`}></i>{' '}
+                {loading
+                  ? t('analyzer.analyzing')
+                  : batchFiles.length > 1
+                    ? t('analyzer.analyzeMany', { count: batchFiles.length })
+                    : t('analyzer.analyze')}
               </button>
+              {loading && analysisStage && (
+                <div className="analysis-progress" role="status">
+                  <div className="analysis-progress-bar">
+                    <div
+                      className="analysis-progress-fill"
+                      style={{
+                        width: `${
+                          (((batchProgress?.index ?? 0) + (ANALYSIS_STAGES.indexOf(analysisStage) + 1) / ANALYSIS_STAGES.length) /
+                            (batchProgress?.count ?? 1)) *
+                          100
+                        }%`,
+                      }}
+                    ></div>
+                  </div>
+                  <p>
+                    {batchProgress && t('analyzer.photoProgress', { index: batchProgress.index + 1, count: batchProgress.count })}
+                    {t(`stages.${analysisStage}`)}
+                  </p>
+                </div>
+              )}
               {errorMessage && (
                 <div className="error-message">{errorMessage}</div>
               )}
+              {qualityIssues.length > 0 && (
+                <div className="quality-gate" role="alert">
+                  <h4><i className="fas fa-camera"></i> {t('qualityGate.title')}</h4>
+                  <ul className="quality-issues">
+                    {qualityIssues.map((issue) => (
+                      <li key={issue.check} className={`quality-issue ${issue.severity}`}>{t(`quality.${issue.check}`)}</li>
+                    ))}
+                  </ul>
+                  <button type="button" className="quality-override-btn" onClick={() => handleAnalyze('warn')}>
+                    {t('qualityGate.override')}
+                  </button>
+                </div>
+              )}
             </div>
 
             {results && (
               <div className="results-card" id="results-section">
                 <div className="card-header result-header">
-                  <h3><i className="fas fa-chart-bar"></i> Analysis Results</h3>
-                  <div className="confidence-badge" id="confidence">Confidence: {results.confidence.toFixed(2)}%</div>
+                  <h3><i className="fas fa-chart-bar"></i> {t('results.title')}</h3>
+                  <div className={`confidence-badge ${results.uncertain ? 'uncertain' : ''}`} id="confidence">
+                    {t(results.uncertain ? 'results.lowConfidence' : 'results.confidence', { value: results.confidence.toFixed(2) })}
+                  </div>
                 </div>
 
                 <div className="result-content">
+                  {faceResults.length > 1 && (
+                    <div className="face-picker">
+                      {faceResults.map((entry, index) => (
+                        <button
+                          type="button"
+                          key={`picker-${index}`}
+                          className={`face-picker-item ${index === selectedFaceIndex ? 'active' : ''}`}
+                          onClick={() => setSelectedFaceIndex(index)}
+                        >
+                          <img src={entry.thumbnailUrl} alt={t('results.person', { index: index + 1 })} />
+                          <span>{t('results.person', { index: index + 1 })}</span>
+                          <small>{entry.prediction}</small>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
                   <div className="mst-result-container">
-                    <h4>Your Skin Tone Classification</h4>
+                    <h4>{t('results.classificationTitle')}</h4>
                     <div className="mst-scale-container">
+                      <MstDistribution
+                        items={mstScaleItems}
+                        probabilities={results.probabilities}
+                        activeLabel={results.prediction}
+                        alternativeLabel={results.alternativeLabel}
+                      />
                       <div className="mst-scale">
                         {mstScaleItems.map((item) => (
                           <div
-                            className={`mst-color ${results.prediction === item.mst ? 'active' : ''}`}
+                            className={`mst-color ${results.prediction === item.mst ? 'active' : ''} ${results.alternativeLabel === item.mst ? 'alternative' : ''}`}
                             data-mst={item.mst}
                             style={{ backgroundColor: item.color }}
                             key={item.mst}
@@ -782,68 +952,334 @@ function App() {
                         ))}
                       </div>
                     </div>
-                    <p id="mst-result" className="mst-result">Your skin tone is classified as {results.prediction} on the Monk Skin Tone Scale</p>
-                    <div className="skin-type-group" id="skin-type-group">Skin Tone Group: {results.skinToneGroup.replace(/\b\w/g, (l) => l.toUpperCase())}</div>
-                  </div>
-
-                  <div className="face-detection-info" id="face-detection-info">
-                    <div className={`detection-badge ${results.faceDetected ? 'success' : 'warning'}`}>
-                      <i className={`fas fa-${results.faceDetected ? 'check-circle' : 'exclamation-triangle'}`}></i>
-                      {results.faceDetected ? 'Face detected' : 'No face detection'}
-                    </div>
-                    <p>
-                      {results.faceDetected
-                        ? 'Analysis is performed on the detected face region and resized to the model input size.'
-                        : 'Analysis is performed on the full image and resized to the model input size.'}
+                    <p id="mst-result" className="mst-result">
+                      {results.uncertain
+                        ? t('results.between', { label: results.prediction, alternative: results.alternativeLabel })
+                        : t('results.classified', { label: results.prediction })}
                     </p>
-                    {results.processedImageUrl && (
-                      <div className="processed-image-container">
-                        <h4>Processed Image</h4>
-                        <div className="processed-image">
-                          <img src={results.processedImageUrl} alt="Processed" />
-                        </div>
+                    <p className="mst-expected">
+                      {t('results.expected')} <strong>{results.expectedMst.toFixed(1)}</strong>
+                      {results.uncertain && t('results.splitNote')}
+                    </p>
+                    <div className="skin-type-group" id="skin-type-group">
+                      {t('results.skinToneGroup', { group: t(`skinToneGroups.${results.skinToneGroup}`) })}
+                    </div>
+                    {results.model && (
+                      <p className="model-version">
+                        <i className="fas fa-microchip"></i> {t('results.model', { name: results.model.name, version: results.model.version })}
+                      </p>
+                    )}
+                    {results.stability && (
+                      <div className={`stability-info ${results.stability.stable ? 'stable' : 'unstable'}`}>
+                        <strong>
+                          <i className={`fas fa-${results.stability.stable ? 'check-circle' : 'exclamation-triangle'}`}></i>{' '}
+                          {t(results.stability.stable ? 'stability.stable' : 'stability.unstable')}
+                        </strong>
+                        <p>
+                          {t('stability.details', {
+                            agreement: (results.stability.agreement * 100).toFixed(0),
+                            count: results.stability.samples,
+                            spread: results.stability.spread.toFixed(2),
+                          })}
+                          {results.stability.models.length > 1 &&
+                            ` · ${t('stability.models', { count: results.stability.models.length })}`}
+                        </p>
                       </div>
                     )}
+                    <AnalysisDiagnostics backend={results.backend} timings={results.timings} />
+                    <FeedbackControl
+                      key={`${selectedFaceIndex}-${results.thumbnailUrl ?? results.images?.[0]?.thumbnailUrl}`}
+                      items={mstScaleItems}
+                      predictedLabel={results.prediction}
+                      onSubmit={handleSubmitFeedback}
+                    />
+                    <div className="undertone-info">
+                      <div className={`undertone-badge ${undertone.undertone}`}>
+                        {t('undertone.badge', { value: t(`undertones.${undertone.undertone}`) })}
+                      </div>
+                      <p>
+                        {undertone.hueAngle === null
+                          ? t('undertone.noSkinPixels')
+                          : t('undertone.hueAngle', { angle: undertone.hueAngle.toFixed(1) })}
+                      </p>
+                      <div className="undertone-hints">
+                        <label>
+                          {t('undertone.veinsQuestion')}
+                          <select
+                            value={undertoneHints.veins ?? ''}
+                            onChange={(event) => setUndertoneHints((prev) => ({ ...prev, veins: event.target.value || null }))}
+                          >
+                            <option value="">{t('undertone.notSure')}</option>
+                            {VEIN_OPTIONS.map((option) => (
+                              <option key={option} value={option}>{t(`undertone.veins.${option}`)}</option>
+                            ))}
+                          </select>
+                        </label>
+                        <label>
+                          {t('undertone.jewelryQuestion')}
+                          <select
+                            value={undertoneHints.jewelry ?? ''}
+                            onChange={(event) => setUndertoneHints((prev) => ({ ...prev, jewelry: event.target.value || null }))}
+                          >
+                            <option value="">{t('undertone.notSure')}</option>
+                            {JEWELRY_OPTIONS.map((option) => (
+                              <option key={option} value={option}>{t(`undertone.jewelry.${option}`)}</option>
+                            ))}
+                          </select>
+                        </label>
+                      </div>
+                    </div>
+                    <div className="season-info">
+                      <div className={`season-badge ${season.family}`}>
+                        <i className="fas fa-leaf"></i> {t(`seasons.${season.id}.name`)}
+                      </div>
+                      <p>{t(`seasons.${season.id}.description`)}</p>
+                      <div className="season-scores">
+                        {['temperature', 'value', 'chroma'].map((key) => (
+                          <div className={`season-score ${season.dominant === key ? 'dominant' : ''}`} key={key}>
+                            <span>{t(`season.scores.${key}.low`)}</span>
+                            <div className="season-score-track">
+                              <div className="season-score-marker" style={{ left: `${((season.scores[key] + 1) / 2) * 100}%` }}></div>
+                            </div>
+                            <span>{t(`season.scores.${key}.high`)}</span>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="season-features">
+                        {[
+                          ['skin', results.skinLab ? { hex: rgbToHex(labToRgb(results.skinLab)) } : null],
+                          ['hair', results.features?.hair],
+                          ['eyes', results.features?.eyes],
+                        ].map(([key, color]) => (
+                          <div className="season-feature" key={key}>
+                            <div className="color-preview" style={{ backgroundColor: color?.hex ?? 'transparent' }}></div>
+                            <span>
+                              {color
+                                ? t(`season.features.${key}`)
+                                : t('season.notFound', { feature: t(`season.features.${key}`) })}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                      {season.contrast !== null && (
+                        <p>
+                          {t('season.contrast', { value: season.contrast.toFixed(0) })}
+                          {season.alternative ? t('season.closeTo', { name: t(`seasons.${season.alternative.id}.name`) }) : ''}
+                        </p>
+                      )}
+                    </div>
                   </div>
 
+                  {results.consensus ? (
+                    <ConsensusBreakdown consensus={results.consensus} images={results.images} />
+                  ) : (
+                    <div className="face-detection-info" id="face-detection-info">
+                      <div className={`detection-badge ${results.faceDetected ? 'success' : 'warning'}`}>
+                        <i className={`fas fa-${results.faceDetected ? 'check-circle' : 'exclamation-triangle'}`}></i>
+                        {t(results.faceDetected ? 'detection.faceDetected' : 'detection.noFace')}
+                      </div>
+                      <p>{t(results.faceDetected ? 'detection.faceRegion' : 'detection.fullImage')}</p>
+                      {results.quality?.issues.length > 0 && (
+                        <div className="quality-warnings">
+                          <p>
+                            <i className="fas fa-exclamation-triangle"></i>{' '}
+                            {t('detection.qualityWarning', { score: Math.round(results.quality.score * 100) })}
+                          </p>
+                          <ul className="quality-issues">
+                            {results.quality.issues.map((issue) => (
+                              <li key={issue.check} className={`quality-issue ${issue.severity}`}>{t(`quality.${issue.check}`)}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      {results.colorCorrection && results.colorCorrection.method !== 'none' && (
+                        <p className="color-correction-info">
+                          <i className="fas fa-adjust"></i> {t('detection.lightingCorrected', { method: results.colorCorrection.method })}{' '}
+                          {['R', 'G', 'B'].map((channel, index) => `${channel} ×${results.colorCorrection.gains[index].toFixed(2)}`).join(' · ')}
+                        </p>
+                      )}
+                      {results.skin && (
+                        <div className="skin-color-info">
+                          <div className="color-preview" style={{ backgroundColor: results.skin.color.hex }}></div>
+                          <span>
+                            {t('detection.measuredSkin', {
+                              hex: results.skin.color.hex,
+                              l: results.skin.color.lab[0].toFixed(1),
+                              a: results.skin.color.lab[1].toFixed(1),
+                              b: results.skin.color.lab[2].toFixed(1),
+                              coverage: Math.round(results.skin.coverage * 100),
+                            })}
+                          </span>
+                        </div>
+                      )}
+                      {results.processedImageUrl && (
+                        <div className="processed-image-container">
+                          <div className="processed-image-header">
+                            <h4>{t('detection.processedImage')}</h4>
+                            {results.maskImageUrl && (
+                              <label className="mask-toggle">
+                                <input type="checkbox" checked={showSkinMask} onChange={(event) => setShowSkinMask(event.target.checked)} />
+                                {t('detection.showMask')}
+                              </label>
+                            )}
+                          </div>
+                          <div className="processed-image">
+                            <img src={showSkinMask && results.maskImageUrl ? results.maskImageUrl : results.processedImageUrl} alt={t('detection.processedAlt')} />
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
                   <div className="recommendations-container">
-                    <h4>Your Personalized Color Recommendations</h4>
+                    <h4>{t('recommendations.title')}</h4>
+                    <div className="recommendation-toolbar">
+                      <p className="recommendation-basis">
+                        {t(recommendations.source === 'harmony' ? 'recommendations.basisHarmony' : 'recommendations.basisSeason', {
+                          undertone: t(`undertoneNames.${undertone.undertone}`),
+                          season: t(`seasons.${season.id}.name`),
+                        })}
+                      </p>
+                      {recommendations.source === 'harmony' && (
+                        <label className="recommendation-count">
+                          {t('recommendations.colors')}
+                          <select value={recommendationCount} onChange={(event) => setRecommendationCount(Number(event.target.value))}>
+                            {[4, 8, 12].map((count) => (
+                              <option key={count} value={count}>{count}</option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                    </div>
 
                     <div className="recommendation-tabs">
                       <button className={`tab-btn ${activeTab === 'recommended' ? 'active' : ''}`} onClick={() => setActiveTab('recommended')}>
-                        Recommended Colors
+                        {t('recommendations.recommendedTab')}
                       </button>
                       <button className={`tab-btn ${activeTab === 'avoid' ? 'active' : ''}`} onClick={() => setActiveTab('avoid')}>
-                        Colors to Avoid
+                        {t('recommendations.avoidTab')}
                       </button>
+                      {BEAUTY_CATEGORIES.map((category) => (
+                        <button
+                          key={category.id}
+                          className={`tab-btn ${activeTab === category.id ? 'active' : ''}`}
+                          onClick={() => setActiveTab(category.id)}
+                        >
+                          <i className={category.icon}></i> {t(`beauty.${category.id}.label`)}
+                        </button>
+                      ))}
                     </div>
 
                     <div className="tab-content">
                       <div className={`tab-pane ${activeTab === 'recommended' ? 'active' : ''}`} id="recommended-tab">
                         <div className="color-chips" id="recommended-colors">
-                          {results.recommendations.recommended.map((color) => (
-                            <div className="color-chip" key={color.name}>
+                          {recommendations.recommended.map((color) => (
+                            <div
+                              className={`color-chip ${canTryOn ? 'try-on-enabled' : ''} ${
+                                tryOnColors.some((entry) => entry.hex === color.hex) ? 'selected' : ''
+                              }`}
+                              key={color.hex}
+                              title={color.reasons ? explain('harmony', color.reasons) : color.explanation}
+                              role={canTryOn ? 'button' : undefined}
+                              tabIndex={canTryOn ? 0 : undefined}
+                              onClick={canTryOn ? () => toggleTryOnColor(color) : undefined}
+                              onKeyDown={canTryOn ? (event) => event.key === 'Enter' && toggleTryOnColor(color) : undefined}
+                            >
                               <div className="color-preview" style={{ backgroundColor: color.hex }}></div>
-                              <span>{color.name}</span>
+                              <div className="color-chip-text">
+                                <span>
+                                  {colorName(color.name)}
+                                  {color.score !== undefined && <em className="color-chip-score">{Math.round(color.score * 100)}</em>}
+                                </span>
+                                {color.reasons && <small>{explain('harmony', color.reasons)}</small>}
+                              </div>
                             </div>
                           ))}
                         </div>
-                        <p className="recommendation-tip">These colors will enhance your natural skin tone and create a harmonious look.</p>
+                        <p className="recommendation-tip">{t('recommendations.recommendedTip')}</p>
                       </div>
 
                       <div className={`tab-pane ${activeTab === 'avoid' ? 'active' : ''}`} id="avoid-tab">
                         <div className="color-chips" id="avoid-colors">
-                          {results.recommendations.avoid.map((color) => (
-                            <div className="color-chip" key={color.name}>
+                          {recommendations.avoid.map((color) => (
+                            <div
+                              className={`color-chip ${canTryOn ? 'try-on-enabled' : ''} ${
+                                tryOnColors.some((entry) => entry.hex === color.hex) ? 'selected' : ''
+                              }`}
+                              key={color.hex}
+                              title={color.reasons ? explain('harmony', color.reasons) : color.explanation}
+                              role={canTryOn ? 'button' : undefined}
+                              tabIndex={canTryOn ? 0 : undefined}
+                              onClick={canTryOn ? () => toggleTryOnColor(color) : undefined}
+                              onKeyDown={canTryOn ? (event) => event.key === 'Enter' && toggleTryOnColor(color) : undefined}
+                            >
                               <div className="color-preview" style={{ backgroundColor: color.hex }}></div>
-                              <span>{color.name}</span>
+                              <div className="color-chip-text">
+                                <span>
+                                  {colorName(color.name)}
+                                  {color.score !== undefined && <em className="color-chip-score">{Math.round(color.score * 100)}</em>}
+                                </span>
+                                {color.reasons && <small>{explain('harmony', color.reasons)}</small>}
+                              </div>
                             </div>
                           ))}
                         </div>
-                        <p className="recommendation-tip">These colors may clash with your skin tone or make you appear washed out.</p>
+                        <p className="recommendation-tip">{t('recommendations.avoidTip')}</p>
                       </div>
+
+                      {BEAUTY_CATEGORIES.map((category) => (
+                        <div
+                          key={category.id}
+                          className={`tab-pane ${activeTab === category.id ? 'active' : ''}`}
+                          id={`${category.id}-tab`}
+                        >
+                          <div className="color-chips">
+                            {beauty[category.id].recommended.map((shade) => (
+                              <div className="color-chip" key={shade.name} title={explain('beauty', shade.reasons)}>
+                                <div className="color-preview" style={{ backgroundColor: shade.hex }}></div>
+                                <div className="color-chip-text">
+                                  <span>
+                                    {colorName(shade.name)}
+                                    <em className="color-chip-score">{Math.round(shade.score * 100)}</em>
+                                  </span>
+                                  <small>{explain('beauty', shade.reasons)}</small>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                          <p className="recommendation-tip">{t(`beauty.${category.id}.tip`)}</p>
+                        </div>
+                      ))}
                     </div>
+
+                    {canTryOn && tryOnColors.length > 0 && (
+                      <TryOnPreview
+                        imageUrl={previewUrl}
+                        faceBox={results.faceBox}
+                        colors={tryOnColors}
+                        onRemove={(hex) => setTryOnColors((prev) => prev.filter((entry) => entry.hex !== hex))}
+                      />
+                    )}
+                    {canTryOn && tryOnColors.length === 0 && (
+                      <p className="try-on-hint">
+                        <i className="fas fa-tshirt"></i> {t('recommendations.tryOnHint')}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="report-container">
+                    <h4><i className="fas fa-download"></i> {t('report.title')}</h4>
+                    <p>{t('report.text')}</p>
+                    <ReportActions
+                      results={results}
+                      undertone={undertone}
+                      season={season}
+                      recommendations={recommendations}
+                      beauty={beauty}
+                    />
                   </div>
+
+                  <WardrobeChecker palette={recommendations} skinLab={results.skinLab} validateFile={isValidImageFile} />
                 </div>
               </div>
             )}
@@ -851,11 +1287,51 @@ function App() {
         </div>
       </section>
 
+      <section id="history" className="history">
+        <div className="container">
+          <div className="section-header">
+            <h2>{t('history.title')}</h2>
+            <p>{t('history.subtitle')}</p>
+          </div>
+
+          <div className="history-container">
+            <HistoryPanel
+              entries={historyEntries}
+              selectedIds={compareIds}
+              onToggleSelect={toggleCompareEntry}
+              onDelete={handleDeleteHistory}
+              onClear={handleClearHistory}
+            />
+            {historyEntries.length > 1 && (
+              <button
+                type="button"
+                className="analyze-btn history-compare-btn"
+                disabled={compareEntries.length < 2}
+                onClick={() => setShowCompare(true)}
+              >
+                <i className="fas fa-columns"></i> {t('history.compare', { count: compareEntries.length })}
+              </button>
+            )}
+            {feedbackCount > 0 && (
+              <div className="feedback-export">
+                <span>{t('feedback.collected', { count: feedbackCount })}</span>
+                <button type="button" className="browse-btn" onClick={handleExportFeedback}>
+                  <i className="fas fa-file-archive"></i> {t('feedback.export')}
+                </button>
+              </div>
+            )}
+            {showCompare && compareEntries.length >= 2 && (
+              <HistoryCompare entries={compareEntries} items={mstScaleItems} onClose={() => setShowCompare(false)} />
+            )}
+          </div>
+        </div>
+      </section>
+
       <section id="how-it-works" className="how-it-works">
         <div className="container">
           <div className="section-header">
-            <h2>How It Works</h2>
-            <p>Our advanced AI technology analyzes your photo in seconds</p>
+            <h2>{t('howItWorks.title')}</h2>
+            <p>{t('howItWorks.subtitle')}</p>
           </div>
 
           <div className="steps-container">
@@ -864,8 +1340,8 @@ function App() {
               <div className="step-icon">
                 <i className="fas fa-camera"></i>
               </div>
-              <h3>Upload a Photo</h3>
-              <p>Choose a well-lit, front-facing photo without makeup for the most accurate results.</p>
+              <h3>{t('howItWorks.steps.upload.title')}</h3>
+              <p>{t('howItWorks.steps.upload.text')}</p>
             </div>
 
             <div className="step-connector"></div>
@@ -875,8 +1351,8 @@ function App() {
               <div className="step-icon">
                 <i className="fas fa-brain"></i>
               </div>
-              <h3>AI Analysis</h3>
-              <p>Our deep learning model analyzes your image and classifies your skin tone on the MST scale.</p>
+              <h3>{t('howItWorks.steps.analysis.title')}</h3>
+              <p>{t('howItWorks.steps.analysis.text')}</p>
             </div>
 
             <div className="step-connector"></div>
@@ -886,8 +1362,8 @@ function App() {
               <div className="step-icon">
                 <i className="fas fa-palette"></i>
               </div>
-              <h3>Get Recommendations</h3>
-              <p>Receive personalized clothing color recommendations based on your skin tone classification.</p>
+              <h3>{t('howItWorks.steps.recommendations.title')}</h3>
+              <p>{t('howItWorks.steps.recommendations.text')}</p>
             </div>
           </div>
         </div>
@@ -896,36 +1372,19 @@ function App() {
       <section id="faq" className="faq">
         <div className="container">
           <div className="section-header">
-            <h2>Frequently Asked Questions</h2>
-            <p>Find answers to common questions about our skin tone analyzer</p>
+            <h2>{t('faq.title')}</h2>
+            <p>{t('faq.subtitle')}</p>
           </div>
 
           <div className="accordion">
-            {[
-              {
-                question: 'How accurate is the skin tone analysis?',
-                answer: 'Our AI model has been trained on diverse skin tone datasets and achieves high accuracy. However, results may vary based on lighting conditions, image quality, and other factors. For best results, use a well-lit photo without makeup or filters.',
-              },
-              {
-                question: 'Is my photo stored or shared?',
-                answer: 'Your privacy is important to us. Photos are processed locally in your browser and only uploaded to storage if configured. They are not shared with third parties.',
-              },
-              {
-                question: 'How is the Monk Skin Tone scale different from other scales?',
-                answer: 'The Monk Skin Tone (MST) scale was developed to be more inclusive of diverse skin tones. It features 10 shades that better represent the full spectrum of human skin colors, making it more comprehensive than traditional scales like Fitzpatrick which has only 6 categories.',
-              },
-              {
-                question: 'Why does skin tone matter for clothing colors?',
-                answer: 'Certain colors naturally complement different skin tones while others may clash or make you appear washed out. Understanding your skin tone helps you choose clothing colors that enhance your natural features and create a more harmonious appearance.',
-              },
-            ].map((item, index) => (
-              <div className={`accordion-item ${accordionOpen[index] ? 'active' : ''}`} key={item.question}>
+            {FAQ_ITEMS.map((key, index) => (
+              <div className={`accordion-item ${accordionOpen[index] ? 'active' : ''}`} key={key}>
                 <button className={`accordion-button ${accordionOpen[index] ? 'active' : ''}`} onClick={() => toggleAccordion(index)}>
-                  <span>{item.question}</span>
+                  <span>{t(`faq.items.${key}.question`)}</span>
                   <i className="fas fa-chevron-down"></i>
                 </button>
                 <div className="accordion-content">
-                  <p>{item.answer}</p>
+                  <p>{t(`faq.items.${key}.answer`)}</p>
                 </div>
               </div>
             ))}
@@ -935,9 +1394,9 @@ function App() {
 
       <section className="cta">
         <div className="container">
-          <h2>Ready to Discover Your Perfect Colors?</h2>
-          <p>Upload your photo now and transform your wardrobe with personalized color recommendations</p>
-          <a href="#analyzer" className="cta-btn">Try Skin Tone Analyzer <i className="fas fa-arrow-right"></i></a>
+          <h2>{t('cta.title')}</h2>
+          <p>{t('cta.text')}</p>
+          <a href="#analyzer" className="cta-btn">{t('cta.button')} <i className="fas fa-arrow-right"></i></a>
         </div>
       </section>
 
@@ -946,40 +1405,40 @@ function App() {
           <div className="footer-content">
             <div className="footer-logo">
               <i className="fas fa-palette"></i> SkinTone<span>AI</span>
-              <p>Discover your perfect color palette with AI-powered skin tone analysis</p>
+              <p>{t('footer.tagline')}</p>
             </div>
 
             <div className="footer-links">
-              <h4>Quick Links</h4>
+              <h4>{t('footer.quickLinks')}</h4>
               <ul>
-                <li><a href="#about">About</a></li>
-                <li><a href="#analyzer">Analyzer</a></li>
-                <li><a href="#how-it-works">How It Works</a></li>
-                <li><a href="#faq">FAQ</a></li>
+                <li><a href="#about">{t('nav.about')}</a></li>
+                <li><a href="#analyzer">{t('nav.analyzer')}</a></li>
+                <li><a href="#how-it-works">{t('nav.howItWorks')}</a></li>
+                <li><a href="#faq">{t('nav.faq')}</a></li>
               </ul>
             </div>
 
             <div className="footer-links">
-              <h4>Resources</h4>
+              <h4>{t('footer.resources')}</h4>
               <ul>
-                <li><a href="#">Privacy Policy</a></li>
-                <li><a href="#">Terms of Service</a></li>
-                <li><a href="#">Contact Us</a></li>
+                <li><a href="#">{t('footer.privacyPolicy')}</a></li>
+                <li><a href="#">{t('footer.terms')}</a></li>
+                <li><a href="#">{t('footer.contact')}</a></li>
               </ul>
             </div>
 
             <div className="footer-newsletter">
-              <h4>Stay Updated</h4>
-              <p>Subscribe to our newsletter for style tips and updates</p>
+              <h4>{t('footer.newsletterTitle')}</h4>
+              <p>{t('footer.newsletterText')}</p>
               <div className="newsletter-form">
-                <input type="email" placeholder="Your email address" />
+                <input type="email" placeholder={t('footer.emailPlaceholder')} />
                 <button type="button"><i className="fas fa-paper-plane"></i></button>
               </div>
             </div>
           </div>
 
           <div className="footer-bottom">
-            <p>&copy; 2025 SkinToneAI. All rights reserved.</p>
+            <p>&copy; 2025 SkinToneAI. {t('footer.rights')}</p>
             <div className="social-links">
               <a href="#"><i className="fab fa-facebook-f"></i></a>
               <a href="#"><i className="fab fa-twitter"></i></a>
@@ -989,14 +1448,6 @@ function App() {
           </div>
         </div>
       </footer>
-
-      <div className={`loading-overlay ${loading ? 'active' : ''}`} id="loading-overlay">
-        <div className="loading-content">
-          <div className="spinner"></div>
-          <h3>Analyzing Your Image</h3>
-          <p>This will only take a moment...</p>
-        </div>
-      </div>
     </div>
   )
 }
@@ -0,0 +1,128 @@
+import * as tf from '@tensorflow/tfjs'
+import { BACKEND_BENCHMARK_RUNS, BACKEND_BENCHMARK_SIZE, BACKEND_CANDIDATES } from './constants.js'
+
+let backendReadyPromise = null
+let backendInfo = null
+
+const now = () => performance.now()
+
+const BACKEND_LOADERS = {
+  webgpu: async () => {
+    if (typeof navigator === 'undefined' || !navigator.gpu) {
+      return false
+    }
+    await import('@tensorflow/tfjs-backend-webgpu')
+    return true
+  },
+  webgl: async () => true,
+  wasm: async ({ wasmPaths }) => {
+    const wasm = await import('@tensorflow/tfjs-backend-wasm')
+    if (wasmPaths) {
+      wasm.setWasmPaths(wasmPaths)
+    }
+    return true
+  },
+  cpu: async () => true,
+}
+
+const activateBackend = async (name, options) => {
+  try {
+    if (!BACKEND_LOADERS[name] || !(await BACKEND_LOADERS[name](options))) {
+      return false
+    }
+    if (!(await tf.setBackend(name))) {
+      return false
+    }
+    await tf.ready()
+    return tf.getBackend() === name
+  } catch {
+    return false
+  }
+}
+
+const runBenchmarkOnce = async (size) => {
+  const result = tf.tidy(() => {
+    const input = tf.randomUniform([1, size, size, 3])
+    const filter = tf.randomUniform([3, 3, 3, 16])
+    const depthwiseFilter = tf.randomUniform([3, 3, 16, 1])
+    const features = tf.relu6(tf.conv2d(input, filter, 2, 'same'))
+    return tf.depthwiseConv2d(features, depthwiseFilter, 1, 'same').mean()
+  })
+  await result.data()
+  result.dispose()
+}
+
+export const benchmarkBackend = async (size = BACKEND_BENCHMARK_SIZE, runs = BACKEND_BENCHMARK_RUNS) => {
+  await runBenchmarkOnce(size)
+  const durations = []
+  for (let run = 0; run < runs; run += 1) {
+    const start = now()
+    await runBenchmarkOnce(size)
+    durations.push(now() - start)
+  }
+  durations.sort((a, b) => a - b)
+  return durations[Math.floor(durations.length / 2)]
+}
+
+const getWasmFeatures = async () => {
+  if (tf.getBackend() !== 'wasm') {
+    return { simd: null, threads: null }
+  }
+  return {
+    simd: await tf.env().getAsync('WASM_HAS_SIMD_SUPPORT'),
+    threads: await tf.env().getAsync('WASM_HAS_MULTITHREAD_SUPPORT'),
+  }
+}
+
+const selectFastestBackend = async (candidates, options) => {
+  const benchmarks = []
+  for (const name of candidates.filter((candidate) => candidate !== 'cpu')) {
+    if (!(await activateBackend(name, options))) {
+      benchmarks.push({ backend: name, available: false, ms: null })
+      continue
+    }
+    try {
+      benchmarks.push({ backend: name, available: true, ms: await benchmarkBackend() })
+    } catch {
+      benchmarks.push({ backend: name, available: false, ms: null })
+    }
+  }
+  const fastest = benchmarks.filter((entry) => entry.available).sort((a, b) => a.ms - b.ms)[0]
+  const selected = fastest?.backend ?? (candidates.includes('cpu') ? 'cpu' : null)
+  if (!selected || !(await activateBackend(selected, options))) {
+    throw new Error('No TensorFlow.js backend could be initialized.')
+  }
+  benchmarks
+    .filter((entry) => entry.available && entry.backend !== selected)
+    .forEach((entry) => tf.removeBackend(entry.backend))
+  return benchmarks
+}
+
+export const ensureBackendReady = async (preferredBackend = 'auto', { candidates = BACKEND_CANDIDATES, wasmPaths } = {}) => {
+  if (!backendReadyPromise) {
+    backendReadyPromise = (async () => {
+      const options = { wasmPaths }
+      const start = now()
+      const forced = preferredBackend !== 'auto' && (await activateBackend(preferredBackend, options))
+      const benchmarks = forced ? [] : await selectFastestBackend(candidates, options)
+      backendInfo = {
+        name: tf.getBackend(),
+        requested: preferredBackend,
+        ...(await getWasmFeatures()),
+        benchmarks,
+        selectionMs: now() - start,
+      }
+    })()
+    backendReadyPromise.catch(() => {
+      backendReadyPromise = null
+    })
+  }
+  try {
+    await backendReadyPromise
+    return true
+  } catch {
+    return false
+  }
+}
+
+export const getBackendInfo = () => backendInfo
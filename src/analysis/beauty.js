@@ -0,0 +1,129 @@
+import { deltaE2000, hexToRgb, rgbToLab } from './color.js'
+import {
+  BEAUTY_RECOMMENDATION_COUNT,
+  BEAUTY_WEIGHTS,
+  FOUNDATION_MATCH_SCALE,
+  FOUNDATION_UNDERTONE_PENALTY,
+  MST_COLORS,
+} from './constants.js'
+import { BEAUTY_CATEGORIES } from './beautyPalettes.js'
+import { formatReason } from './harmony.js'
+
+const DEPTH_FALLOFF = 3
+
+export const BEAUTY_REASONS = {
+  skinMatch: 'ΔE {deltaE} from your measured skin color, {undertone} undertone.',
+  mstMatch: 'Closest to the MST {mst} reference color, {undertone} undertone.',
+  undertone: 'suits {undertone} undertones',
+  depth: 'flatters MST {min}–{max} skin',
+  season: 'fits your {season} palette',
+  softMatch: 'A softer match for your coloring.',
+}
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value))
+
+const getReferenceLab = (skinLab, expectedMst) => {
+  if (skinLab) {
+    return skinLab
+  }
+  const index = clamp(Math.round(expectedMst ?? 5) - 1, 0, MST_COLORS.length - 1)
+  return rgbToLab(hexToRgb(MST_COLORS[index]))
+}
+
+export const matchFoundation = (shades, { skinLab = null, expectedMst = null, undertone = null, count = BEAUTY_RECOMMENDATION_COUNT } = {}) => {
+  const referenceLab = getReferenceLab(skinLab, expectedMst)
+  const tone = undertone?.undertone ?? 'neutral'
+  return shades
+    .map((shade) => {
+      const colorDistance = deltaE2000(referenceLab, rgbToLab(hexToRgb(shade.hex)))
+      const distance = colorDistance + (shade.undertone === tone ? 0 : FOUNDATION_UNDERTONE_PENALTY)
+      const reason = skinLab
+        ? { key: 'skinMatch', params: { deltaE: colorDistance.toFixed(1), undertone: shade.undertone } }
+        : { key: 'mstMatch', params: { mst: Math.round(expectedMst ?? 5), undertone: shade.undertone } }
+      return {
+        name: shade.name,
+        hex: shade.hex,
+        score: Math.exp(-distance / FOUNDATION_MATCH_SCALE),
+        explanation: formatReason(BEAUTY_REASONS, reason),
+        reasons: [reason],
+      }
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+}
+
+const scoreUndertone = (shade, tone) => {
+  if (shade.undertones.includes(tone)) {
+    return 1
+  }
+  return tone === 'neutral' || shade.undertones.includes('neutral') ? 0.5 : 0
+}
+
+const scoreDepth = (shade, expectedMst) => {
+  const [min, max] = shade.mst
+  const distance = expectedMst < min ? min - expectedMst : expectedMst > max ? expectedMst - max : 0
+  return clamp(1 - distance / DEPTH_FALLOFF)
+}
+
+const getShadeReasons = (shade, { tone, depth, seasonMatch, season }) => {
+  const reasons = []
+  if (shade.undertones.includes(tone)) {
+    reasons.push({ key: 'undertone', params: { undertone: tone } })
+  }
+  if (depth === 1) {
+    reasons.push({ key: 'depth', params: { min: shade.mst[0], max: shade.mst[1] } })
+  }
+  if (seasonMatch) {
+    reasons.push({ key: 'season', params: { season: season.id } })
+  }
+  return reasons.length > 0 ? reasons : [{ key: 'softMatch', params: {} }]
+}
+
+const describeShade = (reasons, season) => {
+  const phrases = reasons.map((reason) =>
+    formatReason(BEAUTY_REASONS, reason.key === 'season' ? { ...reason, params: { season: season.name } } : reason)
+  )
+  if (reasons[0].key === 'softMatch') {
+    return phrases[0]
+  }
+  const sentence = phrases.length > 1 ? `${phrases.slice(0, -1).join(', ')} and ${phrases.at(-1)}` : phrases[0]
+  return `${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`
+}
+
+export const suggestShades = (shades, { expectedMst = 5, undertone = null, season = null, count = BEAUTY_RECOMMENDATION_COUNT } = {}) => {
+  const tone = undertone?.undertone ?? 'neutral'
+  return shades
+    .map((shade) => {
+      const depth = scoreDepth(shade, expectedMst ?? 5)
+      const seasonMatch = Boolean(season && shade.families?.includes(season.family))
+      const seasonScore = shade.families && season ? Number(seasonMatch) : 0.5
+      const score =
+        BEAUTY_WEIGHTS.undertone * scoreUndertone(shade, tone) + BEAUTY_WEIGHTS.depth * depth + BEAUTY_WEIGHTS.season * seasonScore
+      const reasons = getShadeReasons(shade, { tone, depth, seasonMatch, season })
+      return {
+        name: shade.name,
+        hex: shade.hex,
+        score,
+        explanation: describeShade(reasons, season),
+        reasons,
+      }
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+}
+
+export const getBeautyRecommendations = (
+  { skinLab = null, expectedMst = null, undertone = null, season = null },
+  { categories = BEAUTY_CATEGORIES, count = BEAUTY_RECOMMENDATION_COUNT } = {}
+) =>
+  Object.fromEntries(
+    categories.map((category) => [
+      category.id,
+      {
+        recommended:
+          category.method === 'match'
+            ? matchFoundation(category.shades, { skinLab, expectedMst, undertone, count })
+            : suggestShades(category.shades, { expectedMst, undertone, season, count }),
+      },
+    ])
+  )
@@ -0,0 +1,108 @@
+export const FOUNDATION_SHADES = [
+  { name: 'Porcelain Cool', hex: '#f3d9cc', undertone: 'cool' },
+  { name: 'Porcelain Neutral', hex: '#f2dcc7', undertone: 'neutral' },
+  { name: 'Porcelain Warm', hex: '#f2dec0', undertone: 'warm' },
+  { name: 'Ivory Cool', hex: '#eccbbb', undertone: 'cool' },
+  { name: 'Ivory Neutral', hex: '#ebcfb4', undertone: 'neutral' },
+  { name: 'Ivory Warm', hex: '#ebd2aa', undertone: 'warm' },
+  { name: 'Sand Cool', hex: '#dfb9a0', undertone: 'cool' },
+  { name: 'Sand Neutral', hex: '#dfbe9b', undertone: 'neutral' },
+  { name: 'Sand Warm', hex: '#dfc190', undertone: 'warm' },
+  { name: 'Beige Cool', hex: '#cfa287', undertone: 'cool' },
+  { name: 'Beige Neutral', hex: '#d0a782', undertone: 'neutral' },
+  { name: 'Beige Warm', hex: '#d0ab76', undertone: 'warm' },
+  { name: 'Honey Cool', hex: '#b8856a', undertone: 'cool' },
+  { name: 'Honey Neutral', hex: '#ba8b62', undertone: 'neutral' },
+  { name: 'Honey Warm', hex: '#bb9056', undertone: 'warm' },
+  { name: 'Caramel Cool', hex: '#9d6a50', undertone: 'cool' },
+  { name: 'Caramel Neutral', hex: '#9f7049', undertone: 'neutral' },
+  { name: 'Caramel Warm', hex: '#a1753f', undertone: 'warm' },
+  { name: 'Chestnut Cool', hex: '#7b4e3c', undertone: 'cool' },
+  { name: 'Chestnut Neutral', hex: '#7c5236', undertone: 'neutral' },
+  { name: 'Chestnut Warm', hex: '#7e572e', undertone: 'warm' },
+  { name: 'Espresso Cool', hex: '#573629', undertone: 'cool' },
+  { name: 'Espresso Neutral', hex: '#593a27', undertone: 'neutral' },
+  { name: 'Espresso Warm', hex: '#5b3e21', undertone: 'warm' },
+  { name: 'Ebony Cool', hex: '#3d271f', undertone: 'cool' },
+  { name: 'Ebony Neutral', hex: '#3f2a1e', undertone: 'neutral' },
+  { name: 'Ebony Warm', hex: '#412d19', undertone: 'warm' },
+]
+
+export const LIPSTICK_SHADES = [
+  { name: 'Peach Nude', hex: '#e0a084', undertones: ['warm', 'neutral'], mst: [1, 4], families: ['spring', 'autumn'] },
+  { name: 'Pink Nude', hex: '#d99a9a', undertones: ['cool', 'neutral'], mst: [1, 4], families: ['summer'] },
+  { name: 'Coral', hex: '#f06d5b', undertones: ['warm'], mst: [1, 6], families: ['spring'] },
+  { name: 'Rose', hex: '#c8586e', undertones: ['cool', 'neutral'], mst: [1, 6], families: ['summer'] },
+  { name: 'Blue Red', hex: '#b3132e', undertones: ['cool'], mst: [1, 10], families: ['winter'] },
+  { name: 'Orange Red', hex: '#d93b1f', undertones: ['warm'], mst: [2, 8], families: ['spring', 'autumn'] },
+  { name: 'Terracotta', hex: '#b5543a', undertones: ['warm'], mst: [4, 8], families: ['autumn'] },
+  { name: 'Brick', hex: '#8f3a2a', undertones: ['warm', 'neutral'], mst: [5, 10], families: ['autumn'] },
+  { name: 'Mauve', hex: '#a0646e', undertones: ['cool', 'neutral'], mst: [3, 7], families: ['summer'] },
+  { name: 'Berry', hex: '#8a1f47', undertones: ['cool'], mst: [4, 10], families: ['winter', 'summer'] },
+  { name: 'Fuchsia', hex: '#c2185b', undertones: ['cool'], mst: [1, 10], families: ['winter'] },
+  { name: 'Caramel Nude', hex: '#a86b4f', undertones: ['warm', 'neutral'], mst: [5, 8], families: ['autumn'] },
+  { name: 'Chocolate Nude', hex: '#6e3b2c', undertones: ['warm', 'neutral'], mst: [7, 10], families: ['autumn', 'winter'] },
+  { name: 'Plum', hex: '#5e1d3d', undertones: ['cool', 'neutral'], mst: [6, 10], families: ['winter'] },
+]
+
+export const BLUSH_SHADES = [
+  { name: 'Soft Peach', hex: '#f4b69c', undertones: ['warm', 'neutral'], mst: [1, 4], families: ['spring'] },
+  { name: 'Baby Pink', hex: '#f2b5c0', undertones: ['cool', 'neutral'], mst: [1, 3], families: ['summer'] },
+  { name: 'Dusty Rose', hex: '#c98b8f', undertones: ['cool', 'neutral'], mst: [2, 6], families: ['summer'] },
+  { name: 'Coral', hex: '#ee7f6a', undertones: ['warm'], mst: [2, 6], families: ['spring', 'autumn'] },
+  { name: 'Apricot', hex: '#e8925a', undertones: ['warm'], mst: [3, 7], families: ['spring', 'autumn'] },
+  { name: 'Cool Berry', hex: '#b04a6c', undertones: ['cool'], mst: [4, 9], families: ['winter'] },
+  { name: 'Terracotta', hex: '#b8613f', undertones: ['warm', 'neutral'], mst: [5, 9], families: ['autumn'] },
+  { name: 'Plum', hex: '#7d3552', undertones: ['cool', 'neutral'], mst: [7, 10], families: ['winter'] },
+  { name: 'Deep Brick', hex: '#8c3b26', undertones: ['warm'], mst: [8, 10], families: ['autumn'] },
+]
+
+export const HAIR_COLORS = [
+  { name: 'Golden Blonde', hex: '#d4a759', undertones: ['warm'], mst: [1, 4], families: ['spring'] },
+  { name: 'Ash Blonde', hex: '#b8a88a', undertones: ['cool'], mst: [1, 3], families: ['summer'] },
+  { name: 'Strawberry Blonde', hex: '#c9825a', undertones: ['warm', 'neutral'], mst: [1, 4], families: ['spring'] },
+  { name: 'Honey Brown', hex: '#a0703f', undertones: ['warm', 'neutral'], mst: [2, 6], families: ['spring', 'autumn'] },
+  { name: 'Copper', hex: '#b0552a', undertones: ['warm'], mst: [1, 6], families: ['autumn'] },
+  { name: 'Ash Brown', hex: '#6b5c4d', undertones: ['cool', 'neutral'], mst: [2, 7], families: ['summer'] },
+  { name: 'Chestnut', hex: '#7a4328', undertones: ['warm', 'neutral'], mst: [3, 8], families: ['autumn'] },
+  { name: 'Auburn', hex: '#7d2f1e', undertones: ['warm'], mst: [3, 9], families: ['autumn'] },
+  { name: 'Mocha', hex: '#5a3d2e', undertones: ['neutral'], mst: [4, 9], families: ['autumn', 'summer'] },
+  { name: 'Burgundy', hex: '#5e1a24', undertones: ['cool'], mst: [5, 10], families: ['winter'] },
+  { name: 'Espresso', hex: '#33231b', undertones: ['warm', 'neutral'], mst: [5, 10], families: ['autumn', 'winter'] },
+  { name: 'Blue Black', hex: '#16161f', undertones: ['cool'], mst: [4, 10], families: ['winter'] },
+]
+
+export const BEAUTY_CATEGORIES = [
+  {
+    id: 'foundation',
+    label: 'Foundation',
+    icon: 'fas fa-tint',
+    method: 'match',
+    shades: FOUNDATION_SHADES,
+    tip: 'Swatch the closest shade on your jawline in daylight before buying.',
+  },
+  {
+    id: 'lipstick',
+    label: 'Lipstick',
+    icon: 'fas fa-kiss-wink-heart',
+    method: 'suggest',
+    shades: LIPSTICK_SHADES,
+    tip: 'Lip colors that flatter your depth and undertone.',
+  },
+  {
+    id: 'blush',
+    label: 'Blush',
+    icon: 'fas fa-smile',
+    method: 'suggest',
+    shades: BLUSH_SHADES,
+    tip: 'Blush shades that give a natural flush on your skin.',
+  },
+  {
+    id: 'hair',
+    label: 'Hair Color',
+    icon: 'fas fa-cut',
+    method: 'suggest',
+    shades: HAIR_COLORS,
+    tip: 'Hair colors that harmonize with your skin tone and contrast.',
+  },
+]
@@ -0,0 +1,182 @@
+const D65_WHITE = [0.95047, 1, 1.08883]
+
+const srgbToLinear = (value) => {
+  const channel = value / 255
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4
+}
+
+const linearToSrgb = (value) => {
+  const channel = value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055
+  return Math.round(Math.min(1, Math.max(0, channel)) * 255)
+}
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116)
+
+const labFInverse = (t) => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27))
+
+export const rgbToXyz = ([r, g, b]) => {
+  const lr = srgbToLinear(r)
+  const lg = srgbToLinear(g)
+  const lb = srgbToLinear(b)
+  return [
+    0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb,
+    0.2126729 * lr + 0.7151522 * lg + 0.072175 * lb,
+    0.0193339 * lr + 0.119192 * lg + 0.9503041 * lb,
+  ]
+}
+
+export const xyzToRgb = ([x, y, z]) => [
+  linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+  linearToSrgb(-0.969266 * x + 1.8760108 * y + 0.041556 * z),
+  linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z),
+]
+
+export const rgbToLab = (rgb) => {
+  const [x, y, z] = rgbToXyz(rgb)
+  const fx = labF(x / D65_WHITE[0])
+  const fy = labF(y / D65_WHITE[1])
+  const fz = labF(z / D65_WHITE[2])
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)]
+}
+
+export const labToRgb = ([l, a, b]) => {
+  const fy = (l + 16) / 116
+  const fx = fy + a / 500
+  const fz = fy - b / 200
+  return xyzToRgb([labFInverse(fx) * D65_WHITE[0], labFInverse(fy) * D65_WHITE[1], labFInverse(fz) * D65_WHITE[2]])
+}
+
+export const rgbToOklab = ([r, g, b]) => {
+  const lr = srgbToLinear(r)
+  const lg = srgbToLinear(g)
+  const lb = srgbToLinear(b)
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb)
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb)
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb)
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ]
+}
+
+const oklabToLinearRgb = ([lightness, a, b]) => {
+  const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3
+  const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3
+  const s = (lightness - 0.0894841775 * a - 1.291485548 * b) ** 3
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ]
+}
+
+export const oklabToRgb = (lab) => oklabToLinearRgb(lab).map(linearToSrgb)
+
+export const oklabToOklch = ([l, a, b]) => {
+  const hue = (Math.atan2(b, a) * 180) / Math.PI
+  return [l, Math.hypot(a, b), hue < 0 ? hue + 360 : hue]
+}
+
+export const oklchToOklab = ([l, c, h]) => [l, c * Math.cos((h * Math.PI) / 180), c * Math.sin((h * Math.PI) / 180)]
+
+export const isOklabInGamut = (lab, tolerance = 0.0001) =>
+  oklabToLinearRgb(lab).every((channel) => channel >= -tolerance && channel <= 1 + tolerance)
+
+export const oklchToRgb = ([l, c, h]) => {
+  let chroma = c
+  while (chroma > 0 && !isOklabInGamut(oklchToOklab([l, chroma, h]))) {
+    chroma = Math.max(0, chroma - 0.005)
+  }
+  return oklabToRgb(oklchToOklab([l, chroma, h]))
+}
+
+export const deltaE = (first, second) => Math.hypot(first[0] - second[0], first[1] - second[1], first[2] - second[2])
+
+export const deltaE2000 = ([l1, a1, b1], [l2, a2, b2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180
+  const toDegrees = (radians) => (radians * 180) / Math.PI
+  const c1 = Math.hypot(a1, b1)
+  const c2 = Math.hypot(a2, b2)
+  const meanC = (c1 + c2) / 2
+  const g = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + 25 ** 7)))
+  const a1p = a1 * (1 + g)
+  const a2p = a2 * (1 + g)
+  const c1p = Math.hypot(a1p, b1)
+  const c2p = Math.hypot(a2p, b2)
+  const h1p = c1p === 0 ? 0 : (toDegrees(Math.atan2(b1, a1p)) + 360) % 360
+  const h2p = c2p === 0 ? 0 : (toDegrees(Math.atan2(b2, a2p)) + 360) % 360
+  const deltaL = l2 - l1
+  const deltaC = c2p - c1p
+  let deltaH = 0
+  if (c1p * c2p !== 0) {
+    deltaH = h2p - h1p
+    if (deltaH > 180) {
+      deltaH -= 360
+    } else if (deltaH < -180) {
+      deltaH += 360
+    }
+  }
+  const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(deltaH / 2))
+  const meanL = (l1 + l2) / 2
+  const meanCp = (c1p + c2p) / 2
+  let meanH = h1p + h2p
+  if (c1p * c2p !== 0) {
+    meanH = Math.abs(h1p - h2p) > 180 ? (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2 : (h1p + h2p) / 2
+  }
+  const t =
+    1 -
+    0.17 * Math.cos(toRadians(meanH - 30)) +
+    0.24 * Math.cos(toRadians(2 * meanH)) +
+    0.32 * Math.cos(toRadians(3 * meanH + 6)) -
+    0.2 * Math.cos(toRadians(4 * meanH - 63))
+  const sl = 1 + (0.015 * (meanL - 50) ** 2) / Math.sqrt(20 + (meanL - 50) ** 2)
+  const sc = 1 + 0.045 * meanCp
+  const sh = 1 + 0.015 * meanCp * t
+  const rotation =
+    -2 * Math.sqrt(meanCp ** 7 / (meanCp ** 7 + 25 ** 7)) * Math.sin(toRadians(60 * Math.exp(-(((meanH - 275) / 25) ** 2))))
+  return Math.sqrt(
+    (deltaL / sl) ** 2 + (deltaC / sc) ** 2 + (deltaHp / sh) ** 2 + rotation * (deltaC / sc) * (deltaHp / sh)
+  )
+}
+
+export const rgbToYCbCr = ([r, g, b]) => [
+  0.299 * r + 0.587 * g + 0.114 * b,
+  128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+  128 + 0.5 * r - 0.418688 * g - 0.081312 * b,
+]
+
+export const rgbToHsv = ([r, g, b]) => {
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const delta = max - min
+  let hue = 0
+  if (delta > 0) {
+    if (max === r) {
+      hue = 60 * (((g - b) / delta) % 6)
+    } else if (max === g) {
+      hue = 60 * ((b - r) / delta + 2)
+    } else {
+      hue = 60 * ((r - g) / delta + 4)
+    }
+  }
+  return [hue < 0 ? hue + 360 : hue, max === 0 ? 0 : delta / max, max / 255]
+}
+
+export const rgbToHex = ([r, g, b]) =>
+  `#${[r, g, b].map((value) => Math.round(value).toString(16).padStart(2, '0')).join('')}`
+
+export const hexToRgb = (hex) => {
+  const value = hex.replace('#', '')
+  const full = value.length === 3 ? value.split('').map((char) => char + char).join('') : value
+  return [0, 2, 4].map((offset) => parseInt(full.slice(offset, offset + 2), 16))
+}
+
+export const median = (values) => {
+  if (values.length === 0) {
+    return 0
+  }
+  const sorted = Float64Array.from(values).sort()
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
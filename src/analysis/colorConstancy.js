@@ -0,0 +1,86 @@
+import * as tf from '@tensorflow/tfjs'
+import { COLOR_CORRECTION_MAX_GAIN, WHITE_PATCH_PERCENTILE } from './constants.js'
+
+const ESTIMATION_MAX_SIZE = 256
+
+const LUMA_WEIGHTS = [0.299, 0.587, 0.114]
+
+export const COLOR_CORRECTION_METHODS = ['white-patch', 'gray-world', 'none']
+
+const sampleForEstimation = async (pixels) => {
+  const [height, width] = pixels.shape
+  const scale = Math.min(1, ESTIMATION_MAX_SIZE / Math.max(width, height))
+  if (scale === 1) {
+    return pixels.data()
+  }
+  const sample = tf.image.resizeBilinear(pixels, [Math.max(1, Math.round(height * scale)), Math.max(1, Math.round(width * scale))])
+  try {
+    return await sample.data()
+  } finally {
+    sample.dispose()
+  }
+}
+
+const buildHistograms = (data) => {
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)]
+  for (let i = 0; i < data.length; i += 3) {
+    histograms[0][Math.min(255, Math.round(data[i]))] += 1
+    histograms[1][Math.min(255, Math.round(data[i + 1]))] += 1
+    histograms[2][Math.min(255, Math.round(data[i + 2]))] += 1
+  }
+  return histograms
+}
+
+const histogramPercentile = (histogram, total, percentile) => {
+  const target = total * percentile
+  let count = 0
+  for (let value = 0; value < histogram.length; value += 1) {
+    count += histogram[value]
+    if (count >= target) {
+      return value
+    }
+  }
+  return histogram.length - 1
+}
+
+const histogramMean = (histogram, total) => {
+  let sum = 0
+  histogram.forEach((count, value) => {
+    sum += count * value
+  })
+  return sum / total
+}
+
+const clampGain = (gain) => Math.min(COLOR_CORRECTION_MAX_GAIN, Math.max(1 / COLOR_CORRECTION_MAX_GAIN, gain))
+
+export const estimateIlluminant = (data, method = 'white-patch', percentile = WHITE_PATCH_PERCENTILE) => {
+  const histograms = buildHistograms(data)
+  const total = data.length / 3
+  if (method === 'gray-world') {
+    return histograms.map((histogram) => histogramMean(histogram, total))
+  }
+  return histograms.map((histogram) => histogramPercentile(histogram, total, percentile))
+}
+
+const getIlluminantLuminance = (illuminant) =>
+  illuminant.reduce((sum, value, channel) => sum + LUMA_WEIGHTS[channel] * value, 0)
+
+export const getCorrectionGains = (illuminant) => {
+  const luminance = getIlluminantLuminance(illuminant)
+  return illuminant.map((value) => clampGain(luminance / Math.max(1, value)))
+}
+
+export const estimateColorCorrection = async (pixels, { method = 'white-patch', percentile = WHITE_PATCH_PERCENTILE } = {}) => {
+  if (!method || method === 'none') {
+    return { method: 'none', illuminant: null, gains: [1, 1, 1] }
+  }
+  if (!COLOR_CORRECTION_METHODS.includes(method)) {
+    throw new Error(`Unknown color correction method: ${method}`)
+  }
+  const data = await sampleForEstimation(pixels)
+  const illuminant = estimateIlluminant(data, method, percentile)
+  return { method, illuminant, gains: getCorrectionGains(illuminant) }
+}
+
+export const applyColorCorrection = (pixels, gains) =>
+  tf.tidy(() => pixels.toFloat().mul(tf.tensor1d(gains)).round().clipByValue(0, 255).toInt())
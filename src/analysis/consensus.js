@@ -0,0 +1,122 @@
+import { getBeautyRecommendations } from './beauty.js'
+import { labToRgb, median, rgbToHex } from './color.js'
+import {
+  CLASS_LABELS,
+  CONSENSUS_MAX_DEVIATION,
+  CONSENSUS_MIN_QUALITY,
+  MST_COLORS,
+} from './constants.js'
+import { getSkinToneGroup, parseMstNumber, summarizeDistribution } from './prediction.js'
+import { generateHarmonyPalette, getSeasonRecommendations } from './harmony.js'
+import { classifySeason } from './season.js'
+import { estimateUndertone } from './undertone.js'
+
+const MIN_WEIGHT = 0.1
+
+const selectInliers = (candidates, { minQuality, maxDeviation }) => {
+  const rejected = new Map()
+  let included = candidates.filter((candidate) => candidate.qualityScore >= minQuality)
+  if (included.length === 0) {
+    const bestScore = Math.max(...candidates.map((candidate) => candidate.qualityScore))
+    included = candidates.filter((candidate) => candidate.qualityScore === bestScore)
+  }
+  candidates.filter((candidate) => !included.includes(candidate)).forEach((candidate) => rejected.set(candidate.index, 'low-quality'))
+  if (included.length >= 3) {
+    const center = median(included.map((candidate) => candidate.result.expectedMst))
+    const inliers = included.filter((candidate) => Math.abs(candidate.result.expectedMst - center) <= maxDeviation)
+    if (inliers.length > 0) {
+      included.filter((candidate) => !inliers.includes(candidate)).forEach((candidate) => rejected.set(candidate.index, 'outlier'))
+      included = inliers
+    }
+  }
+  return { included, rejected }
+}
+
+const fuseSkinColor = (included, weights) => {
+  const withSkin = included.filter((candidate) => candidate.result.skin?.color)
+  if (withSkin.length === 0) {
+    return null
+  }
+  const totalWeight = withSkin.reduce((sum, candidate) => sum + weights.get(candidate.index), 0)
+  const lab = [0, 1, 2].map((channel) =>
+    withSkin.reduce((sum, candidate) => sum + (weights.get(candidate.index) * candidate.result.skin.color.lab[channel]) / totalWeight, 0)
+  )
+  const rgb = labToRgb(lab)
+  return { color: { rgb, lab, hex: rgbToHex(rgb) } }
+}
+
+export const fuseResults = (
+  results,
+  {
+    labels = CLASS_LABELS,
+    minQuality = CONSENSUS_MIN_QUALITY,
+    maxDeviation = CONSENSUS_MAX_DEVIATION,
+    undertoneHints,
+    recommendationCount,
+  } = {}
+) => {
+  if (results.length === 0) {
+    throw new Error('At least one result is required to build a consensus.')
+  }
+  const candidates = results.map((result, index) => ({
+    result,
+    index,
+    qualityScore: result.quality?.score ?? 1,
+  }))
+  const { included, rejected } = selectInliers(candidates, { minQuality, maxDeviation })
+  const weights = new Map(included.map((candidate) => [candidate.index, Math.max(MIN_WEIGHT, candidate.qualityScore)]))
+  const totalWeight = [...weights.values()].reduce((sum, weight) => sum + weight, 0)
+  const fused = labels.map((_, labelIndex) =>
+    included.reduce(
+      (sum, candidate) => sum + (weights.get(candidate.index) * (candidate.result.probabilities[labelIndex] ?? 0)) / totalWeight,
+      0
+    )
+  )
+  const distribution = summarizeDistribution(fused, labels)
+  const [top] = distribution.ranked
+  const label = top.label
+  const mstIndex = parseMstNumber(label) - 1
+  const skinToneGroup = getSkinToneGroup(label)
+  const skin = fuseSkinColor(included, weights)
+  const undertone = estimateUndertone(skin?.color.lab ?? null, undertoneHints)
+  const features = [...included]
+    .sort((a, b) => weights.get(b.index) - weights.get(a.index))
+    .map((candidate) => candidate.result.features)
+    .find((entry) => entry?.hair || entry?.eyes) ?? { hair: null, eyes: null }
+  const season = classifySeason({ expectedMst: distribution.expectedMst, skinLab: skin?.color.lab ?? null, undertone, features })
+  return {
+    label,
+    confidence: top.probability,
+    labels,
+    model: results[0].model ?? null,
+    probabilities: distribution.probabilities,
+    expectedMst: distribution.expectedMst,
+    margin: distribution.margin,
+    uncertain: distribution.uncertain,
+    alternativeLabel: distribution.uncertain ? distribution.topLabels[1] : null,
+    mstIndex,
+    mstColor: MST_COLORS[mstIndex],
+    skinToneGroup,
+    skin,
+    undertone,
+    features,
+    season,
+    recommendations: skin
+      ? generateHarmonyPalette(skin.color.rgb, { undertone, season, count: recommendationCount })
+      : getSeasonRecommendations(season),
+    beauty: getBeautyRecommendations({ skinLab: skin?.color.lab ?? null, expectedMst: distribution.expectedMst, undertone, season }),
+    imageCount: results.length,
+    usedCount: included.length,
+    breakdown: candidates.map(({ result, index, qualityScore }) => ({
+      index,
+      label: result.label,
+      confidence: result.confidence,
+      expectedMst: result.expectedMst,
+      qualityScore,
+      undertone: result.undertone?.undertone ?? null,
+      weight: weights.has(index) ? weights.get(index) / totalWeight : 0,
+      included: weights.has(index),
+      rejectedReason: rejected.get(index) ?? null,
+    })),
+  }
+}
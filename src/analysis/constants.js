@@ -0,0 +1,86 @@
+export const MST_COLORS = [
+  '#f6ede4',
+  '#f3e7db',
+  '#f7ead0',
+  '#eadaba',
+  '#d7bd96',
+  '#a07e56',
+  '#825c43',
+  '#604134',
+  '#3a312a',
+  '#292420',
+]
+
+export const CLASS_LABELS = [
+  'MST1',
+  'MST2',
+  'MST3',
+  'MST4',
+  'MST5',
+  'MST6',
+  'MST7',
+  'MST8',
+  'MST9',
+  'MST10',
+]
+
+export const UNDERTONES = ['warm', 'neutral', 'cool']
+
+export const BACKEND_CANDIDATES = ['webgpu', 'webgl', 'wasm', 'cpu']
+export const MAIN_THREAD_BACKEND_CANDIDATES = ['webgl', 'wasm', 'cpu']
+export const BACKEND_BENCHMARK_SIZE = 224
+export const BACKEND_BENCHMARK_RUNS = 3
+export const MODEL_INPUT_SIZE = 224
+export const MODEL_NORMALIZATION = { mean: [0, 0, 0], std: [255, 255, 255] }
+export const FACE_DETECTOR_TIMEOUT_MS = 8000
+export const DETECTION_MAX_SIZE = 640
+export const FACE_CROP_MARGIN = 0.2
+export const UNCERTAIN_MARGIN = 0.15
+export const TTA_VARIANTS = [
+  { id: 'flip', flip: true },
+  { id: 'shiftLeft', shiftX: -0.05 },
+  { id: 'shiftRight', shiftX: 0.05 },
+  { id: 'shiftUp', shiftY: -0.05 },
+  { id: 'zoomIn', scale: 0.9 },
+  { id: 'zoomOut', scale: 1.1 },
+  { id: 'brighter', brightness: 1.1 },
+  { id: 'darker', brightness: 0.9 },
+]
+export const STABLE_AGREEMENT = 0.75
+export const STABLE_MST_SPREAD = 0.5
+export const WHITE_PATCH_PERCENTILE = 0.99
+export const COLOR_CORRECTION_MAX_GAIN = 2.5
+export const MIN_SKIN_COVERAGE = 0.05
+export const MAX_FACES = 6
+export const QUALITY_SAMPLE_MAX_SIZE = 256
+export const QUALITY_THRESHOLDS = {
+  sharpness: { error: 15, warning: 40 },
+  darkExposure: { error: 25, warning: 45 },
+  brightExposure: { error: 225, warning: 205 },
+  clippedHighlights: { error: 0.25, warning: 0.1 },
+  crushedShadows: { error: 0.5, warning: 0.25 },
+  faceRatio: { error: 0.08, warning: 0.15 },
+  facePixels: { error: 48, warning: 96 },
+  yaw: { error: 35, warning: 20 },
+  roll: { error: 30, warning: 15 },
+}
+export const CONSENSUS_MIN_QUALITY = 0.5
+export const CONSENSUS_MAX_DEVIATION = 2
+export const UNDERTONE_HUE_RANGE = { cool: 50, warm: 62 }
+export const UNDERTONE_DECISION_THRESHOLD = 0.25
+export const UNDERTONE_WEIGHTS = { skin: 0.6, veins: 0.25, jewelry: 0.15 }
+export const SEASON_CONTRAST_RANGE = { soft: 25, bright: 55 }
+export const SEASON_WEIGHTS = { skinValue: 0.7, hairValue: 0.3, contrast: 0.7, chroma: 0.3 }
+export const HARMONY_DEFAULT_COUNT = 8
+export const HARMONY_LIGHTNESS_STEPS = [0.28, 0.4, 0.52, 0.64, 0.76, 0.88]
+export const HARMONY_CHROMA_STEPS = [0.04, 0.09, 0.14, 0.2]
+export const HARMONY_HUE_STEP = 15
+export const HARMONY_WEIGHTS = { contrast: 0.35, temperature: 0.25, hue: 0.15, chroma: 0.25, blend: 0.6 }
+export const WARDROBE_SAMPLE_SIZE = 160
+export const WARDROBE_CLUSTER_COUNT = 4
+export const WARDROBE_MIN_SHARE = 0.12
+export const WARDROBE_MATCH_SCALE = 15
+export const BEAUTY_RECOMMENDATION_COUNT = 4
+export const BEAUTY_WEIGHTS = { undertone: 0.45, depth: 0.35, season: 0.2 }
+export const FOUNDATION_MATCH_SCALE = 10
+export const FOUNDATION_UNDERTONE_PENALTY = 3
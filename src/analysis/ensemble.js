@@ -0,0 +1,37 @@
+import { CLASS_LABELS, STABLE_AGREEMENT, STABLE_MST_SPREAD } from './constants.js'
+import { alignProbabilities, summarizeDistribution } from './prediction.js'
+
+export const predictSamples = async (model, batch, labels = CLASS_LABELS) => {
+  const output = model.predict(batch)
+  const rows = await output.array()
+  output.dispose()
+  return rows.map((row) => alignProbabilities(row, labels))
+}
+
+export const averageProbabilities = (samples) =>
+  CLASS_LABELS.map((_, index) => samples.reduce((sum, sample) => sum + (sample[index] ?? 0), 0) / samples.length)
+
+export const summarizeStability = (
+  samples,
+  label,
+  { stableAgreement = STABLE_AGREEMENT, stableSpread = STABLE_MST_SPREAD, models = [] } = {}
+) => {
+  const distributions = samples.map((sample) => summarizeDistribution(sample))
+  const votes = distributions.reduce((counts, distribution) => {
+    const top = distribution.ranked[0].label
+    return { ...counts, [top]: (counts[top] ?? 0) + 1 }
+  }, {})
+  const expected = distributions.map((distribution) => distribution.expectedMst)
+  const mean = expected.reduce((sum, value) => sum + value, 0) / expected.length
+  const spread = Math.sqrt(expected.reduce((sum, value) => sum + (value - mean) ** 2, 0) / expected.length)
+  const agreement = (votes[label] ?? 0) / samples.length
+  return {
+    samples: samples.length,
+    models,
+    votes,
+    agreement,
+    spread,
+    expectedRange: [Math.min(...expected), Math.max(...expected)],
+    stable: agreement >= stableAgreement && spread <= stableSpread,
+  }
+}
@@ -0,0 +1,64 @@
+import { ensureBackendReady } from './backend.js'
+import { FACE_DETECTOR_TIMEOUT_MS } from './constants.js'
+
+const faceDetectorCache = new Map()
+
+export const withTimeout = (promise, timeoutMs, message = 'Face detector timeout') =>
+  new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => reject(new Error(message)), timeoutMs)
+    promise
+      .then((value) => {
+        clearTimeout(timeoutId)
+        resolve(value)
+      })
+      .catch((error) => {
+        clearTimeout(timeoutId)
+        reject(error)
+      })
+  })
+
+const createTfjsDetector = (faceDetection, detectorModelUrl) =>
+  withTimeout(
+    faceDetection.createDetector(faceDetection.SupportedModels.MediaPipeFaceDetector, {
+      runtime: 'tfjs',
+      modelType: 'short',
+      detectorModelUrl,
+    }),
+    FACE_DETECTOR_TIMEOUT_MS
+  )
+
+export const loadFaceDetector = (modelUrl = null, { backend = 'auto', candidates, wasmPaths } = {}) => {
+  if (!modelUrl) {
+    return Promise.resolve(null)
+  }
+  if (!faceDetectorCache.has(modelUrl)) {
+    faceDetectorCache.set(
+      modelUrl,
+      (async () => {
+        const backendOk = await ensureBackendReady(backend, { candidates, wasmPaths })
+        if (!backendOk) {
+          return null
+        }
+        try {
+          const faceDetection = await import('@tensorflow-models/face-detection')
+          return await createTfjsDetector(faceDetection, modelUrl)
+        } catch {
+          return null
+        }
+      })()
+    )
+  }
+  return faceDetectorCache.get(modelUrl)
+}
+
+export const getFaceBox = (face) => {
+  const box = face?.box ?? face?.boundingBox
+  if (!box) {
+    return null
+  }
+  const x = box.xMin ?? box.x ?? 0
+  const y = box.yMin ?? box.y ?? 0
+  const width = box.width ?? Math.max(0, (box.xMax ?? 0) - (box.xMin ?? 0))
+  const height = box.height ?? Math.max(0, (box.yMax ?? 0) - (box.yMin ?? 0))
+  return { x, y, width, height }
+}
@@ -0,0 +1,74 @@
+import { median, rgbToHex, rgbToLab } from './color.js'
+import { isSkinColor, toCropSpace } from './skinMask.js'
+
+const MIN_FEATURE_SAMPLES = 12
+const EYE_RADIUS_RATIO = 0.05
+const EYE_DARKEST_SHARE = 0.4
+
+const getLuminance = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b
+
+const summarizeColor = (samples) => {
+  if (samples.length < MIN_FEATURE_SAMPLES) {
+    return null
+  }
+  const rgb = [0, 1, 2].map((channel) => Math.round(median(samples.map((sample) => sample[channel]))))
+  return { rgb, lab: rgbToLab(rgb), hex: rgbToHex(rgb) }
+}
+
+const readPixel = (data, width, x, y) => {
+  const offset = (y * width + x) * 4
+  return [data[offset], data[offset + 1], data[offset + 2]]
+}
+
+const sampleEye = ({ data, width, height }, center, radius) => {
+  const samples = []
+  const r = Math.max(1, Math.round(radius))
+  for (let y = Math.max(0, Math.round(center.y) - r); y <= Math.min(height - 1, Math.round(center.y) + r); y += 1) {
+    for (let x = Math.max(0, Math.round(center.x) - r); x <= Math.min(width - 1, Math.round(center.x) + r); x += 1) {
+      if ((x - center.x) ** 2 + (y - center.y) ** 2 <= r * r) {
+        samples.push(readPixel(data, width, x, y))
+      }
+    }
+  }
+  samples.sort((a, b) => getLuminance(a) - getLuminance(b))
+  return samples.slice(0, Math.ceil(samples.length * EYE_DARKEST_SHARE))
+}
+
+const sampleHair = ({ data, width, height }, faceBox) => {
+  const samples = []
+  const top = Math.max(0, Math.round(faceBox.y - faceBox.height * 0.25))
+  const bottom = Math.min(height - 1, Math.round(faceBox.y + faceBox.height * 0.05))
+  const left = Math.max(0, Math.round(faceBox.x + faceBox.width * 0.2))
+  const right = Math.min(width - 1, Math.round(faceBox.x + faceBox.width * 0.8))
+  for (let y = top; y <= bottom; y += 1) {
+    for (let x = left; x <= right; x += 1) {
+      const rgb = readPixel(data, width, x, y)
+      if (!isSkinColor(rgb)) {
+        samples.push(rgb)
+      }
+    }
+  }
+  return samples
+}
+
+export const sampleFacialFeatures = (crop, { cropBox, face } = {}) => {
+  if (!face?.box || !cropBox) {
+    return { hair: null, eyes: null }
+  }
+  const { width, height } = crop
+  const topLeft = toCropSpace({ x: face.box.x, y: face.box.y }, cropBox, width, height)
+  const bottomRight = toCropSpace(
+    { x: face.box.x + face.box.width, y: face.box.y + face.box.height },
+    cropBox,
+    width,
+    height
+  )
+  const faceBox = { x: topLeft.x, y: topLeft.y, width: bottomRight.x - topLeft.x, height: bottomRight.y - topLeft.y }
+  const eyeSamples = (face.keypoints ?? [])
+    .filter((point) => point.name === 'rightEye' || point.name === 'leftEye')
+    .flatMap((point) => sampleEye(crop, toCropSpace(point, cropBox, width, height), faceBox.width * EYE_RADIUS_RATIO))
+  return {
+    hair: summarizeColor(sampleHair(crop, faceBox)),
+    eyes: summarizeColor(eyeSamples),
+  }
+}
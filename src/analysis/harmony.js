@@ -0,0 +1,192 @@
+import { deltaE, oklabToOklch, oklchToRgb, rgbToHex, rgbToOklab } from './color.js'
+import {
+  HARMONY_CHROMA_STEPS,
+  HARMONY_DEFAULT_COUNT,
+  HARMONY_HUE_STEP,
+  HARMONY_LIGHTNESS_STEPS,
+  HARMONY_WEIGHTS,
+} from './constants.js'
+
+const BLEND_DISTANCE = 0.08
+const MIN_HUE_SEPARATION = 25
+const MIN_LIGHTNESS_SEPARATION = 0.2
+
+const HUE_NAMES = [
+  [20, 'Pink'],
+  [45, 'Red'],
+  [70, 'Orange'],
+  [95, 'Gold'],
+  [115, 'Yellow'],
+  [135, 'Lime'],
+  [165, 'Green'],
+  [200, 'Teal'],
+  [235, 'Cyan'],
+  [275, 'Blue'],
+  [305, 'Indigo'],
+  [330, 'Purple'],
+  [350, 'Magenta'],
+  [360, 'Pink'],
+]
+
+export const HARMONY_REASONS = {
+  contrast: 'Clear lightness contrast with your skin',
+  undertoneMatch: 'Echoes your {undertone} undertone',
+  complementary: 'Complementary hue to your skin',
+  vividChroma: 'Saturation suits your vivid coloring',
+  softChroma: 'Muted enough for your soft coloring',
+  balancedChroma: 'Balanced saturation for your coloring',
+  blendsWithSkin: 'Too close to your skin tone, so it washes you out',
+  undertoneClash: 'Fights your {undertone} undertone',
+  tooIntense: 'Too intense for your coloring',
+  tooDull: 'Too dull next to your coloring',
+  lowContrast: 'Too little contrast with your skin',
+}
+
+export const formatReason = (templates, { key, params = {} }) =>
+  templates[key].replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value))
+
+const hueDistance = (first, second) => {
+  const distance = Math.abs(first - second) % 360
+  return distance > 180 ? 360 - distance : distance
+}
+
+export const nameColor = ([l, c, h]) => {
+  if (c < 0.03) {
+    return l > 0.92 ? 'White' : l > 0.72 ? 'Light Gray' : l > 0.48 ? 'Gray' : l > 0.3 ? 'Charcoal' : 'Black'
+  }
+  let hueName = HUE_NAMES.find(([maxHue]) => h < maxHue)?.[1] ?? 'Pink'
+  if ((hueName === 'Orange' || hueName === 'Gold') && l < 0.5) {
+    hueName = 'Brown'
+  } else if ((hueName === 'Yellow' || hueName === 'Lime') && l < 0.55) {
+    hueName = 'Olive'
+  }
+  const chromaModifier = c < 0.07 ? 'Dusty' : c > 0.17 ? 'Vivid' : ''
+  const lightnessModifier = l < 0.36 ? 'Deep' : l > 0.82 ? 'Pale' : l > 0.7 ? 'Light' : ''
+  return [chromaModifier, lightnessModifier, hueName].filter(Boolean).join(' ')
+}
+
+const buildCandidates = () => {
+  const candidates = new Map()
+  for (const l of HARMONY_LIGHTNESS_STEPS) {
+    for (const c of HARMONY_CHROMA_STEPS) {
+      for (let h = 0; h < 360; h += HARMONY_HUE_STEP) {
+        const rgb = oklchToRgb([l, c, h])
+        const hex = rgbToHex(rgb)
+        if (!candidates.has(hex)) {
+          const oklab = rgbToOklab(rgb)
+          candidates.set(hex, { hex, rgb, oklab, oklch: oklabToOklch(oklab) })
+        }
+      }
+    }
+    const neutral = oklchToRgb([l, 0, 0])
+    candidates.set(rgbToHex(neutral), { hex: rgbToHex(neutral), rgb: neutral, oklab: rgbToOklab(neutral), oklch: [l, 0, 0] })
+  }
+  return [...candidates.values()]
+}
+
+let candidateCache = null
+
+const getCandidates = () => {
+  if (!candidateCache) {
+    candidateCache = buildCandidates()
+  }
+  return candidateCache
+}
+
+const scoreCandidate = (candidate, skin, { undertone, undertoneScore, chromaPreference }) => {
+  const [l, c, h] = candidate.oklch
+  const contrast = clamp(Math.abs(l - skin.oklch[0]) / 0.3)
+  const blend = clamp((BLEND_DISTANCE - deltaE(candidate.oklab, skin.oklab)) / BLEND_DISTANCE)
+  const colorfulness = clamp(c / 0.08)
+  const warmth = Math.cos(((h - 60) * Math.PI) / 180) * colorfulness
+  const temperature = undertoneScore * warmth
+  const distance = hueDistance(h, skin.oklch[2])
+  const hue = colorfulness * (distance >= 140 ? 1 : distance <= 30 ? 0.4 : 0.6) + (1 - colorfulness) * 0.5
+  const preferredChroma = 0.1 + 0.06 * chromaPreference
+  const chroma = 1 - clamp(Math.abs(c - preferredChroma) / 0.1)
+  const score = clamp(
+    HARMONY_WEIGHTS.contrast * contrast +
+      HARMONY_WEIGHTS.temperature * ((temperature + 1) / 2) +
+      HARMONY_WEIGHTS.hue * hue +
+      HARMONY_WEIGHTS.chroma * chroma -
+      HARMONY_WEIGHTS.blend * blend
+  )
+
+  const strengths = [
+    [contrast, contrast >= 0.7 && 'contrast'],
+    [temperature, temperature > 0.3 && 'undertoneMatch'],
+    [hue * colorfulness, distance >= 140 && colorfulness > 0.5 && 'complementary'],
+    [
+      chroma,
+      chroma > 0.7 && (chromaPreference > 0.2 ? 'vividChroma' : chromaPreference < -0.2 ? 'softChroma' : 'balancedChroma'),
+    ],
+  ]
+  const weaknesses = [
+    [blend, blend > 0 && 'blendsWithSkin'],
+    [-temperature, temperature < -0.3 && 'undertoneClash'],
+    [1 - chroma, chroma < 0.3 && (c > preferredChroma ? 'tooIntense' : 'tooDull')],
+    [1 - contrast, contrast < 0.3 && 'lowContrast'],
+  ]
+  const pickReasons = (reasons) =>
+    reasons
+      .filter(([, key]) => key)
+      .sort((a, b) => b[0] - a[0])
+      .slice(0, 2)
+      .map(([, key]) => ({ key, params: { undertone } }))
+  return { score, strengths: pickReasons(strengths), weaknesses: pickReasons(weaknesses) }
+}
+
+const isDistinct = (candidate, picked) =>
+  picked.every((entry) => {
+    const lightnessGap = Math.abs(entry.oklch[0] - candidate.oklch[0])
+    const bothChromatic = entry.oklch[1] >= 0.03 && candidate.oklch[1] >= 0.03
+    if (!bothChromatic) {
+      return lightnessGap >= MIN_LIGHTNESS_SEPARATION || entry.oklch[1] >= 0.03 !== candidate.oklch[1] >= 0.03
+    }
+    return hueDistance(entry.oklch[2], candidate.oklch[2]) >= MIN_HUE_SEPARATION || lightnessGap >= MIN_LIGHTNESS_SEPARATION
+  })
+
+const pickDistinct = (scored, count) => {
+  const picked = []
+  for (const candidate of scored) {
+    if (picked.length >= count) {
+      break
+    }
+    if (isDistinct(candidate, picked)) {
+      picked.push(candidate)
+    }
+  }
+  return picked
+}
+
+const toSwatch = (candidate, reasons) => ({
+  name: nameColor(candidate.oklch),
+  hex: candidate.hex,
+  score: candidate.score,
+  explanation: reasons.map((reason) => formatReason(HARMONY_REASONS, reason)).join('. '),
+  reasons,
+})
+
+export const getSeasonRecommendations = (season) => ({ ...season.palette, source: 'season' })
+
+export const generateHarmonyPalette = (
+  skinRgb,
+  { undertone = null, season = null, count = HARMONY_DEFAULT_COUNT, avoidCount = Math.max(3, Math.round(count / 2)) } = {}
+) => {
+  const skinOklab = rgbToOklab(skinRgb)
+  const skin = { oklab: skinOklab, oklch: oklabToOklch(skinOklab) }
+  const context = {
+    undertone: undertone?.undertone ?? 'neutral',
+    undertoneScore: undertone?.score ?? 0,
+    chromaPreference: season?.scores.chroma ?? 0,
+  }
+  const scored = getCandidates().map((candidate) => ({ ...candidate, ...scoreCandidate(candidate, skin, context) }))
+  const byScore = [...scored].sort((a, b) => b.score - a.score)
+  return {
+    recommended: pickDistinct(byScore, count).map((candidate) => toSwatch(candidate, candidate.strengths)),
+    avoid: pickDistinct([...byScore].reverse(), avoidCount).map((candidate) => toSwatch(candidate, candidate.weaknesses)),
+    source: 'harmony',
+  }
+}
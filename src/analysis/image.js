@@ -0,0 +1,311 @@
+import * as tf from '@tensorflow/tfjs'
+import { DETECTION_MAX_SIZE, FACE_CROP_MARGIN, MAX_FACES, MODEL_INPUT_SIZE, MODEL_NORMALIZATION, TTA_VARIANTS } from './constants.js'
+import { applyColorCorrection, estimateColorCorrection } from './colorConstancy.js'
+import { getFaceBox } from './faceDetector.js'
+import { sampleFacialFeatures } from './features.js'
+import { calculateLuminance } from './prediction.js'
+import { assessSourceQuality } from './quality.js'
+import { fillOutsideMask, segmentSkin } from './skinMask.js'
+
+const isPixelData = (source) =>
+  source && typeof source === 'object' && 'data' in source && 'width' in source && 'height' in source
+
+const isBlob = (source) => typeof Blob !== 'undefined' && source instanceof Blob
+
+const loadImageFromBlob = (blob) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob)
+    const image = new Image()
+    image.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(image)
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Failed to load image file.'))
+    }
+    image.src = url
+  })
+
+const pixelDataToTensor = ({ data, width, height }) => {
+  const channels = data.length / (width * height)
+  if (channels !== 3 && channels !== 4) {
+    throw new Error('Pixel data must be RGB or RGBA.')
+  }
+  return tf.tidy(() => {
+    const pixels = tf.tensor3d(Int32Array.from(data), [height, width, channels], 'int32')
+    return channels === 4 ? pixels.slice([0, 0, 0], [height, width, 3]) : pixels
+  })
+}
+
+export const decodeSource = async (source) => {
+  if (source instanceof tf.Tensor) {
+    if (source.rank !== 3) {
+      throw new Error('Tensor input must have shape [height, width, 3].')
+    }
+    return tf.cast(source, 'int32')
+  }
+  if (isPixelData(source)) {
+    return pixelDataToTensor(source)
+  }
+  if (isBlob(source)) {
+    let bitmap = null
+    try {
+      bitmap = await createImageBitmap(source)
+    } catch {
+      const image = await loadImageFromBlob(source)
+      return tf.browser.fromPixels(image)
+    }
+    try {
+      return tf.browser.fromPixels(bitmap)
+    } finally {
+      bitmap.close?.()
+    }
+  }
+  return tf.browser.fromPixels(source)
+}
+
+export const tensorToPixelData = async (tensor) => {
+  const [height, width] = tensor.shape
+  const rgb = await tensor.data()
+  const data = new Uint8ClampedArray(width * height * 4)
+  for (let i = 0, j = 0; i < rgb.length; i += 3, j += 4) {
+    data[j] = rgb[i]
+    data[j + 1] = rgb[i + 1]
+    data[j + 2] = rgb[i + 2]
+    data[j + 3] = 255
+  }
+  return { data, width, height }
+}
+
+export const pixelDataToBlob = async ({ data, width, height }, type = 'image/jpeg', quality = 0.9) => {
+  const imageData = new ImageData(data, width, height)
+  if (typeof OffscreenCanvas !== 'undefined') {
+    const canvas = new OffscreenCanvas(width, height)
+    canvas.getContext('2d').putImageData(imageData, 0, 0)
+    return canvas.convertToBlob({ type, quality })
+  }
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').putImageData(imageData, 0, 0)
+  return new Promise((resolve) => {
+    canvas.toBlob((blob) => resolve(blob), type, quality)
+  })
+}
+
+export const detectFaces = async (detector, pixels) => {
+  if (!detector) {
+    return []
+  }
+  const [sourceHeight, sourceWidth] = pixels.shape
+  let detectionInput = pixels
+  let scale = 1
+  if (Math.max(sourceWidth, sourceHeight) > DETECTION_MAX_SIZE) {
+    scale = Math.max(sourceWidth, sourceHeight) / DETECTION_MAX_SIZE
+    const detectionWidth = Math.round(sourceWidth / scale)
+    const detectionHeight = Math.round(sourceHeight / scale)
+    detectionInput = tf.tidy(() => tf.image.resizeBilinear(pixels, [detectionHeight, detectionWidth]).round().toInt())
+  }
+  try {
+    const faces = await detector.estimateFaces(detectionInput, { flipHorizontal: false })
+    return (faces ?? [])
+      .map((face) => ({ face, box: getFaceBox(face) }))
+      .filter(({ box }) => box && box.width > 0 && box.height > 0)
+      .map(({ face, box }) => ({
+        box: {
+          x: box.x * scale,
+          y: box.y * scale,
+          width: box.width * scale,
+          height: box.height * scale,
+        },
+        keypoints: (face.keypoints ?? []).map((point) => ({ ...point, x: point.x * scale, y: point.y * scale })),
+      }))
+  } finally {
+    if (detectionInput !== pixels) {
+      detectionInput.dispose()
+    }
+  }
+}
+
+export const getCropArea = (box, sourceWidth, sourceHeight, margin = FACE_CROP_MARGIN) => {
+  const marginX = box.width * margin
+  const marginY = box.height * margin
+  const x = Math.max(0, box.x - marginX)
+  const y = Math.max(0, box.y - marginY)
+  const width = Math.min(sourceWidth - x, box.width + marginX * 2)
+  const height = Math.min(sourceHeight - y, box.height + marginY * 2)
+  if (width <= 0 || height <= 0) {
+    return null
+  }
+  return { x, y, width, height }
+}
+
+export const cropAndResize = (pixels, cropArea, size = MODEL_INPUT_SIZE) =>
+  tf.tidy(() => {
+    const [sourceHeight, sourceWidth] = pixels.shape
+    const box = [
+      cropArea.y / sourceHeight,
+      cropArea.x / sourceWidth,
+      (cropArea.y + cropArea.height) / sourceHeight,
+      (cropArea.x + cropArea.width) / sourceWidth,
+    ]
+    const batch = pixels.toFloat().expandDims(0)
+    return tf.image.cropAndResize(batch, [box], [0], [size, size], 'bilinear').squeeze([0]).round().clipByValue(0, 255).toInt()
+  })
+
+export const getPrimaryFaceIndex = (faces) =>
+  faces.reduce(
+    (bestIndex, face, index) =>
+      face.box.width * face.box.height > faces[bestIndex].box.width * faces[bestIndex].box.height ? index : bestIndex,
+    0
+  )
+
+export const prepareSource = async (
+  source,
+  { detector = null, colorCorrection = 'white-patch', maxFaces = MAX_FACES, qualityCheck = true, onProgress } = {}
+) => {
+  onProgress?.('decode')
+  const decoded = await decodeSource(source)
+  let pixels = decoded
+  try {
+    onProgress?.('correct')
+    const correction = await estimateColorCorrection(decoded, { method: colorCorrection })
+    if (correction.method !== 'none') {
+      pixels = applyColorCorrection(decoded, correction.gains)
+    }
+    let faces = []
+    try {
+      onProgress?.('detect')
+      faces = await detectFaces(detector, pixels)
+    } catch {
+      faces = []
+    }
+    if (faces.length > maxFaces) {
+      faces = [...faces].sort((a, b) => b.box.width * b.box.height - a.box.width * a.box.height).slice(0, maxFaces)
+    }
+    faces = [...faces].sort((a, b) => a.box.x - b.box.x)
+    let quality = null
+    if (qualityCheck) {
+      onProgress?.('quality')
+      quality = await assessSourceQuality(decoded, faces)
+    }
+    if (pixels !== decoded) {
+      decoded.dispose()
+    }
+    const [sourceHeight, sourceWidth] = pixels.shape
+    return {
+      pixels,
+      sourceSize: { width: sourceWidth, height: sourceHeight },
+      colorCorrection: correction,
+      faces,
+      quality,
+    }
+  } catch (error) {
+    pixels.dispose()
+    if (pixels !== decoded) {
+      decoded.dispose()
+    }
+    throw error
+  }
+}
+
+export const transformCropBox = (box, { shiftX = 0, shiftY = 0, scale = 1 } = {}, sourceWidth, sourceHeight) => {
+  const width = Math.min(sourceWidth, box.width * scale)
+  const height = Math.min(sourceHeight, box.height * scale)
+  const centerX = box.x + box.width * (0.5 + shiftX)
+  const centerY = box.y + box.height * (0.5 + shiftY)
+  return {
+    x: Math.min(Math.max(0, centerX - width / 2), sourceWidth - width),
+    y: Math.min(Math.max(0, centerY - height / 2), sourceHeight - height),
+    width,
+    height,
+  }
+}
+
+export const toModelTensor = (pixelData, normalization = MODEL_NORMALIZATION, { flip = false, brightness = 1 } = {}) =>
+  tf.tidy(() => {
+    const image = pixelDataToTensor(pixelData).toFloat()
+    const adjusted = brightness === 1 ? image : image.mul(brightness).clipByValue(0, 255)
+    const oriented = flip ? adjusted.reverse(1) : adjusted
+    return oriented.sub(normalization.mean).div(normalization.std).expandDims(0)
+  })
+
+const createModelPixels = (crop, { cropBox, face, skinSegmentation }) => {
+  const skin = skinSegmentation ? segmentSkin(crop, { cropBox, face }) : null
+  return { skin, modelPixels: skin && skin.method !== 'none' ? fillOutsideMask(crop, skin.mask, skin.color.rgb) : crop }
+}
+
+export const createAugmentedBatch = async (
+  pixels,
+  {
+    face = null,
+    cropBox,
+    variants = TTA_VARIANTS,
+    inputSize = MODEL_INPUT_SIZE,
+    normalization = MODEL_NORMALIZATION,
+    skinSegmentation = true,
+  }
+) => {
+  const [sourceHeight, sourceWidth] = pixels.shape
+  const tensors = []
+  try {
+    for (const variant of variants) {
+      const variantBox = transformCropBox(cropBox, variant, sourceWidth, sourceHeight)
+      const cropped = cropAndResize(pixels, variantBox, inputSize)
+      const crop = await tensorToPixelData(cropped)
+      cropped.dispose()
+      const { modelPixels } = createModelPixels(crop, { cropBox: variantBox, face, skinSegmentation })
+      tensors.push(toModelTensor(modelPixels, normalization, variant))
+    }
+    return tf.concat(tensors)
+  } finally {
+    tensors.forEach((tensor) => tensor.dispose())
+  }
+}
+
+export const createFaceInput = async (
+  pixels,
+  { face = null, inputSize = MODEL_INPUT_SIZE, normalization = MODEL_NORMALIZATION, skinSegmentation = true, onProgress } = {}
+) => {
+  const [sourceHeight, sourceWidth] = pixels.shape
+  onProgress?.('crop')
+  const faceCrop = face ? getCropArea(face.box, sourceWidth, sourceHeight) : null
+  const cropBox = faceCrop ?? { x: 0, y: 0, width: sourceWidth, height: sourceHeight }
+  const cropped = cropAndResize(pixels, cropBox, inputSize)
+  const crop = await tensorToPixelData(cropped)
+  cropped.dispose()
+  if (skinSegmentation) {
+    onProgress?.('segment')
+  }
+  const { skin, modelPixels } = createModelPixels(crop, { cropBox, face: faceCrop ? face : null, skinSegmentation })
+  const features = faceCrop ? sampleFacialFeatures(crop, { cropBox, face }) : { hair: null, eyes: null }
+  const tensorInput = toModelTensor(modelPixels, normalization)
+  return {
+    tensorInput,
+    crop,
+    cropBox,
+    faceBox: faceCrop ? face.box : null,
+    luminance: calculateLuminance(crop.data),
+    faceDetected: Boolean(faceCrop),
+    skin: skin && {
+      color: skin.color,
+      luminance: skin.luminance,
+      coverage: skin.coverage,
+      method: skin.method,
+    },
+    skinMask: skin?.mask ?? null,
+    features,
+  }
+}
+
+export const createTensorFromSource = async (source, options = {}) => {
+  const { pixels, sourceSize, colorCorrection, faces, quality } = await prepareSource(source, options)
+  try {
+    const faceIndex = faces.length > 0 ? getPrimaryFaceIndex(faces) : 0
+    const input = await createFaceInput(pixels, { ...options, face: faces[faceIndex] ?? null })
+    return { ...input, sourceSize, colorCorrection, faces, quality: quality?.[faceIndex] ?? null }
+  } finally {
+    pixels.dispose()
+  }
+}
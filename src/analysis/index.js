@@ -0,0 +1,288 @@
+import { ensureBackendReady, getBackendInfo } from './backend.js'
+import { getBeautyRecommendations } from './beauty.js'
+import { fuseResults } from './consensus.js'
+import { CLASS_LABELS, MODEL_INPUT_SIZE, MODEL_NORMALIZATION, MST_COLORS, TTA_VARIANTS } from './constants.js'
+import { averageProbabilities, predictSamples, summarizeStability } from './ensemble.js'
+import { loadFaceDetector } from './faceDetector.js'
+import { createAugmentedBatch, createFaceInput, getPrimaryFaceIndex, pixelDataToBlob, prepareSource } from './image.js'
+import { loadModel } from './model.js'
+import { generateHarmonyPalette, getSeasonRecommendations } from './harmony.js'
+import { QUALITY_GATE_MODES, QualityGateError } from './quality.js'
+import { formatModelVersion } from './registry.js'
+import { classifySeason } from './season.js'
+import { createMaskOverlay } from './skinMask.js'
+import { createStageTimer, groupTimings } from './timing.js'
+import { estimateUndertone } from './undertone.js'
+import {
+  adjustPredictionWithLuminance,
+  getPrediction,
+  getSkinToneGroup,
+  parseMstNumber,
+  summarizeDistribution,
+} from './prediction.js'
+
+export * from './backend.js'
+export * from './beauty.js'
+export * from './beautyPalettes.js'
+export * from './color.js'
+export * from './colorConstancy.js'
+export * from './consensus.js'
+export * from './constants.js'
+export * from './ensemble.js'
+export * from './faceDetector.js'
+export * from './features.js'
+export * from './harmony.js'
+export * from './image.js'
+export * from './model.js'
+export * from './prediction.js'
+export * from './quality.js'
+export * from './registry.js'
+export * from './season.js'
+export * from './seasonPalettes.js'
+export * from './skinMask.js'
+export * from './timing.js'
+export * from './undertone.js'
+export * from './wardrobe.js'
+
+export const ANALYSIS_STAGES = [
+  'init',
+  'decode',
+  'correct',
+  'detect',
+  'quality',
+  'crop',
+  'segment',
+  'augment',
+  'loadModel',
+  'predict',
+]
+
+const toEnsembleMember = (member) => ({
+  model: member.model,
+  modelUrl: member.modelUrl,
+  labels: member.labels ?? CLASS_LABELS,
+  inputSize: member.inputSize ?? MODEL_INPUT_SIZE,
+  normalization: member.normalization ?? MODEL_NORMALIZATION,
+  modelInfo: member.modelInfo ?? null,
+})
+
+const getBatchKey = ({ inputSize, normalization }) => JSON.stringify([inputSize, normalization.mean, normalization.std])
+
+const classifyFaceInput = (input, samples, { modelInfo, members, luminanceAdjustment, undertoneHints, recommendationCount }) => {
+  const probabilities = averageProbabilities(samples)
+  const { predictedLabel, confidence } = getPrediction(probabilities)
+  const referenceLuminance = input.skin?.luminance ?? input.luminance
+  const label = luminanceAdjustment ? adjustPredictionWithLuminance(predictedLabel, referenceLuminance) : predictedLabel
+  const distribution = summarizeDistribution(probabilities)
+  const uncertain = distribution.uncertain && label === predictedLabel
+  const mstIndex = parseMstNumber(label) - 1
+  const skinToneGroup = getSkinToneGroup(label)
+  const undertone = estimateUndertone(input.skin?.color.lab ?? null, undertoneHints)
+  const season = classifySeason({
+    expectedMst: distribution.expectedMst,
+    skinLab: input.skin?.color.lab ?? null,
+    undertone,
+    features: input.features,
+  })
+  return {
+    label,
+    modelLabel: predictedLabel,
+    confidence,
+    labels: CLASS_LABELS,
+    model: modelInfo ?? null,
+    stability:
+      samples.length > 1
+        ? summarizeStability(samples, predictedLabel, { models: members.map((member) => member.modelInfo).filter(Boolean) })
+        : null,
+    probabilities: distribution.probabilities,
+    expectedMst: distribution.expectedMst,
+    margin: distribution.margin,
+    uncertain,
+    alternativeLabel: uncertain ? distribution.topLabels[1] : null,
+    mstIndex,
+    mstColor: MST_COLORS[mstIndex],
+    skinToneGroup,
+    undertone,
+    features: input.features,
+    season,
+    recommendations: input.skin
+      ? generateHarmonyPalette(input.skin.color.rgb, { undertone, season, count: recommendationCount })
+      : getSeasonRecommendations(season),
+    beauty: getBeautyRecommendations({
+      skinLab: input.skin?.color.lab ?? null,
+      expectedMst: distribution.expectedMst,
+      undertone,
+      season,
+    }),
+    luminance: input.luminance,
+    skin: input.skin,
+    skinMask: input.skinMask,
+    faceDetected: input.faceDetected,
+    faceBox: input.faceBox,
+    cropBox: input.cropBox,
+    crop: input.crop,
+  }
+}
+
+export const analyzeFaces = async (source, options = {}) => {
+  const {
+    model: providedModel,
+    modelUrl,
+    detector: providedDetector,
+    detectorModelUrl,
+    backend,
+    wasmPaths,
+    labels = CLASS_LABELS,
+    inputSize = MODEL_INPUT_SIZE,
+    normalization = MODEL_NORMALIZATION,
+    modelInfo,
+    modelCache = true,
+    accuracyMode = false,
+    augmentations = TTA_VARIANTS,
+    ensemble = [],
+    colorCorrection = 'white-patch',
+    skinSegmentation = true,
+    luminanceAdjustment = false,
+    maxFaces,
+    qualityGate = 'warn',
+    undertoneHints,
+    recommendationCount,
+    onProgress,
+  } = options
+  if (!QUALITY_GATE_MODES.includes(qualityGate)) {
+    throw new Error(`Unknown quality gate mode: ${qualityGate}`)
+  }
+  const timer = createStageTimer()
+  const reportProgress = (stage) => {
+    timer.mark(stage)
+    onProgress?.(stage)
+  }
+  reportProgress('init')
+  const backendOk = await ensureBackendReady(backend, { wasmPaths })
+  if (!backendOk) {
+    throw new Error('Backend or input tensor is not ready.')
+  }
+  const detector = providedDetector === undefined ? await loadFaceDetector(detectorModelUrl) : providedDetector
+  const { pixels, sourceSize, colorCorrection: correction, faces, quality } = await prepareSource(source, {
+    detector,
+    colorCorrection,
+    maxFaces,
+    qualityCheck: qualityGate !== 'off',
+    onProgress: reportProgress,
+  })
+  const members = [
+    { model: providedModel, modelUrl, labels, inputSize, normalization, modelInfo },
+    ...(accuracyMode ? ensemble : []),
+  ].map(toEnsembleMember)
+  const inputs = []
+  try {
+    if (qualityGate === 'block' && quality.every((entry) => !entry.passed)) {
+      throw new QualityGateError(quality)
+    }
+    for (const face of faces.length > 0 ? faces : [null]) {
+      const input = await createFaceInput(pixels, { face, inputSize, normalization, skinSegmentation, onProgress: reportProgress })
+      inputs.push(input)
+      if (accuracyMode) {
+        reportProgress('augment')
+        input.batches = new Map()
+        for (const member of members) {
+          const key = getBatchKey(member)
+          if (!input.batches.has(key)) {
+            input.batches.set(
+              key,
+              await createAugmentedBatch(pixels, {
+                face: input.faceDetected ? face : null,
+                cropBox: input.cropBox,
+                variants: [{ id: 'original' }, ...augmentations],
+                inputSize: member.inputSize,
+                normalization: member.normalization,
+                skinSegmentation,
+              })
+            )
+          }
+        }
+      }
+    }
+  } finally {
+    pixels.dispose()
+  }
+  try {
+    reportProgress('loadModel')
+    const models = []
+    for (const member of members) {
+      const cacheKey = modelCache && member.modelInfo ? formatModelVersion(member.modelInfo) : null
+      models.push(member.model ?? (await loadModel(member.modelUrl, { cacheKey })))
+    }
+    reportProgress('predict')
+    const results = []
+    for (const input of inputs) {
+      const samples = []
+      for (const [index, member] of members.entries()) {
+        const batch = input.batches?.get(getBatchKey(member)) ?? input.tensorInput
+        samples.push(...(await predictSamples(models[index], batch, member.labels)))
+      }
+      results.push(
+        classifyFaceInput(input, samples, { modelInfo, members, luminanceAdjustment, undertoneHints, recommendationCount })
+      )
+    }
+    const timings = groupTimings(timer.finish())
+    const backendInfo = getBackendInfo()
+    return {
+      faces: results.map((result, index) => ({
+        ...result,
+        quality: quality?.[index] ?? null,
+        colorCorrection: correction,
+        sourceSize,
+        faceCount: faces.length,
+        backend: backendInfo,
+        timings,
+      })),
+      primaryIndex: faces.length > 0 ? getPrimaryFaceIndex(faces) : 0,
+      sourceSize,
+      colorCorrection: correction,
+      backend: backendInfo,
+      timings,
+    }
+  } finally {
+    inputs.forEach((input) => {
+      input.tensorInput.dispose()
+      input.batches?.forEach((batch) => batch.dispose())
+    })
+  }
+}
+
+export const analyzeImage = async (source, options = {}) => {
+  const { faces, primaryIndex } = await analyzeFaces(source, options)
+  return faces[primaryIndex]
+}
+
+export const analyzeImages = async (sources, options = {}) => {
+  const { onProgress, ...analysisOptions } = options
+  const results = []
+  for (const [index, source] of sources.entries()) {
+    results.push(
+      await analyzeImage(source, {
+        ...analysisOptions,
+        maxFaces: 1,
+        onProgress: onProgress && ((stage) => onProgress(stage, { index, count: sources.length })),
+      })
+    )
+  }
+  return {
+    results,
+    consensus: fuseResults(results, {
+      undertoneHints: analysisOptions.undertoneHints,
+      recommendationCount: analysisOptions.recommendationCount,
+    }),
+  }
+}
+
+export const encodeResultImages = async ({ crop, skinMask }) => ({
+  processedBlob: await pixelDataToBlob(crop),
+  maskOverlayBlob: skinMask ? await pixelDataToBlob(createMaskOverlay(crop, skinMask)) : null,
+})
+
+export const encodeAnalysisImages = async (analysis) => ({
+  ...analysis,
+  faces: await Promise.all(analysis.faces.map(async (face) => ({ ...face, ...(await encodeResultImages(face)) }))),
+})
@@ -0,0 +1,157 @@
+import * as tf from '@tensorflow/tfjs'
+import { ensureBackendReady } from './backend.js'
+
+const modelCache = new Map()
+
+export const normalizeInputLayerConfig = (value) => {
+  if (!value || typeof value !== 'object') {
+    return
+  }
+  if (Array.isArray(value)) {
+    value.forEach(normalizeInputLayerConfig)
+    return
+  }
+  if (value.class_name === 'InputLayer' && value.config) {
+    if (value.config.batch_shape && !value.config.batch_input_shape) {
+      value.config.batch_input_shape = value.config.batch_shape
+    }
+  }
+  Object.values(value).forEach(normalizeInputLayerConfig)
+}
+
+export const normalizeInboundNodes = (value) => {
+  if (!value || typeof value !== 'object') {
+    return
+  }
+  if (Array.isArray(value)) {
+    value.forEach(normalizeInboundNodes)
+    return
+  }
+  if (Array.isArray(value.inbound_nodes)) {
+    value.inbound_nodes = value.inbound_nodes.map((node) => {
+      if (Array.isArray(node)) {
+        return node
+      }
+      const args = node?.args
+      const inputs = Array.isArray(args) ? args[0] : null
+      const tensors = Array.isArray(inputs) ? inputs : [inputs]
+      return tensors
+        .map((tensor) => tensor?.config?.keras_history)
+        .filter(Array.isArray)
+        .map((history) => [history[0], history[1] ?? 0, history[2] ?? 0, {}])
+    })
+  }
+  Object.values(value).forEach(normalizeInboundNodes)
+}
+
+export const normalizeDTypePolicy = (value) => {
+  if (!value || typeof value !== 'object') {
+    return
+  }
+  if (Array.isArray(value)) {
+    value.forEach(normalizeDTypePolicy)
+    return
+  }
+  if (value.dtype && typeof value.dtype === 'object') {
+    const dtypeName = value.dtype?.config?.name
+    if (typeof dtypeName === 'string') {
+      value.dtype = dtypeName
+    }
+  }
+  Object.values(value).forEach(normalizeDTypePolicy)
+}
+
+const collectLayerNames = (value, className, names = new Set()) => {
+  if (!value || typeof value !== 'object') {
+    return names
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectLayerNames(item, className, names))
+    return names
+  }
+  if (value.class_name === className && typeof value.config?.name === 'string') {
+    names.add(value.config.name)
+  }
+  Object.values(value).forEach((item) => collectLayerNames(item, className, names))
+  return names
+}
+
+export const normalizeWeightNames = (artifacts) => {
+  if (!Array.isArray(artifacts?.weightSpecs)) {
+    return
+  }
+  const modelName = artifacts.modelTopology?.model_config?.config?.name
+  const prefix = modelName ? `${modelName}/` : null
+  const depthwiseLayers = collectLayerNames(artifacts.modelTopology, 'DepthwiseConv2D')
+  artifacts.weightSpecs.forEach((spec) => {
+    if (prefix && spec.name.startsWith(prefix)) {
+      spec.name = spec.name.slice(prefix.length)
+    }
+    const [layerName, weightName] = spec.name.split('/')
+    if (weightName === 'kernel' && depthwiseLayers.has(layerName)) {
+      spec.name = `${layerName}/depthwise_kernel`
+    }
+  })
+}
+
+export const createKerasCompatHandler = (source) => {
+  const handler = typeof source === 'string' ? tf.io.browserHTTPRequest(source) : source
+  return {
+    load: async () => {
+      const artifacts = await handler.load()
+      if (artifacts?.modelTopology) {
+        normalizeInputLayerConfig(artifacts.modelTopology)
+        normalizeInboundNodes(artifacts.modelTopology)
+        normalizeDTypePolicy(artifacts.modelTopology)
+        normalizeWeightNames(artifacts)
+      }
+      return artifacts
+    },
+  }
+}
+
+export const MODEL_CACHE_PREFIX = 'indexeddb://skintone-ai-model/'
+
+export const supportsModelCache = () => typeof indexedDB !== 'undefined'
+
+export const pruneModelCache = async (keepUrl) => {
+  const [modelId] = keepUrl.slice(MODEL_CACHE_PREFIX.length).split('@')
+  const stored = await tf.io.listModels().catch(() => ({}))
+  await Promise.all(
+    Object.keys(stored)
+      .filter((url) => url !== keepUrl && url.startsWith(`${MODEL_CACHE_PREFIX}${modelId}@`))
+      .map((url) => tf.io.removeModel(url).catch(() => null))
+  )
+}
+
+const loadCachedModel = async (source, cacheKey) => {
+  const cacheUrl = `${MODEL_CACHE_PREFIX}${cacheKey}`
+  const cached = await tf.loadLayersModel(cacheUrl).catch(() => null)
+  if (cached) {
+    return cached
+  }
+  const model = await tf.loadLayersModel(createKerasCompatHandler(source))
+  const saved = await model.save(cacheUrl).catch(() => null)
+  if (saved) {
+    await pruneModelCache(cacheUrl)
+  }
+  return model
+}
+
+export const loadModel = async (source, { cacheKey = null } = {}) => {
+  if (!source) {
+    throw new Error('Model URL or IOHandler is required.')
+  }
+  if (!modelCache.has(source)) {
+    const modelPromise = (async () => {
+      await ensureBackendReady()
+      if (cacheKey && typeof source === 'string' && supportsModelCache()) {
+        return loadCachedModel(source, cacheKey)
+      }
+      return tf.loadLayersModel(createKerasCompatHandler(source))
+    })()
+    modelCache.set(source, modelPromise)
+    modelPromise.catch(() => modelCache.delete(source))
+  }
+  return modelCache.get(source)
+}
@@ -0,0 +1,22 @@
+import { readFile } from 'node:fs/promises'
+import { Buffer } from 'node:buffer'
+import path from 'node:path'
+import * as tf from '@tensorflow/tfjs'
+
+export const fileModelHandler = (modelJsonPath) => ({
+  load: async () => {
+    const modelJSON = JSON.parse(await readFile(modelJsonPath, 'utf8'))
+    const baseDir = path.dirname(modelJsonPath)
+    return tf.io.getModelArtifactsForJSON(modelJSON, async (weightsManifest) => {
+      const weightSpecs = weightsManifest.flatMap((group) => group.weights)
+      const buffers = []
+      for (const group of weightsManifest) {
+        for (const weightPath of group.paths) {
+          buffers.push(await readFile(path.join(baseDir, weightPath)))
+        }
+      }
+      const weightData = new Uint8Array(Buffer.concat(buffers)).buffer
+      return [weightSpecs, weightData]
+    })
+  },
+})
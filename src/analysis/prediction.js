@@ -0,0 +1,79 @@
+import { CLASS_LABELS, UNCERTAIN_MARGIN } from './constants.js'
+
+export const parseMstNumber = (label) => parseInt(label.replace('MST', ''), 10)
+
+export const calculateLuminance = (data) => {
+  let total = 0
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i]
+    const g = data[i + 1]
+    const b = data[i + 2]
+    total += 0.299 * r + 0.587 * g + 0.114 * b
+  }
+  return total / (data.length / 4)
+}
+
+export const getPrediction = (predictionData, labels = CLASS_LABELS) => {
+  let maxValue = -Infinity
+  let maxIndex = 0
+  predictionData.forEach((value, index) => {
+    if (value > maxValue) {
+      maxValue = value
+      maxIndex = index
+    }
+  })
+  return {
+    predictedLabel: labels[maxIndex] || 'MST5',
+    confidence: maxValue,
+  }
+}
+
+export const alignProbabilities = (probabilities, labels, target = CLASS_LABELS) =>
+  target.map((label) => probabilities[labels.indexOf(label)] ?? 0)
+
+export const adjustPredictionWithLuminance = (predictedLabel, luminance) => {
+  let mstNumber = parseMstNumber(predictedLabel)
+  if (luminance < 80 && mstNumber >= 4 && mstNumber <= 7) {
+    mstNumber = Math.min(10, mstNumber + 2)
+  }
+  if (luminance < 50 && mstNumber < 8) {
+    mstNumber = Math.min(10, mstNumber + 3)
+  }
+  return `MST${mstNumber}`
+}
+
+export const getSkinToneGroup = (label) => {
+  const mstNumber = parseMstNumber(label)
+  if (mstNumber <= 2) {
+    return 'light'
+  }
+  if (mstNumber <= 4) {
+    return 'light medium'
+  }
+  if (mstNumber <= 6) {
+    return 'medium'
+  }
+  if (mstNumber <= 8) {
+    return 'medium deep'
+  }
+  return 'deep'
+}
+
+export const summarizeDistribution = (probabilities, labels = CLASS_LABELS, uncertainMargin = UNCERTAIN_MARGIN) => {
+  const total = probabilities.reduce((sum, value) => sum + value, 0) || 1
+  const normalized = probabilities.map((value) => value / total)
+  const ranked = normalized
+    .map((probability, index) => ({ label: labels[index], probability }))
+    .sort((a, b) => b.probability - a.probability)
+  const [first, second] = ranked
+  const expectedMst = normalized.reduce((sum, probability, index) => sum + probability * parseMstNumber(labels[index]), 0)
+  const margin = first.probability - (second?.probability ?? 0)
+  return {
+    probabilities: normalized,
+    ranked,
+    expectedMst,
+    margin,
+    uncertain: Boolean(second) && margin < uncertainMargin,
+    topLabels: ranked.slice(0, 2).map((entry) => entry.label),
+  }
+}
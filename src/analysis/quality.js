@@ -0,0 +1,218 @@
+import * as tf from '@tensorflow/tfjs'
+import { QUALITY_SAMPLE_MAX_SIZE, QUALITY_THRESHOLDS } from './constants.js'
+
+export const QUALITY_GATE_MODES = ['off', 'warn', 'block']
+
+const ISSUE_PENALTY = { warning: 0.15, error: 0.4 }
+
+const QUALITY_GUIDANCE = {
+  noFace: 'No face was found. Use a photo where your face is clearly visible and facing the camera.',
+  blur: 'The photo looks blurry. Hold the camera steady, tap to focus on your face and try again.',
+  dark: 'The photo is too dark. Face a window or a soft light source and avoid backlighting.',
+  bright: 'The photo is overexposed. Move away from direct light or lower the exposure.',
+  clippedHighlights: 'Parts of your face are washed out by glare. Avoid direct flash or harsh sunlight.',
+  crushedShadows: 'Large parts of your face are lost in shadow. Light your face more evenly.',
+  faceSize: 'Your face is too small in the frame. Move closer so your face fills more of the photo.',
+  yaw: 'Your head is turned to the side. Look straight at the camera.',
+  roll: 'Your head is tilted. Keep your head upright and level.',
+}
+
+export class QualityGateError extends Error {
+  constructor(quality) {
+    const issue = quality.flatMap((entry) => entry.issues).find((entry) => entry.severity === 'error')
+    super(issue?.message ?? 'The photo quality is too low for a reliable result.')
+    this.name = 'QualityGateError'
+    this.quality = quality
+  }
+}
+
+const toGrayscale = ({ data, width, height }) => {
+  const channels = data.length / (width * height)
+  const gray = new Float32Array(width * height)
+  for (let index = 0; index < gray.length; index += 1) {
+    const offset = index * channels
+    gray[index] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+  }
+  return gray
+}
+
+export const measureSharpness = (pixelData) => {
+  const { width, height } = pixelData
+  if (width < 3 || height < 3) {
+    return 0
+  }
+  const gray = toGrayscale(pixelData)
+  let sum = 0
+  let sumSquares = 0
+  let count = 0
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const index = y * width + x
+      const laplacian = gray[index - 1] + gray[index + 1] + gray[index - width] + gray[index + width] - 4 * gray[index]
+      sum += laplacian
+      sumSquares += laplacian * laplacian
+      count += 1
+    }
+  }
+  const mean = sum / count
+  return sumSquares / count - mean * mean
+}
+
+export const measureExposure = ({ data, width, height }) => {
+  const total = width * height
+  const channels = data.length / total
+  let luminanceTotal = 0
+  let clipped = 0
+  let crushed = 0
+  for (let offset = 0; offset < data.length; offset += channels) {
+    const r = data[offset]
+    const g = data[offset + 1]
+    const b = data[offset + 2]
+    luminanceTotal += 0.299 * r + 0.587 * g + 0.114 * b
+    if (Math.max(r, g, b) >= 250) {
+      clipped += 1
+    }
+    if (Math.max(r, g, b) <= 15) {
+      crushed += 1
+    }
+  }
+  return {
+    meanLuminance: luminanceTotal / total,
+    clippedHighlights: clipped / total,
+    crushedShadows: crushed / total,
+  }
+}
+
+const findKeypoint = (keypoints, name) => keypoints.find((point) => point.name === name)
+
+const toDegrees = (radians) => (radians * 180) / Math.PI
+
+export const estimateHeadPose = (keypoints = []) => {
+  const rightEye = findKeypoint(keypoints, 'rightEye')
+  const leftEye = findKeypoint(keypoints, 'leftEye')
+  const nose = findKeypoint(keypoints, 'noseTip')
+  if (!rightEye || !leftEye) {
+    return null
+  }
+  const eyeDistance = Math.hypot(leftEye.x - rightEye.x, leftEye.y - rightEye.y)
+  if (eyeDistance === 0) {
+    return null
+  }
+  const roll = toDegrees(Math.atan2(leftEye.y - rightEye.y, leftEye.x - rightEye.x))
+  const normalizedRoll = roll > 90 ? roll - 180 : roll < -90 ? roll + 180 : roll
+  if (!nose) {
+    return { yaw: null, roll: normalizedRoll }
+  }
+  const rightEar = findKeypoint(keypoints, 'rightEarTragion')
+  const leftEar = findKeypoint(keypoints, 'leftEarTragion')
+  let ratio
+  if (rightEar && leftEar) {
+    const rightSpan = Math.abs(nose.x - rightEar.x)
+    const leftSpan = Math.abs(leftEar.x - nose.x)
+    ratio = (rightSpan - leftSpan) / Math.max(1, rightSpan + leftSpan)
+  } else {
+    ratio = ((nose.x - (rightEye.x + leftEye.x) / 2) / eyeDistance) * 2
+  }
+  return { yaw: toDegrees(Math.asin(Math.min(1, Math.max(-1, ratio)))), roll: normalizedRoll }
+}
+
+const grade = (value, { error, warning }, lowerIsWorse = true) => {
+  if (value === null || value === undefined) {
+    return null
+  }
+  if (lowerIsWorse) {
+    return value < error ? 'error' : value < warning ? 'warning' : null
+  }
+  return value > error ? 'error' : value > warning ? 'warning' : null
+}
+
+const createIssue = (check, severity, value) => ({ check, severity, value, message: QUALITY_GUIDANCE[check] })
+
+export const assessQuality = (facePixels, { face = null, sourceSize, thresholds = QUALITY_THRESHOLDS } = {}) => {
+  const sharpness = measureSharpness(facePixels)
+  const exposure = measureExposure(facePixels)
+  const faceRatio = face ? Math.max(face.box.width / sourceSize.width, face.box.height / sourceSize.height) : null
+  const facePixelSize = face ? Math.min(face.box.width, face.box.height) : null
+  const pose = face ? estimateHeadPose(face.keypoints) : null
+
+  const checks = [
+    ['dark', grade(exposure.meanLuminance, thresholds.darkExposure), exposure.meanLuminance],
+    ['bright', grade(exposure.meanLuminance, thresholds.brightExposure, false), exposure.meanLuminance],
+    ['clippedHighlights', grade(exposure.clippedHighlights, thresholds.clippedHighlights, false), exposure.clippedHighlights],
+    ['crushedShadows', grade(exposure.crushedShadows, thresholds.crushedShadows, false), exposure.crushedShadows],
+    ['blur', grade(sharpness, thresholds.sharpness), sharpness],
+  ]
+  if (face) {
+    const ratioGrade = grade(faceRatio, thresholds.faceRatio)
+    const pixelGrade = grade(facePixelSize, thresholds.facePixels)
+    const sizeGrade = ratioGrade === 'error' || pixelGrade === 'error' ? 'error' : ratioGrade ?? pixelGrade
+    checks.push(
+      ['faceSize', sizeGrade, faceRatio],
+      ['yaw', grade(pose?.yaw == null ? null : Math.abs(pose.yaw), thresholds.yaw, false), pose?.yaw ?? null],
+      ['roll', grade(pose ? Math.abs(pose.roll) : null, thresholds.roll, false), pose?.roll ?? null]
+    )
+  } else {
+    checks.push(['noFace', 'warning', null])
+  }
+
+  const issues = checks.filter(([, severity]) => severity).map(([check, severity, value]) => createIssue(check, severity, value))
+  const score = Math.max(0, issues.reduce((total, issue) => total - ISSUE_PENALTY[issue.severity], 1))
+  return {
+    score,
+    passed: !issues.some((issue) => issue.severity === 'error'),
+    issues,
+    metrics: {
+      sharpness,
+      ...exposure,
+      faceRatio,
+      facePixelSize,
+      yaw: pose?.yaw ?? null,
+      roll: pose?.roll ?? null,
+    },
+  }
+}
+
+export const sampleQualityRegion = async (pixels, box) => {
+  const [sourceHeight, sourceWidth] = pixels.shape
+  const region = box ?? { x: 0, y: 0, width: sourceWidth, height: sourceHeight }
+  const scale = Math.min(1, QUALITY_SAMPLE_MAX_SIZE / Math.max(region.width, region.height))
+  const width = Math.max(3, Math.round(region.width * scale))
+  const height = Math.max(3, Math.round(region.height * scale))
+  const sample = tf.tidy(() =>
+    tf.image
+      .cropAndResize(
+        pixels.toFloat().expandDims(0),
+        [
+          [
+            Math.max(0, region.y / sourceHeight),
+            Math.max(0, region.x / sourceWidth),
+            Math.min(1, (region.y + region.height) / sourceHeight),
+            Math.min(1, (region.x + region.width) / sourceWidth),
+          ],
+        ],
+        [0],
+        [height, width],
+        'bilinear'
+      )
+      .squeeze([0])
+      .round()
+      .clipByValue(0, 255)
+  )
+  try {
+    return { data: await sample.data(), width, height }
+  } finally {
+    sample.dispose()
+  }
+}
+
+export const assessSourceQuality = async (pixels, faces, options = {}) => {
+  const [sourceHeight, sourceWidth] = pixels.shape
+  const sourceSize = { width: sourceWidth, height: sourceHeight }
+  const targets = faces.length > 0 ? faces : [null]
+  const quality = []
+  for (const face of targets) {
+    const sample = await sampleQualityRegion(pixels, face?.box)
+    quality.push(assessQuality(sample, { ...options, face, sourceSize }))
+  }
+  return quality
+}
@@ -0,0 +1,84 @@
+import { CLASS_LABELS, MODEL_INPUT_SIZE, MODEL_NORMALIZATION } from './constants.js'
+
+const manifestCache = new Map()
+
+const isChannelTriple = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+
+export const normalizeModelEntry = (entry, baseUrl) => {
+  if (!entry || typeof entry.id !== 'string' || typeof entry.url !== 'string') {
+    throw new Error('Every model in the manifest needs an id and a url.')
+  }
+  const labels = entry.labels ?? CLASS_LABELS
+  if (labels.length !== CLASS_LABELS.length || CLASS_LABELS.some((label) => !labels.includes(label))) {
+    throw new Error(`Model ${entry.id} must list every MST label exactly once.`)
+  }
+  const inputSize = entry.inputSize ?? MODEL_INPUT_SIZE
+  if (!Number.isInteger(inputSize) || inputSize <= 0) {
+    throw new Error(`Model ${entry.id} has an invalid input size.`)
+  }
+  const normalization = { ...MODEL_NORMALIZATION, ...entry.normalization }
+  if (!isChannelTriple(normalization.mean) || !isChannelTriple(normalization.std) || normalization.std.includes(0)) {
+    throw new Error(`Model ${entry.id} has an invalid normalization.`)
+  }
+  return {
+    id: entry.id,
+    name: entry.name ?? entry.id,
+    version: String(entry.version ?? '0.0.0'),
+    url: baseUrl ? new URL(entry.url, baseUrl).href : entry.url,
+    inputSize,
+    normalization,
+    labels: [...labels],
+    accuracy: Number.isFinite(entry.accuracy) ? entry.accuracy : null,
+  }
+}
+
+export const parseModelManifest = (manifest, baseUrl) => {
+  const models = (manifest?.models ?? []).map((entry) => normalizeModelEntry(entry, baseUrl))
+  if (models.length === 0) {
+    throw new Error('The model manifest does not list any models.')
+  }
+  if (new Set(models.map((model) => model.id)).size !== models.length) {
+    throw new Error('Model ids in the manifest must be unique.')
+  }
+  const defaultId = models.some((model) => model.id === manifest.default) ? manifest.default : models[0].id
+  const ensembleIds = (manifest.ensemble ?? []).filter((id) => models.some((model) => model.id === id))
+  return { defaultId, ensembleIds, models }
+}
+
+export const loadModelManifest = async (url) => {
+  if (!manifestCache.has(url)) {
+    const manifestPromise = (async () => {
+      const response = await fetch(url)
+      if (!response.ok) {
+        throw new Error(`Could not load the model manifest (${response.status}).`)
+      }
+      return parseModelManifest(await response.json(), response.url || url)
+    })()
+    manifestCache.set(url, manifestPromise)
+    manifestPromise.catch(() => manifestCache.delete(url))
+  }
+  return manifestCache.get(url)
+}
+
+export const selectModel = (manifest, id) =>
+  manifest.models.find((model) => model.id === id) ?? manifest.models.find((model) => model.id === manifest.defaultId)
+
+export const getModelInfo = (model) => ({ id: model.id, name: model.name, version: model.version, inputSize: model.inputSize })
+
+export const getModelAnalysisOptions = (model) => ({
+  modelUrl: model.url,
+  inputSize: model.inputSize,
+  normalization: model.normalization,
+  labels: model.labels,
+  modelInfo: getModelInfo(model),
+})
+
+export const getEnsembleOptions = (manifest, selectedId) =>
+  manifest.ensembleIds.filter((id) => id !== selectedId).map((id) => getModelAnalysisOptions(selectModel(manifest, id)))
+
+export const formatModelVersion = (model) => {
+  if (!model) {
+    return null
+  }
+  return typeof model === 'string' ? model : `${model.id}@${model.version}`
+}
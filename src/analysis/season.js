@@ -0,0 +1,67 @@
+import { SEASON_CONTRAST_RANGE, SEASON_WEIGHTS } from './constants.js'
+import { getChroma } from './undertone.js'
+import { SEASONS } from './seasonPalettes.js'
+
+const clamp = (value, min = -1, max = 1) => Math.min(max, Math.max(min, value))
+
+const SEASON_BY_CHARACTERISTIC = {
+  temperature: { positive: ['warm-spring', 'warm-autumn'], negative: ['cool-summer', 'cool-winter'] },
+  value: { positive: ['light-spring', 'light-summer'], negative: ['deep-autumn', 'deep-winter'] },
+  chroma: { positive: ['bright-spring', 'bright-winter'], negative: ['soft-autumn', 'soft-summer'] },
+}
+
+const scoreValue = (expectedMst, hair) => {
+  const skinValue = clamp((5.5 - expectedMst) / 4.5)
+  if (!hair) {
+    return skinValue
+  }
+  const hairValue = clamp((hair.lab[0] - 40) / 30)
+  return SEASON_WEIGHTS.skinValue * skinValue + SEASON_WEIGHTS.hairValue * hairValue
+}
+
+export const measureContrast = (skinLab, { hair, eyes } = {}) => {
+  const features = [hair, eyes].filter(Boolean)
+  if (!skinLab || features.length === 0) {
+    return null
+  }
+  return Math.max(...features.map((feature) => Math.abs(skinLab[0] - feature.lab[0])))
+}
+
+const scoreChroma = (skinLab, contrast) => {
+  const { soft, bright } = SEASON_CONTRAST_RANGE
+  const chromaScore = skinLab ? clamp((getChroma(skinLab) - 22) / 10) : 0
+  if (contrast === null) {
+    return chromaScore
+  }
+  const contrastScore = clamp((contrast - (soft + bright) / 2) / ((bright - soft) / 2))
+  return SEASON_WEIGHTS.contrast * contrastScore + SEASON_WEIGHTS.chroma * chromaScore
+}
+
+const pickSeason = (characteristic, scores) => {
+  const { positive, negative } = SEASON_BY_CHARACTERISTIC[characteristic]
+  const [first, second] = scores[characteristic] >= 0 ? positive : negative
+  if (characteristic !== 'temperature') {
+    return scores.temperature >= 0 ? first : second
+  }
+  const lean = scores.temperature >= 0 ? scores.value + scores.chroma : scores.value - scores.chroma
+  return lean >= 0 ? first : second
+}
+
+export const classifySeason = ({ expectedMst, skinLab = null, undertone, features = {} }) => {
+  const contrast = measureContrast(skinLab, features)
+  const scores = {
+    temperature: undertone?.score ?? 0,
+    value: scoreValue(expectedMst, features.hair),
+    chroma: scoreChroma(skinLab, contrast),
+  }
+  const ranked = Object.keys(scores).sort((a, b) => Math.abs(scores[b]) - Math.abs(scores[a]))
+  const season = SEASONS[pickSeason(ranked[0], scores)]
+  const alternative = SEASONS[pickSeason(ranked[1], scores)]
+  return {
+    ...season,
+    dominant: ranked[0],
+    scores,
+    contrast,
+    alternative: alternative.id === season.id ? null : { id: alternative.id, name: alternative.name },
+  }
+}
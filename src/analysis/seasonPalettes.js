@@ -0,0 +1,290 @@
+export const SEASONS = {
+  'light-spring': {
+    id: 'light-spring',
+    name: 'Light Spring',
+    family: 'spring',
+    description: 'Light, warm and delicate: soft contrast with a golden glow.',
+    palette: {
+      recommended: [
+        { name: 'Peach', hex: '#ffcba4' },
+        { name: 'Light Coral', hex: '#f08080' },
+        { name: 'Warm Aqua', hex: '#7fd8be' },
+        { name: 'Buttercup', hex: '#f9e076' },
+        { name: 'Light Camel', hex: '#d8b48a' },
+        { name: 'Mint', hex: '#98e2c6' },
+        { name: 'Periwinkle', hex: '#9db4ff' },
+        { name: 'Ivory', hex: '#fffff0' },
+      ],
+      avoid: [
+        { name: 'Black', hex: '#000000' },
+        { name: 'Burgundy', hex: '#800020' },
+        { name: 'Charcoal', hex: '#36454f' },
+        { name: 'Dark Brown', hex: '#4b3621' },
+      ],
+    },
+  },
+  'warm-spring': {
+    id: 'warm-spring',
+    name: 'Warm Spring',
+    family: 'spring',
+    description: 'Warm above all: clear, golden colors with medium depth.',
+    palette: {
+      recommended: [
+        { name: 'Golden Yellow', hex: '#ffc30b' },
+        { name: 'Coral', hex: '#ff7f50' },
+        { name: 'Tomato Red', hex: '#ff6347' },
+        { name: 'Warm Turquoise', hex: '#30d5c8' },
+        { name: 'Apple Green', hex: '#8db600' },
+        { name: 'Camel', hex: '#c19a6b' },
+        { name: 'Cream', hex: '#fffdd0' },
+        { name: 'Golden Brown', hex: '#996515' },
+      ],
+      avoid: [
+        { name: 'Black', hex: '#000000' },
+        { name: 'Icy Pink', hex: '#f8c8dc' },
+        { name: 'Cool Gray', hex: '#8c92ac' },
+        { name: 'Burgundy', hex: '#800020' },
+      ],
+    },
+  },
+  'bright-spring': {
+    id: 'bright-spring',
+    name: 'Bright Spring',
+    family: 'spring',
+    description: 'Clear and vivid with a warm lean: high contrast, saturated colors.',
+    palette: {
+      recommended: [
+        { name: 'Bright Coral', hex: '#ff6f61' },
+        { name: 'Poppy Red', hex: '#e35335' },
+        { name: 'Bright Turquoise', hex: '#08e8de' },
+        { name: 'Kelly Green', hex: '#4cbb17' },
+        { name: 'Sunflower', hex: '#ffda03' },
+        { name: 'Violet', hex: '#8f00ff' },
+        { name: 'Clear Navy', hex: '#1f3a93' },
+        { name: 'Warm White', hex: '#fdf5e6' },
+      ],
+      avoid: [
+        { name: 'Dusty Rose', hex: '#dcae96' },
+        { name: 'Taupe', hex: '#483c32' },
+        { name: 'Mauve', hex: '#e0b0ff' },
+        { name: 'Muted Olive', hex: '#6b6b3a' },
+      ],
+    },
+  },
+  'light-summer': {
+    id: 'light-summer',
+    name: 'Light Summer',
+    family: 'summer',
+    description: 'Light and cool: airy pastels with low contrast.',
+    palette: {
+      recommended: [
+        { name: 'Powder Blue', hex: '#b0e0e6' },
+        { name: 'Lavender', hex: '#b57edc' },
+        { name: 'Soft Pink', hex: '#f4c2c2' },
+        { name: 'Periwinkle', hex: '#ccccff' },
+        { name: 'Mint', hex: '#aaf0d1' },
+        { name: 'Light Gray', hex: '#d3d3d3' },
+        { name: 'Soft Navy', hex: '#4a5a7a' },
+        { name: 'Rose', hex: '#e8a1b0' },
+      ],
+      avoid: [
+        { name: 'Orange', hex: '#ffa500' },
+        { name: 'Black', hex: '#000000' },
+        { name: 'Mustard', hex: '#ffdb58' },
+        { name: 'Rust', hex: '#b7410e' },
+      ],
+    },
+  },
+  'cool-summer': {
+    id: 'cool-summer',
+    name: 'Cool Summer',
+    family: 'summer',
+    description: 'Cool above all: blue-based colors of medium depth, gently muted.',
+    palette: {
+      recommended: [
+        { name: 'Raspberry', hex: '#b3446c' },
+        { name: 'Cornflower Blue', hex: '#6495ed' },
+        { name: 'Slate Blue', hex: '#6a5acd' },
+        { name: 'Rose Pink', hex: '#e75480' },
+        { name: 'Blue Gray', hex: '#6699cc' },
+        { name: 'Spruce', hex: '#2f6f6a' },
+        { name: 'Plum', hex: '#8e4585' },
+        { name: 'Soft White', hex: '#f5f5f5' },
+      ],
+      avoid: [
+        { name: 'Orange', hex: '#ffa500' },
+        { name: 'Gold', hex: '#ffd700' },
+        { name: 'Camel', hex: '#c19a6b' },
+        { name: 'Warm Brown', hex: '#8b5a2b' },
+      ],
+    },
+  },
+  'soft-summer': {
+    id: 'soft-summer',
+    name: 'Soft Summer',
+    family: 'summer',
+    description: 'Muted and cool-leaning: dusty, blended colors with gentle contrast.',
+    palette: {
+      recommended: [
+        { name: 'Dusty Rose', hex: '#dcae96' },
+        { name: 'Sage', hex: '#9caf88' },
+        { name: 'Mauve', hex: '#b784a7' },
+        { name: 'Slate Gray', hex: '#708090' },
+        { name: 'Soft Teal', hex: '#5f9ea0' },
+        { name: 'Taupe', hex: '#8b8589' },
+        { name: 'Denim', hex: '#5f7fa8' },
+        { name: 'Soft Plum', hex: '#8e6c8a' },
+      ],
+      avoid: [
+        { name: 'Bright Orange', hex: '#ff4500' },
+        { name: 'Black', hex: '#000000' },
+        { name: 'Neon Yellow', hex: '#ffff33' },
+        { name: 'Pure White', hex: '#ffffff' },
+      ],
+    },
+  },
+  'soft-autumn': {
+    id: 'soft-autumn',
+    name: 'Soft Autumn',
+    family: 'autumn',
+    description: 'Muted and warm-leaning: earthy, softened colors with gentle contrast.',
+    palette: {
+      recommended: [
+        { name: 'Sage', hex: '#9caf88' },
+        { name: 'Camel', hex: '#c19a6b' },
+        { name: 'Salmon', hex: '#e9967a' },
+        { name: 'Olive', hex: '#808000' },
+        { name: 'Soft Teal', hex: '#5f9ea0' },
+        { name: 'Khaki', hex: '#c3b091' },
+        { name: 'Terracotta', hex: '#e2725b' },
+        { name: 'Warm Taupe', hex: '#a68a6d' },
+      ],
+      avoid: [
+        { name: 'Black', hex: '#000000' },
+        { name: 'Fuchsia', hex: '#ff00ff' },
+        { name: 'Icy Blue', hex: '#a5f2f3' },
+        { name: 'Pure White', hex: '#ffffff' },
+      ],
+    },
+  },
+  'warm-autumn': {
+    id: 'warm-autumn',
+    name: 'Warm Autumn',
+    family: 'autumn',
+    description: 'Warm above all: rich, golden earth tones.',
+    palette: {
+      recommended: [
+        { name: 'Rust', hex: '#b7410e' },
+        { name: 'Mustard', hex: '#ffdb58' },
+        { name: 'Olive Green', hex: '#556b2f' },
+        { name: 'Burnt Orange', hex: '#cc5500' },
+        { name: 'Teal', hex: '#008080' },
+        { name: 'Camel', hex: '#c19a6b' },
+        { name: 'Chocolate', hex: '#7b3f00' },
+        { name: 'Pumpkin', hex: '#ff7518' },
+      ],
+      avoid: [
+        { name: 'Icy Pink', hex: '#f8c8dc' },
+        { name: 'Cool Gray', hex: '#8c92ac' },
+        { name: 'Fuchsia', hex: '#ff00ff' },
+        { name: 'Black', hex: '#000000' },
+      ],
+    },
+  },
+  'deep-autumn': {
+    id: 'deep-autumn',
+    name: 'Deep Autumn',
+    family: 'autumn',
+    description: 'Deep and warm: dark, rich colors with noticeable contrast.',
+    palette: {
+      recommended: [
+        { name: 'Chocolate', hex: '#7b3f00' },
+        { name: 'Forest Green', hex: '#228b22' },
+        { name: 'Oxblood', hex: '#4a0000' },
+        { name: 'Deep Teal', hex: '#014d4e' },
+        { name: 'Mustard', hex: '#ffdb58' },
+        { name: 'Rust', hex: '#b7410e' },
+        { name: 'Aubergine', hex: '#3d0734' },
+        { name: 'Olive', hex: '#556b2f' },
+      ],
+      avoid: [
+        { name: 'Pastel Pink', hex: '#fadadd' },
+        { name: 'Icy Blue', hex: '#a5f2f3' },
+        { name: 'Light Gray', hex: '#d3d3d3' },
+        { name: 'Lavender', hex: '#e6e6fa' },
+      ],
+    },
+  },
+  'deep-winter': {
+    id: 'deep-winter',
+    name: 'Deep Winter',
+    family: 'winter',
+    description: 'Deep and cool: dark jewel tones with strong contrast.',
+    palette: {
+      recommended: [
+        { name: 'Black', hex: '#000000' },
+        { name: 'Pure White', hex: '#ffffff' },
+        { name: 'Emerald', hex: '#046307' },
+        { name: 'Ruby', hex: '#9b111e' },
+        { name: 'Sapphire', hex: '#0f52ba' },
+        { name: 'Amethyst', hex: '#9966cc' },
+        { name: 'Burgundy', hex: '#800020' },
+        { name: 'Charcoal', hex: '#36454f' },
+      ],
+      avoid: [
+        { name: 'Camel', hex: '#c19a6b' },
+        { name: 'Peach', hex: '#ffcba4' },
+        { name: 'Mustard', hex: '#ffdb58' },
+        { name: 'Orange', hex: '#ffa500' },
+      ],
+    },
+  },
+  'cool-winter': {
+    id: 'cool-winter',
+    name: 'Cool Winter',
+    family: 'winter',
+    description: 'Cool above all: icy and blue-based colors with high contrast.',
+    palette: {
+      recommended: [
+        { name: 'Icy Blue', hex: '#a5f2f3' },
+        { name: 'Royal Blue', hex: '#4169e1' },
+        { name: 'Fuchsia', hex: '#ff00ff' },
+        { name: 'Emerald Green', hex: '#50c878' },
+        { name: 'Blue Red', hex: '#c8102e' },
+        { name: 'Black', hex: '#000000' },
+        { name: 'Pure White', hex: '#ffffff' },
+        { name: 'Silver Gray', hex: '#c0c0c0' },
+      ],
+      avoid: [
+        { name: 'Orange', hex: '#ffa500' },
+        { name: 'Camel', hex: '#c19a6b' },
+        { name: 'Olive', hex: '#808000' },
+        { name: 'Golden Brown', hex: '#996515' },
+      ],
+    },
+  },
+  'bright-winter': {
+    id: 'bright-winter',
+    name: 'Bright Winter',
+    family: 'winter',
+    description: 'Clear and vivid with a cool lean: saturated colors and crisp contrast.',
+    palette: {
+      recommended: [
+        { name: 'Hot Pink', hex: '#ff69b4' },
+        { name: 'Electric Blue', hex: '#7df9ff' },
+        { name: 'Cobalt', hex: '#0047ab' },
+        { name: 'Emerald', hex: '#50c878' },
+        { name: 'True Red', hex: '#c8102e' },
+        { name: 'Lemon Yellow', hex: '#fff44f' },
+        { name: 'Black', hex: '#000000' },
+        { name: 'Pure White', hex: '#ffffff' },
+      ],
+      avoid: [
+        { name: 'Dusty Rose', hex: '#dcae96' },
+        { name: 'Taupe', hex: '#483c32' },
+        { name: 'Olive', hex: '#808000' },
+        { name: 'Camel', hex: '#c19a6b' },
+      ],
+    },
+  },
+}
@@ -0,0 +1,186 @@
+import { median, rgbToHex, rgbToHsv, rgbToLab, rgbToYCbCr } from './color.js'
+import { MIN_SKIN_COVERAGE } from './constants.js'
+
+const CHROMA_TOLERANCE = 14
+
+export const toCropSpace = (point, cropBox, width, height) => ({
+  x: ((point.x - cropBox.x) * width) / cropBox.width,
+  y: ((point.y - cropBox.y) * height) / cropBox.height,
+})
+
+const findKeypoint = (keypoints, name) => keypoints.find((point) => point.name === name)
+
+const buildFaceGeometry = (face, cropBox, width, height) => {
+  if (!face?.box) {
+    return null
+  }
+  const topLeft = toCropSpace({ x: face.box.x, y: face.box.y }, cropBox, width, height)
+  const bottomRight = toCropSpace(
+    { x: face.box.x + face.box.width, y: face.box.y + face.box.height },
+    cropBox,
+    width,
+    height
+  )
+  const faceWidth = bottomRight.x - topLeft.x
+  const faceHeight = bottomRight.y - topLeft.y
+  const keypoints = (face.keypoints ?? []).map((point) => ({ ...toCropSpace(point, cropBox, width, height), name: point.name }))
+  const exclusions = []
+  for (const name of ['rightEye', 'leftEye']) {
+    const eye = findKeypoint(keypoints, name)
+    if (eye) {
+      exclusions.push({ x: eye.x, y: eye.y, rx: faceWidth * 0.14, ry: faceHeight * 0.09 })
+    }
+  }
+  const mouth = findKeypoint(keypoints, 'mouthCenter')
+  if (mouth) {
+    exclusions.push({ x: mouth.x, y: mouth.y, rx: faceWidth * 0.22, ry: faceHeight * 0.1 })
+  }
+  return {
+    center: { x: topLeft.x + faceWidth / 2, y: topLeft.y + faceHeight * 0.55 },
+    radiusX: faceWidth * 0.5,
+    radiusY: faceHeight * 0.6,
+    exclusions,
+  }
+}
+
+const insideEllipse = (x, y, cx, cy, rx, ry) => ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1
+
+const isInsideFace = (geometry, x, y) => {
+  if (!geometry) {
+    return true
+  }
+  if (!insideEllipse(x, y, geometry.center.x, geometry.center.y, geometry.radiusX, geometry.radiusY)) {
+    return false
+  }
+  return !geometry.exclusions.some((zone) => insideEllipse(x, y, zone.x, zone.y, zone.rx, zone.ry))
+}
+
+export const isSkinColor = (rgb) => {
+  if (Math.max(...rgb) >= 250) {
+    return false
+  }
+  const [y, cb, cr] = rgbToYCbCr(rgb)
+  if (y < 20 || cb < 77 || cb > 127 || cr < 133 || cr > 173) {
+    return false
+  }
+  const [hue, saturation] = rgbToHsv(rgb)
+  return (hue <= 50 || hue >= 340) && saturation >= 0.08 && saturation <= 0.75
+}
+
+const summarizeSkin = (data, mask) => {
+  const reds = []
+  const greens = []
+  const blues = []
+  const lightness = []
+  const aValues = []
+  const bValues = []
+  let luminanceTotal = 0
+  for (let index = 0; index < mask.length; index += 1) {
+    if (!mask[index]) {
+      continue
+    }
+    const offset = index * 4
+    const rgb = [data[offset], data[offset + 1], data[offset + 2]]
+    const lab = rgbToLab(rgb)
+    reds.push(rgb[0])
+    greens.push(rgb[1])
+    blues.push(rgb[2])
+    lightness.push(lab[0])
+    aValues.push(lab[1])
+    bValues.push(lab[2])
+    luminanceTotal += 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2]
+  }
+  const rgb = [median(reds), median(greens), median(blues)].map(Math.round)
+  return {
+    color: {
+      rgb,
+      lab: [median(lightness), median(aValues), median(bValues)],
+      hex: rgbToHex(rgb),
+    },
+    luminance: reds.length ? luminanceTotal / reds.length : 0,
+  }
+}
+
+export const segmentSkin = ({ data, width, height }, { cropBox, face } = {}) => {
+  const total = width * height
+  const geometry = cropBox ? buildFaceGeometry(face, cropBox, width, height) : null
+  const regionMask = new Uint8Array(total)
+  const colorMask = new Uint8Array(total)
+  const cbValues = []
+  const crValues = []
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const index = y * width + x
+      if (!isInsideFace(geometry, x + 0.5, y + 0.5)) {
+        continue
+      }
+      regionMask[index] = 1
+      const offset = index * 4
+      const rgb = [data[offset], data[offset + 1], data[offset + 2]]
+      if (isSkinColor(rgb)) {
+        colorMask[index] = 1
+        const [, cb, cr] = rgbToYCbCr(rgb)
+        cbValues.push(cb)
+        crValues.push(cr)
+      }
+    }
+  }
+
+  let mask = colorMask
+  let method = geometry ? 'landmarks+color' : 'color'
+  if (cbValues.length >= total * MIN_SKIN_COVERAGE) {
+    const medianCb = median(cbValues)
+    const medianCr = median(crValues)
+    mask = new Uint8Array(total)
+    for (let index = 0; index < total; index += 1) {
+      if (!colorMask[index]) {
+        continue
+      }
+      const offset = index * 4
+      const [, cb, cr] = rgbToYCbCr([data[offset], data[offset + 1], data[offset + 2]])
+      if (Math.abs(cb - medianCb) <= CHROMA_TOLERANCE && Math.abs(cr - medianCr) <= CHROMA_TOLERANCE) {
+        mask[index] = 1
+      }
+    }
+  }
+
+  let coverage = mask.reduce((sum, value) => sum + value, 0) / total
+  if (coverage < MIN_SKIN_COVERAGE) {
+    mask = regionMask
+    method = geometry ? 'landmarks' : 'none'
+    coverage = mask.reduce((sum, value) => sum + value, 0) / total
+  }
+
+  return {
+    mask: { data: mask, width, height },
+    method,
+    coverage,
+    ...summarizeSkin(data, mask),
+  }
+}
+
+export const fillOutsideMask = ({ data, width, height }, mask, fillRgb) => {
+  const filled = new Uint8ClampedArray(data)
+  for (let index = 0; index < mask.data.length; index += 1) {
+    if (!mask.data[index]) {
+      const offset = index * 4
+      filled[offset] = fillRgb[0]
+      filled[offset + 1] = fillRgb[1]
+      filled[offset + 2] = fillRgb[2]
+    }
+  }
+  return { data: filled, width, height }
+}
+
+export const createMaskOverlay = ({ data, width, height }, mask) => {
+  const overlay = new Uint8ClampedArray(data)
+  for (let index = 0; index < mask.data.length; index += 1) {
+    if (!mask.data[index]) {
+      const offset = index * 4
+      overlay[offset] = overlay[offset] * 0.25 + 108 * 0.35
+      overlay[offset + 1] = overlay[offset + 1] * 0.25 + 92 * 0.35
+      overlay[offset + 2] = overlay[offset + 2] * 0.25 + 231 * 0.35
+    }
+  }
+  return { data: overlay, width, height }
+}
@@ -0,0 +1,48 @@
+export const TIMING_GROUPS = {
+  init: ['init'],
+  decode: ['decode'],
+  detect: ['detect'],
+  preprocess: ['correct', 'quality', 'crop', 'segment'],
+  augment: ['augment'],
+  loadModel: ['loadModel'],
+  predict: ['predict'],
+}
+
+export const createStageTimer = (now = () => performance.now()) => {
+  const startedAt = now()
+  const durations = {}
+  let current = null
+  let currentStart = startedAt
+  const close = () => {
+    const time = now()
+    if (current) {
+      durations[current] = (durations[current] ?? 0) + time - currentStart
+    }
+    currentStart = time
+    return time
+  }
+  return {
+    mark: (stage) => {
+      close()
+      current = stage
+    },
+    finish: () => {
+      const endedAt = close()
+      current = null
+      return { stages: { ...durations }, total: endedAt - startedAt }
+    },
+  }
+}
+
+export const groupTimings = ({ stages, total }, groups = TIMING_GROUPS) => ({
+  ...Object.fromEntries(
+    Object.entries(groups).map(([group, stageNames]) => [group, stageNames.reduce((sum, stage) => sum + (stages[stage] ?? 0), 0)])
+  ),
+  total,
+})
+
+export const sumTimings = (timings) =>
+  timings.filter(Boolean).reduce(
+    (sum, entry) => Object.fromEntries(Object.keys(entry).map((key) => [key, (sum[key] ?? 0) + entry[key]])),
+    {}
+  )
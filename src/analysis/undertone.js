@@ -0,0 +1,37 @@
+import { UNDERTONE_DECISION_THRESHOLD, UNDERTONE_HUE_RANGE, UNDERTONE_WEIGHTS } from './constants.js'
+
+export const VEIN_COLOR_SCORES = { green: 1, mixed: 0, blue: -1 }
+export const JEWELRY_SCORES = { gold: 1, both: 0, silver: -1 }
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+export const getHueAngle = ([, a, b]) => {
+  const angle = (Math.atan2(b, a) * 180) / Math.PI
+  return angle < 0 ? angle + 360 : angle
+}
+
+export const getChroma = ([, a, b]) => Math.hypot(a, b)
+
+export const scoreSkinHue = (hueAngle, { cool, warm } = UNDERTONE_HUE_RANGE) =>
+  clamp((hueAngle - (cool + warm) / 2) / ((warm - cool) / 2), -1, 1)
+
+export const estimateUndertone = (lab, { veins = null, jewelry = null } = {}) => {
+  const contributions = []
+  let hueAngle = null
+  let chroma = null
+  if (lab) {
+    hueAngle = getHueAngle(lab)
+    chroma = getChroma(lab)
+    contributions.push({ source: 'skin', score: scoreSkinHue(hueAngle), weight: UNDERTONE_WEIGHTS.skin })
+  }
+  if (veins in VEIN_COLOR_SCORES) {
+    contributions.push({ source: 'veins', score: VEIN_COLOR_SCORES[veins], weight: UNDERTONE_WEIGHTS.veins })
+  }
+  if (jewelry in JEWELRY_SCORES) {
+    contributions.push({ source: 'jewelry', score: JEWELRY_SCORES[jewelry], weight: UNDERTONE_WEIGHTS.jewelry })
+  }
+  const totalWeight = contributions.reduce((sum, entry) => sum + entry.weight, 0)
+  const score = totalWeight ? contributions.reduce((sum, entry) => sum + entry.score * entry.weight, 0) / totalWeight : 0
+  const undertone = score > UNDERTONE_DECISION_THRESHOLD ? 'warm' : score < -UNDERTONE_DECISION_THRESHOLD ? 'cool' : 'neutral'
+  return { undertone, score, hueAngle, chroma, contributions }
+}
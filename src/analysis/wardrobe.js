@@ -0,0 +1,161 @@
+import * as tf from '@tensorflow/tfjs'
+import { deltaE2000, hexToRgb, labToRgb, rgbToHex, rgbToLab } from './color.js'
+import {
+  WARDROBE_CLUSTER_COUNT,
+  WARDROBE_MATCH_SCALE,
+  WARDROBE_MIN_SHARE,
+  WARDROBE_SAMPLE_SIZE,
+} from './constants.js'
+import { formatReason } from './harmony.js'
+import { decodeSource, tensorToPixelData } from './image.js'
+
+const KMEANS_ITERATIONS = 12
+const CENTER_REGION = 0.7
+const SKIN_BLEND_DISTANCE = 8
+
+export const WARDROBE_REASONS = {
+  blendsWithSkin: 'Very close to your skin color, so it can wash you out.',
+  nearRecommended: 'Close to {color} from your palette (ΔE {deltaE}).',
+  nearAvoid: 'Close to {color}, a color to avoid (ΔE {deltaE}).',
+}
+
+const labDistanceSquared = (first, second) =>
+  (first[0] - second[0]) ** 2 + (first[1] - second[1]) ** 2 + (first[2] - second[2]) ** 2
+
+const collectSamples = ({ data, width, height }) => {
+  const samples = []
+  const marginX = (width * (1 - CENTER_REGION)) / 2
+  const marginY = (height * (1 - CENTER_REGION)) / 2
+  for (let y = Math.floor(marginY); y < height - marginY; y += 1) {
+    for (let x = Math.floor(marginX); x < width - marginX; x += 1) {
+      const offset = (y * width + x) * 4
+      samples.push(rgbToLab([data[offset], data[offset + 1], data[offset + 2]]))
+    }
+  }
+  return samples
+}
+
+const initializeCenters = (samples, k) => {
+  const centers = [samples[Math.floor(samples.length / 2)]]
+  const distances = samples.map((sample) => labDistanceSquared(sample, centers[0]))
+  while (centers.length < k) {
+    let farthest = 0
+    distances.forEach((distance, index) => {
+      if (distance > distances[farthest]) {
+        farthest = index
+      }
+    })
+    if (distances[farthest] === 0) {
+      break
+    }
+    centers.push(samples[farthest])
+    samples.forEach((sample, index) => {
+      distances[index] = Math.min(distances[index], labDistanceSquared(sample, samples[farthest]))
+    })
+  }
+  return centers
+}
+
+export const kMeansLab = (samples, k = WARDROBE_CLUSTER_COUNT, iterations = KMEANS_ITERATIONS) => {
+  if (samples.length === 0) {
+    return []
+  }
+  let centers = initializeCenters(samples, Math.min(k, samples.length))
+  const assignments = new Uint16Array(samples.length)
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    samples.forEach((sample, index) => {
+      let best = 0
+      for (let center = 1; center < centers.length; center += 1) {
+        if (labDistanceSquared(sample, centers[center]) < labDistanceSquared(sample, centers[best])) {
+          best = center
+        }
+      }
+      assignments[index] = best
+    })
+    const sums = centers.map(() => [0, 0, 0, 0])
+    samples.forEach((sample, index) => {
+      const sum = sums[assignments[index]]
+      sum[0] += sample[0]
+      sum[1] += sample[1]
+      sum[2] += sample[2]
+      sum[3] += 1
+    })
+    centers = sums.map((sum, index) => (sum[3] ? [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]] : centers[index]))
+  }
+  const counts = centers.map(() => 0)
+  assignments.forEach((assignment) => {
+    counts[assignment] += 1
+  })
+  return centers
+    .map((lab, index) => ({ lab, share: counts[index] / samples.length }))
+    .filter((cluster) => cluster.share > 0)
+    .sort((a, b) => b.share - a.share)
+}
+
+export const extractDominantColors = (pixelData, { k = WARDROBE_CLUSTER_COUNT } = {}) =>
+  kMeansLab(collectSamples(pixelData), k).map(({ lab, share }) => {
+    const rgb = labToRgb(lab)
+    return { rgb, lab, hex: rgbToHex(rgb), share }
+  })
+
+const findNearest = (lab, swatches) =>
+  swatches
+    .map((swatch) => ({ ...swatch, deltaE: deltaE2000(lab, rgbToLab(hexToRgb(swatch.hex))) }))
+    .sort((a, b) => a.deltaE - b.deltaE)[0] ?? null
+
+export const scoreGarmentColor = (lab, palette, skinLab = null) => {
+  const nearestRecommended = findNearest(lab, palette.recommended)
+  const nearestAvoid = findNearest(lab, palette.avoid)
+  const match = nearestRecommended ? Math.exp(-nearestRecommended.deltaE / WARDROBE_MATCH_SCALE) : 0
+  const clash = nearestAvoid ? Math.exp(-nearestAvoid.deltaE / WARDROBE_MATCH_SCALE) : 0
+  const skinDistance = skinLab ? deltaE2000(lab, skinLab) : null
+  const blendsWithSkin = skinDistance !== null && skinDistance < SKIN_BLEND_DISTANCE
+  const score = Math.min(1, Math.max(0, 0.5 + 0.5 * (match - clash) - (blendsWithSkin ? 0.2 : 0)))
+  let reason
+  if (blendsWithSkin) {
+    reason = { key: 'blendsWithSkin', params: {} }
+  } else if (match >= clash) {
+    reason = { key: 'nearRecommended', params: { color: nearestRecommended.name, deltaE: nearestRecommended.deltaE.toFixed(1) } }
+  } else {
+    reason = { key: 'nearAvoid', params: { color: nearestAvoid.name, deltaE: nearestAvoid.deltaE.toFixed(1) } }
+  }
+  return {
+    score,
+    nearestRecommended,
+    nearestAvoid,
+    skinDistance,
+    explanation: formatReason(WARDROBE_REASONS, reason),
+    reasons: [reason],
+  }
+}
+
+export const getGarmentVerdict = (score) => (score >= 0.7 ? 'great' : score >= 0.55 ? 'good' : score >= 0.4 ? 'neutral' : 'avoid')
+
+export const scoreGarment = (colors, palette, skinLab = null) => {
+  const significant = colors.filter((color) => color.share >= WARDROBE_MIN_SHARE)
+  const scoredColors = (significant.length ? significant : colors.slice(0, 1)).map((color) => ({
+    ...color,
+    ...scoreGarmentColor(color.lab, palette, skinLab),
+  }))
+  const totalShare = scoredColors.reduce((sum, color) => sum + color.share, 0)
+  const score = scoredColors.reduce((sum, color) => sum + (color.score * color.share) / totalShare, 0)
+  return { score, verdict: getGarmentVerdict(score), colors: scoredColors }
+}
+
+export const analyzeGarment = async (source, { k = WARDROBE_CLUSTER_COUNT, sampleSize = WARDROBE_SAMPLE_SIZE } = {}) => {
+  const decoded = await decodeSource(source)
+  const [height, width] = decoded.shape
+  const scale = Math.min(1, sampleSize / Math.max(width, height))
+  const resized = tf.tidy(() =>
+    tf.image
+      .resizeBilinear(decoded, [Math.max(1, Math.round(height * scale)), Math.max(1, Math.round(width * scale))])
+      .round()
+      .toInt()
+  )
+  decoded.dispose()
+  try {
+    return { colors: extractDominantColors(await tensorToPixelData(resized), { k }) }
+  } finally {
+    resized.dispose()
+  }
+}
@@ -0,0 +1,58 @@
+import { TIMING_GROUPS } from '../analysis/timing.js'
+import { useI18n } from '../i18n/context.js'
+
+const TIMING_KEYS = [...Object.keys(TIMING_GROUPS), 'total']
+
+function AnalysisDiagnostics({ backend, timings }) {
+  const { t } = useI18n()
+
+  if (!backend && !timings) {
+    return null
+  }
+
+  const benchmarks = backend?.benchmarks ?? []
+
+  return (
+    <details className="analysis-diagnostics">
+      <summary>
+        <i className="fas fa-stopwatch"></i> {t('diagnostics.title')}
+      </summary>
+      {backend && (
+        <p>
+          {t('diagnostics.backend', { name: backend.name })}
+          {backend.simd !== null &&
+            ` · ${t('diagnostics.wasmFeatures', {
+              simd: t(backend.simd ? 'diagnostics.on' : 'diagnostics.off'),
+              threads: t(backend.threads ? 'diagnostics.on' : 'diagnostics.off'),
+            })}`}
+          {benchmarks.length === 0 && ` · ${t('diagnostics.requested')}`}
+        </p>
+      )}
+      {benchmarks.length > 0 && (
+        <p>
+          {t('diagnostics.benchmark', {
+            results: benchmarks
+              .map((entry) =>
+                entry.available
+                  ? t('diagnostics.benchmarkEntry', { backend: entry.backend, value: entry.ms.toFixed(1) })
+                  : t('diagnostics.unavailable', { backend: entry.backend })
+              )
+              .join(' · '),
+          })}
+        </p>
+      )}
+      {timings && (
+        <dl className="diagnostics-timings">
+          {TIMING_KEYS.filter((key) => timings[key] > 0 || key === 'total').map((key) => (
+            <div key={key} className={key === 'total' ? 'total' : ''}>
+              <dt>{t(`diagnostics.stages.${key}`)}</dt>
+              <dd>{t('diagnostics.ms', { value: timings[key].toFixed(0) })}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </details>
+  )
+}
+
+export default AnalysisDiagnostics
@@ -0,0 +1,250 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { getFaceBox } from '../analysis/index.js'
+import { useI18n } from '../i18n/context.js'
+
+const DETECTION_INTERVAL_MS = 150
+const MIN_FACE_RATIO = 0.25
+const MAX_FACE_RATIO = 0.65
+const MAX_CENTER_OFFSET = 0.15
+
+const evaluateFraming = (faces, frameWidth, frameHeight) => {
+  if (!faces || faces.length === 0) {
+    return { status: 'none', box: null }
+  }
+  const box = getFaceBox(faces[0])
+  if (faces.length > 1) {
+    return { status: 'multiple', box }
+  }
+  if (!box) {
+    return { status: 'none', box: null }
+  }
+  const sizeRatio = box.width / frameWidth
+  if (sizeRatio < MIN_FACE_RATIO) {
+    return { status: 'far', box }
+  }
+  if (sizeRatio > MAX_FACE_RATIO) {
+    return { status: 'close', box }
+  }
+  const offsetX = Math.abs(box.x + box.width / 2 - frameWidth / 2) / frameWidth
+  const offsetY = Math.abs(box.y + box.height / 2 - frameHeight / 2) / frameHeight
+  if (offsetX > MAX_CENTER_OFFSET || offsetY > MAX_CENTER_OFFSET) {
+    return { status: 'offCenter', box }
+  }
+  return { status: 'good', box }
+}
+
+const drawOverlay = (canvas, framing) => {
+  const ctx = canvas.getContext('2d')
+  if (!ctx) {
+    return
+  }
+  const { width, height } = canvas
+  const good = framing.status === 'good'
+  ctx.clearRect(0, 0, width, height)
+  ctx.save()
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.35)'
+  ctx.fillRect(0, 0, width, height)
+  ctx.globalCompositeOperation = 'destination-out'
+  ctx.beginPath()
+  ctx.ellipse(width / 2, height / 2, width * 0.22, height * 0.38, 0, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.restore()
+  ctx.lineWidth = Math.max(2, width / 320)
+  ctx.strokeStyle = good ? '#28a745' : 'rgba(255, 255, 255, 0.8)'
+  ctx.setLineDash(good ? [] : [12, 8])
+  ctx.beginPath()
+  ctx.ellipse(width / 2, height / 2, width * 0.22, height * 0.38, 0, 0, Math.PI * 2)
+  ctx.stroke()
+  ctx.setLineDash([])
+  if (framing.box) {
+    ctx.strokeStyle = good ? '#28a745' : '#ffc107'
+    ctx.strokeRect(framing.box.x, framing.box.y, framing.box.width, framing.box.height)
+  }
+}
+
+const captureFrame = (video) =>
+  new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas')
+    canvas.width = video.videoWidth
+    canvas.height = video.videoHeight
+    const ctx = canvas.getContext('2d')
+    if (!ctx) {
+      reject(new Error('Canvas is not supported.'))
+      return
+    }
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Failed to capture image.'))
+        return
+      }
+      resolve(new File([blob], `camera_${Date.now()}.jpg`, { type: 'image/jpeg' }))
+    }, 'image/jpeg', 0.92)
+  })
+
+function CameraCapture({ loadFaceDetector, onCapture, onCancel }) {
+  const { t } = useI18n()
+  const videoRef = useRef(null)
+  const overlayRef = useRef(null)
+  const streamRef = useRef(null)
+  const [cameraError, setCameraError] = useState(null)
+  const [streaming, setStreaming] = useState(false)
+  const [framingStatus, setFramingStatus] = useState('loading')
+  const [capturing, setCapturing] = useState(false)
+
+  const cameraSupported = Boolean(navigator.mediaDevices?.getUserMedia)
+  const errorMessage = cameraSupported ? cameraError && (cameraError.key ? t(cameraError.key) : cameraError.message) : t('camera.unsupported')
+
+  useEffect(() => {
+    if (!cameraSupported) {
+      return undefined
+    }
+    let cancelled = false
+    navigator.mediaDevices
+      .getUserMedia({
+        video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 720 } },
+        audio: false,
+      })
+      .then(async (stream) => {
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop())
+          return
+        }
+        streamRef.current = stream
+        const video = videoRef.current
+        if (!video) {
+          return
+        }
+        video.srcObject = stream
+        await video.play()
+        setStreaming(true)
+      })
+      .catch((error) => {
+        if (cancelled) {
+          return
+        }
+        const denied = error?.name === 'NotAllowedError' || error?.name === 'SecurityError'
+        setCameraError({ key: denied ? 'camera.denied' : 'camera.failed' })
+      })
+    return () => {
+      cancelled = true
+      streamRef.current?.getTracks().forEach((track) => track.stop())
+      streamRef.current = null
+    }
+  }, [cameraSupported])
+
+  useEffect(() => {
+    if (!streaming) {
+      return undefined
+    }
+    let cancelled = false
+    let frameId = 0
+    let lastRun = 0
+    let busy = false
+    let detector = null
+    const video = videoRef.current
+    const overlay = overlayRef.current
+
+    const tick = async (now) => {
+      if (cancelled) {
+        return
+      }
+      frameId = requestAnimationFrame(tick)
+      if (busy || now - lastRun < DETECTION_INTERVAL_MS || !video || !overlay || !video.videoWidth) {
+        return
+      }
+      busy = true
+      lastRun = now
+      try {
+        if (overlay.width !== video.videoWidth || overlay.height !== video.videoHeight) {
+          overlay.width = video.videoWidth
+          overlay.height = video.videoHeight
+        }
+        const faces = detector ? await detector.estimateFaces(video, { flipHorizontal: false }) : []
+        if (cancelled) {
+          return
+        }
+        const framing = detector
+          ? evaluateFraming(faces, video.videoWidth, video.videoHeight)
+          : { status: 'unavailable', box: null }
+        drawOverlay(overlay, framing)
+        setFramingStatus(framing.status)
+      } catch {
+        setFramingStatus('unavailable')
+      } finally {
+        busy = false
+      }
+    }
+
+    loadFaceDetector()
+      .then((loaded) => {
+        detector = loaded
+      })
+      .catch(() => {
+        detector = null
+      })
+      .finally(() => {
+        if (!cancelled) {
+          frameId = requestAnimationFrame(tick)
+        }
+      })
+
+    return () => {
+      cancelled = true
+      cancelAnimationFrame(frameId)
+    }
+  }, [streaming, loadFaceDetector])
+
+  const handleCapture = useCallback(async () => {
+    const video = videoRef.current
+    if (!video || !video.videoWidth) {
+      return
+    }
+    setCapturing(true)
+    try {
+      const file = await captureFrame(video)
+      onCapture(file)
+    } catch (error) {
+      setCameraError({ message: error instanceof Error ? error.message : String(error) })
+    } finally {
+      setCapturing(false)
+    }
+  }, [onCapture])
+
+  return (
+    <div className="camera-capture">
+      {errorMessage ? (
+        <div className="camera-error">
+          <i className="fas fa-video-slash"></i>
+          <p>{errorMessage}</p>
+        </div>
+      ) : (
+        <>
+          <div className="camera-view">
+            <video ref={videoRef} playsInline muted />
+            <canvas ref={overlayRef} className="camera-overlay" />
+          </div>
+          <div className={`camera-guidance ${framingStatus === 'good' ? 'good' : ''}`}>
+            <i className={`fas fa-${framingStatus === 'good' ? 'check-circle' : 'info-circle'}`}></i>
+            {streaming ? t(`camera.framing.${framingStatus}`) : t('camera.waiting')}
+          </div>
+        </>
+      )}
+      <div className="camera-actions">
+        <button className="browse-btn" type="button" onClick={onCancel}>
+          <i className="fas fa-times"></i> {t('camera.cancel')}
+        </button>
+        <button
+          className="capture-btn"
+          type="button"
+          disabled={!streaming || capturing || Boolean(errorMessage)}
+          onClick={handleCapture}
+        >
+          <i className="fas fa-camera"></i> {t('camera.capture')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CameraCapture
@@ -0,0 +1,41 @@
+import { useI18n } from '../i18n/context.js'
+
+function ConsensusBreakdown({ consensus, images }) {
+  const { t } = useI18n()
+  return (
+    <div className="consensus-breakdown">
+      <div className="detection-badge success">
+        <i className="fas fa-layer-group"></i>
+        {t('consensus.badge', { used: consensus.usedCount, total: consensus.imageCount })}
+      </div>
+      <p>{t('consensus.text')}</p>
+      <ul className="consensus-list">
+        {consensus.breakdown.map((entry) => (
+          <li key={entry.index} className={`consensus-item ${entry.included ? '' : 'excluded'}`}>
+            {images[entry.index]?.thumbnailUrl && <img src={images[entry.index].thumbnailUrl} alt={t('consensus.photo', { index: entry.index + 1 })} />}
+            <div className="consensus-details">
+              <strong>
+                {t('consensus.photo', { index: entry.index + 1 })}: {entry.label}
+              </strong>
+              <span>
+                {t('consensus.details', {
+                  confidence: (entry.confidence * 100).toFixed(1),
+                  expected: entry.expectedMst.toFixed(1),
+                  quality: Math.round(entry.qualityScore * 100),
+                })}
+              </span>
+              {images[entry.index]?.fileName && <span className="consensus-file">{images[entry.index].fileName}</span>}
+            </div>
+            <span className="consensus-weight">
+              {entry.included
+                ? t('consensus.weight', { value: Math.round(entry.weight * 100) })
+                : t(`consensus.rejected.${entry.rejectedReason}`)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default ConsensusBreakdown
@@ -0,0 +1,73 @@
+import { useState } from 'react'
+import { useI18n } from '../i18n/context.js'
+
+function FeedbackControl({ items, predictedLabel, onSubmit }) {
+  const { t } = useI18n()
+  const [open, setOpen] = useState(false)
+  const [selectedLabel, setSelectedLabel] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [status, setStatus] = useState(null)
+
+  const handleSubmit = async () => {
+    setSaving(true)
+    setStatus(null)
+    try {
+      const message = await onSubmit(selectedLabel)
+      setStatus({ type: 'success', message })
+      setOpen(false)
+    } catch (error) {
+      setStatus({ type: 'error', message: error instanceof Error ? error.message : String(error) })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!open) {
+    return (
+      <div className="feedback-control">
+        <button type="button" className="feedback-toggle" onClick={() => setOpen(true)}>
+          <i className="fas fa-flag"></i> {t('feedback.toggle')}
+        </button>
+        {status && <p className={`feedback-status ${status.type}`}>{status.message}</p>}
+      </div>
+    )
+  }
+
+  return (
+    <div className="feedback-control open">
+      <p>{t('feedback.question')}</p>
+      <div className="feedback-scale" role="radiogroup" aria-label={t('feedback.scaleLabel')}>
+        {items.map((item) => (
+          <button
+            type="button"
+            key={item.mst}
+            role="radio"
+            aria-checked={selectedLabel === item.mst}
+            className={`feedback-tone ${selectedLabel === item.mst ? 'selected' : ''} ${predictedLabel === item.mst ? 'predicted' : ''}`}
+            style={{ backgroundColor: item.color }}
+            onClick={() => setSelectedLabel(item.mst)}
+            title={item.mst}
+          >
+            <span>{item.mst.replace('MST', '')}</span>
+          </button>
+        ))}
+      </div>
+      <div className="feedback-actions">
+        <button type="button" className="browse-btn" onClick={() => setOpen(false)} disabled={saving}>
+          {t('feedback.cancel')}
+        </button>
+        <button
+          type="button"
+          className="browse-btn"
+          onClick={handleSubmit}
+          disabled={saving || !selectedLabel || selectedLabel === predictedLabel}
+        >
+          <i className={saving ? 'fas fa-spinner fa-spin' : 'fas fa-check'}></i> {t('feedback.submit')}
+        </button>
+      </div>
+      {status && <p className={`feedback-status ${status.type}`}>{status.message}</p>}
+    </div>
+  )
+}
+
+export default FeedbackControl
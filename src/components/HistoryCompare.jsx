@@ -0,0 +1,75 @@
+import { useI18n } from '../i18n/context.js'
+import HistoryThumbnail from './HistoryThumbnail.jsx'
+import MstDistribution from './MstDistribution.jsx'
+
+const getMarkerPosition = (expectedMst, count) => `${((expectedMst - 0.5) / count) * 100}%`
+
+function HistoryCompare({ entries, items, onClose }) {
+  const { locale, t } = useI18n()
+  const expectedValues = entries.map((entry) => entry.expectedMst)
+  const mean = expectedValues.reduce((sum, value) => sum + value, 0) / expectedValues.length
+  const spread = Math.max(...expectedValues) - Math.min(...expectedValues)
+  const sameLabel = entries.every((entry) => entry.label === entries[0].label)
+
+  return (
+    <div className="history-compare">
+      <div className="history-compare-header">
+        <h4><i className="fas fa-columns"></i> {t('history.comparing', { count: entries.length })}</h4>
+        <button type="button" className="history-clear-btn" onClick={onClose}>
+          <i className="fas fa-times"></i> {t('history.close')}
+        </button>
+      </div>
+
+      <div className="history-compare-scale">
+        <div className="mst-scale">
+          {items.map((item) => (
+            <div className="mst-color" key={item.mst} style={{ backgroundColor: item.color }}>
+              <span>{item.label}</span>
+            </div>
+          ))}
+        </div>
+        <div className="history-compare-markers">
+          {entries.map((entry, index) => (
+            <span
+              key={entry.id}
+              className="history-compare-marker"
+              style={{ left: getMarkerPosition(entry.expectedMst, items.length) }}
+              title={t('history.markerTitle', { label: entry.label, expected: entry.expectedMst.toFixed(1) })}
+            >
+              {index + 1}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <p className="history-compare-summary">
+        {sameLabel ? t('history.agree', { label: entries[0].label }) : t('history.disagree')}{' '}
+        {t('history.spread', { mean: mean.toFixed(1), spread: spread.toFixed(1) })}{' '}
+        {t(spread <= 1 ? 'history.consistent' : 'history.inconsistent')}
+      </p>
+
+      <div className="history-compare-grid">
+        {entries.map((entry, index) => (
+          <div className="history-compare-card" key={entry.id}>
+            <div className="history-compare-card-header">
+              <span className="history-compare-marker static">{index + 1}</span>
+              <HistoryThumbnail blob={entry.thumbnail} alt={entry.label} />
+              <div>
+                <strong>{entry.label}</strong>
+                <div className="history-meta">{new Date(entry.createdAt).toLocaleDateString(locale)}</div>
+              </div>
+            </div>
+            <MstDistribution
+              items={items}
+              probabilities={entry.probabilities}
+              activeLabel={entry.label}
+              alternativeLabel={entry.alternativeLabel}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default HistoryCompare
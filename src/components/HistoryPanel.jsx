@@ -0,0 +1,65 @@
+import { useI18n } from '../i18n/context.js'
+import HistoryThumbnail from './HistoryThumbnail.jsx'
+
+const formatDate = (timestamp, locale) => new Date(timestamp).toLocaleString(locale)
+
+function HistoryPanel({ entries, selectedIds, onToggleSelect, onDelete, onClear }) {
+  const { locale, t } = useI18n()
+  if (entries.length === 0) {
+    return (
+      <div className="history-empty">
+        <i className="fas fa-history"></i>
+        <p>{t('history.empty')}</p>
+      </div>
+    )
+  }
+  return (
+    <div className="history-panel">
+      <div className="history-toolbar">
+        <span>{t('history.saved', { count: entries.length })}</span>
+        <button type="button" className="history-clear-btn" onClick={onClear}>
+          <i className="fas fa-trash-alt"></i> {t('history.clearAll')}
+        </button>
+      </div>
+      <ul className="history-list">
+        {entries.map((entry) => {
+          const selected = selectedIds.includes(entry.id)
+          return (
+            <li key={entry.id} className={`history-item ${selected ? 'selected' : ''}`}>
+              <label className="history-select">
+                <input type="checkbox" checked={selected} onChange={() => onToggleSelect(entry.id)} />
+                <HistoryThumbnail blob={entry.thumbnail} alt={entry.label} />
+              </label>
+              <div className="history-details">
+                <div className="history-label">
+                  <span className="history-swatch" style={{ backgroundColor: entry.mstColor }}></span>
+                  {entry.label}
+                  {entry.faceCount > 1 && <small>{t('history.person', { index: entry.faceIndex + 1 })}</small>}
+                </div>
+                <div className="history-meta">
+                  {t('history.details', {
+                    confidence: (entry.confidence * 100).toFixed(1),
+                    expected: entry.expectedMst.toFixed(1),
+                    group: t(`skinToneGroups.${entry.skinToneGroup}`),
+                  })}
+                  {entry.undertone ? ` · ${t('undertone.withName', { undertone: t(`undertoneNames.${entry.undertone}`) })}` : ''}
+                  {entry.season ? ` · ${entry.seasonId ? t(`seasons.${entry.seasonId}.name`) : entry.season}` : ''}
+                </div>
+                <div className="history-meta">
+                  {formatDate(entry.createdAt, locale)}
+                  {entry.fileName ? ` · ${entry.fileName}` : ''}
+                  {entry.model ? ` · ${entry.model.name} v${entry.model.version}` : ''}
+                </div>
+              </div>
+              <button type="button" className="history-delete-btn" onClick={() => onDelete(entry.id)} aria-label={t('history.deleteEntry')}>
+                <i className="fas fa-times"></i>
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default HistoryPanel
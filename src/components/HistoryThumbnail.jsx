@@ -0,0 +1,24 @@
+import { useEffect, useMemo } from 'react'
+
+function HistoryThumbnail({ blob, alt, className = 'history-thumbnail' }) {
+  const url = useMemo(() => (blob ? URL.createObjectURL(blob) : ''), [blob])
+
+  useEffect(() => {
+    return () => {
+      if (url) {
+        URL.revokeObjectURL(url)
+      }
+    }
+  }, [url])
+
+  if (!url) {
+    return (
+      <div className={`${className} placeholder`}>
+        <i className="fas fa-user"></i>
+      </div>
+    )
+  }
+  return <img className={className} src={url} alt={alt} />
+}
+
+export default HistoryThumbnail
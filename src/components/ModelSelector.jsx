@@ -0,0 +1,31 @@
+import { useI18n } from '../i18n/context.js'
+
+function ModelSelector({ manifest, selectedId, onChange, disabled }) {
+  const { t } = useI18n()
+  const selected = manifest.models.find((model) => model.id === selectedId) ?? manifest.models.find((model) => model.id === manifest.defaultId)
+
+  return (
+    <div className="model-selector">
+      <label>
+        <span><i className="fas fa-flask"></i> {t('modelSelector.label')}</span>
+        <select value={selected.id} onChange={(event) => onChange(event.target.value)} disabled={disabled}>
+          {manifest.models.map((model) => (
+            <option key={model.id} value={model.id}>
+              {t('modelSelector.option', { name: model.name, version: model.version })}
+              {model.id === manifest.defaultId ? ` ${t('modelSelector.default')}` : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+      <p className="model-selector-meta">
+        {t('modelSelector.meta', {
+          id: selected.id,
+          inputSize: selected.inputSize,
+          accuracy: selected.accuracy === null ? '–' : `${(selected.accuracy * 100).toFixed(1)}%`,
+        })}
+      </p>
+    </div>
+  )
+}
+
+export default ModelSelector
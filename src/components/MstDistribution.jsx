@@ -0,0 +1,27 @@
+import { useI18n } from '../i18n/context.js'
+
+function MstDistribution({ items, probabilities, activeLabel, alternativeLabel }) {
+  const { t } = useI18n()
+  const maxProbability = Math.max(...probabilities, 0.0001)
+  return (
+    <div className="mst-distribution" aria-label={t('mstDistribution.label')}>
+      {items.map((item, index) => {
+        const probability = probabilities[index] ?? 0
+        const state = item.mst === activeLabel ? 'active' : item.mst === alternativeLabel ? 'alternative' : ''
+        return (
+          <div className={`mst-distribution-column ${state}`} key={item.mst} title={`${item.mst}: ${(probability * 100).toFixed(1)}%`}>
+            <span className="mst-distribution-value">{Math.round(probability * 100)}%</span>
+            <div className="mst-distribution-track">
+              <div
+                className="mst-distribution-bar"
+                style={{ height: `${(probability / maxProbability) * 100}%`, backgroundColor: item.color }}
+              ></div>
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default MstDistribution
@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import { useI18n } from '../i18n/context.js'
+
+function PrivacySettings({ settings, onChange, uploadsAvailable, uploadCount, onDeleteUploads }) {
+  const { t } = useI18n()
+  const [deleting, setDeleting] = useState(false)
+  const [status, setStatus] = useState('')
+
+  const sharing = settings.uploadMode === 'processed'
+
+  const handleToggle = (event) => {
+    setStatus('')
+    onChange(
+      event.target.checked
+        ? { uploadMode: 'processed', consentedAt: Date.now() }
+        : { uploadMode: 'none', consentedAt: null }
+    )
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('privacy.deleteConfirm', { count: uploadCount }))) {
+      return
+    }
+    setDeleting(true)
+    setStatus('')
+    try {
+      await onDeleteUploads()
+      setStatus(t('privacy.deleted'))
+    } catch (error) {
+      setStatus(error instanceof Error ? error.message : String(error))
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  if (!uploadsAvailable) {
+    return (
+      <div className="privacy-panel">
+        <p className="privacy-note">
+          <i className="fas fa-shield-alt"></i> {t('privacy.localOnly')}
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="privacy-panel">
+      <label className="privacy-toggle">
+        <input type="checkbox" checked={sharing} onChange={handleToggle} />
+        <span>{t('privacy.toggle')}</span>
+      </label>
+      <p className="privacy-note">
+        <i className="fas fa-shield-alt"></i>{' '}
+        {t(sharing ? 'privacy.sharingOn' : 'privacy.sharingOff')}
+      </p>
+      {uploadCount > 0 && (
+        <button type="button" className="privacy-delete-btn" onClick={handleDelete} disabled={deleting}>
+          <i className={deleting ? 'fas fa-spinner fa-spin' : 'fas fa-trash-alt'}></i> {t('privacy.deleteButton', { count: uploadCount })}
+        </button>
+      )}
+      {status && <p className="privacy-status">{status}</p>}
+    </div>
+  )
+}
+
+export default PrivacySettings
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import {
+  canShareFiles,
+  createReportData,
+  createShareUrl,
+  downloadBlob,
+  exportPdfReport,
+  exportShareCard,
+  getReportFileName,
+} from '../report/index.js'
+import { useI18n } from '../i18n/context.js'
+
+function ReportActions({ results, undertone, season, recommendations, beauty }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  const [busy, setBusy] = useState('')
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [shareSupported] = useState(canShareFiles)
+
+  const runExport = async (kind, task) => {
+    setBusy(kind)
+    setError('')
+    setNotice('')
+    try {
+      await task(createReportData({ results, undertone, season, recommendations, beauty }))
+    } catch (exportError) {
+      if (exportError?.name !== 'AbortError') {
+        setError(exportError instanceof Error ? exportError.message : String(exportError))
+      }
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const handleDownloadCard = () =>
+    runExport('png', async (report) => downloadBlob(await exportShareCard(report, i18n), getReportFileName(report, 'png')))
+
+  const handleDownloadPdf = () =>
+    runExport('pdf', async (report) => downloadBlob(await exportPdfReport(report, i18n), getReportFileName(report, 'pdf')))
+
+  const handleShare = () =>
+    runExport('share', async (report) => {
+      const blob = await exportShareCard(report, i18n)
+      const file = new File([blob], getReportFileName(report, 'png'), { type: 'image/png' })
+      await navigator.share({
+        files: [file],
+        title: t('report.shareTitle'),
+        text: t('report.shareText', { label: report.label, group: t(`skinToneGroups.${results.skinToneGroup}`) }),
+      })
+    })
+
+  const handleCopyLink = () =>
+    runExport('link', async (report) => {
+      const url = createShareUrl(report)
+      if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(url)
+        setNotice(t('report.linkCopied'))
+      } else {
+        window.prompt(t('report.copyPrompt'), url)
+      }
+    })
+
+  return (
+    <div className="report-actions">
+      <button type="button" className="browse-btn" onClick={handleDownloadCard} disabled={Boolean(busy)}>
+        <i className={busy === 'png' ? 'fas fa-spinner fa-spin' : 'fas fa-image'}></i> {t('report.shareCard')}
+      </button>
+      <button type="button" className="browse-btn" onClick={handleDownloadPdf} disabled={Boolean(busy)}>
+        <i className={busy === 'pdf' ? 'fas fa-spinner fa-spin' : 'fas fa-file-pdf'}></i> {t('report.pdf')}
+      </button>
+      <button type="button" className="browse-btn" onClick={handleCopyLink} disabled={Boolean(busy)}>
+        <i className={busy === 'link' ? 'fas fa-spinner fa-spin' : 'fas fa-link'}></i> {t('report.copyLink')}
+      </button>
+      {shareSupported && (
+        <button type="button" className="browse-btn" onClick={handleShare} disabled={Boolean(busy)}>
+          <i className={busy === 'share' ? 'fas fa-spinner fa-spin' : 'fas fa-share-alt'}></i> {t('report.share')}
+        </button>
+      )}
+      {notice && <p className="report-notice">{notice}</p>}
+      {error && <p className="report-error">{error}</p>}
+    </div>
+  )
+}
+
+export default ReportActions
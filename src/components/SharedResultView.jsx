@@ -0,0 +1,87 @@
+import { CLASS_LABELS, MST_COLORS } from '../analysis/constants.js'
+import { useI18n } from '../i18n/context.js'
+import MstDistribution from './MstDistribution.jsx'
+
+const MST_ITEMS = CLASS_LABELS.map((mst, index) => ({ mst, color: MST_COLORS[index] }))
+
+function SharedResultView({ result }) {
+  const { t, colorName } = useI18n()
+  return (
+    <div className="shared-result-card">
+      <div className="card-header">
+        <h3><i className="fas fa-link"></i> {t('shared.title')}</h3>
+        <p>{t('shared.text')}</p>
+      </div>
+
+      <div className="shared-result-body">
+        <div className="shared-result-summary">
+          <span className="shared-result-swatch" style={{ backgroundColor: result.mstColor }}></span>
+          <div>
+            <strong>{result.label}</strong>
+            <span>{t(`skinToneGroups.${result.skinToneGroup}`)}</span>
+            {result.confidence !== null && <small>{t('shared.confidence', { value: result.confidence.toFixed(1) })}</small>}
+          </div>
+        </div>
+
+        {result.probabilities.length > 0 && (
+          <MstDistribution items={MST_ITEMS} probabilities={result.probabilities} activeLabel={result.label} />
+        )}
+        <div className="mst-scale">
+          {MST_ITEMS.map((item) => (
+            <div
+              className={`mst-color ${result.label === item.mst ? 'active' : ''}`}
+              data-mst={item.mst}
+              style={{ backgroundColor: item.color }}
+              key={item.mst}
+            ></div>
+          ))}
+        </div>
+
+        {(result.undertone || result.season) && (
+          <p className="shared-result-meta">
+            {result.undertone && <span>{t('undertone.withName', { undertone: t(`undertoneNames.${result.undertone}`) })}</span>}
+            {result.season && (
+              <span>
+                {t(`seasons.${result.season.id}.name`, { defaultValue: result.season.name })}:{' '}
+                {t(`seasons.${result.season.id}.description`, { defaultValue: result.season.description })}
+              </span>
+            )}
+          </p>
+        )}
+
+        {result.recommended.length > 0 && (
+          <>
+            <h4>{t('recommendations.recommendedTab')}</h4>
+            <div className="color-chips">
+              {result.recommended.map((color) => (
+                <div className="color-chip" key={color.hex}>
+                  <div className="color-preview" style={{ backgroundColor: color.hex }}></div>
+                  <span>{colorName(color.name)}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        {result.avoid.length > 0 && (
+          <>
+            <h4>{t('recommendations.avoidTab')}</h4>
+            <div className="color-chips">
+              {result.avoid.map((color) => (
+                <div className="color-chip" key={color.hex}>
+                  <div className="color-preview" style={{ backgroundColor: color.hex }}></div>
+                  <span>{colorName(color.name)}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        <a href="#analyzer" className="analyze-btn shared-result-cta">
+          {t('shared.cta')} <i className="fas fa-arrow-right"></i>
+        </a>
+      </div>
+    </div>
+  )
+}
+
+export default SharedResultView
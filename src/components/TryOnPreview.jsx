@@ -0,0 +1,122 @@
+import { useEffect, useRef, useState } from 'react'
+import { useI18n } from '../i18n/context.js'
+
+const PREVIEW_WIDTH = 260
+
+const getTryOnRegion = (faceBox, imageWidth, imageHeight) => {
+  const x = Math.max(0, faceBox.x - faceBox.width * 0.9)
+  const y = Math.max(0, faceBox.y - faceBox.height * 0.5)
+  const right = Math.min(imageWidth, faceBox.x + faceBox.width * 1.9)
+  const bottom = Math.min(imageHeight, faceBox.y + faceBox.height * 2.3)
+  return { x, y, width: right - x, height: bottom - y }
+}
+
+const traceDrape = (ctx, face, bottom) => {
+  const centerX = face.x + face.width / 2
+  const chinY = face.y + face.height * 1.02
+  const neckHalf = face.width * 0.24
+  const shoulderY = chinY + face.height * 0.45
+  const shoulderHalf = face.width * 1.05
+  ctx.beginPath()
+  ctx.moveTo(centerX - neckHalf, chinY)
+  ctx.quadraticCurveTo(centerX - neckHalf * 1.6, shoulderY - face.height * 0.2, centerX - shoulderHalf, shoulderY)
+  ctx.lineTo(centerX - shoulderHalf * 1.15, bottom)
+  ctx.lineTo(centerX + shoulderHalf * 1.15, bottom)
+  ctx.lineTo(centerX + shoulderHalf, shoulderY)
+  ctx.quadraticCurveTo(centerX + neckHalf * 1.6, shoulderY - face.height * 0.2, centerX + neckHalf, chinY)
+  ctx.quadraticCurveTo(centerX, chinY + face.height * 0.38, centerX - neckHalf, chinY)
+  ctx.closePath()
+}
+
+const drawTryOn = (canvas, image, faceBox, color) => {
+  const region = getTryOnRegion(faceBox, image.naturalWidth, image.naturalHeight)
+  const scale = PREVIEW_WIDTH / region.width
+  canvas.width = PREVIEW_WIDTH
+  canvas.height = Math.round(region.height * scale)
+  const ctx = canvas.getContext('2d')
+  if (!ctx) {
+    return
+  }
+  ctx.drawImage(image, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height)
+  const face = {
+    x: (faceBox.x - region.x) * scale,
+    y: (faceBox.y - region.y) * scale,
+    width: faceBox.width * scale,
+    height: faceBox.height * scale,
+  }
+  traceDrape(ctx, face, canvas.height + 2)
+  ctx.fillStyle = color.hex
+  ctx.fill()
+  const shading = ctx.createLinearGradient(0, face.y + face.height, 0, canvas.height)
+  shading.addColorStop(0, 'rgba(255, 255, 255, 0.12)')
+  shading.addColorStop(1, 'rgba(0, 0, 0, 0.25)')
+  ctx.fillStyle = shading
+  ctx.fill()
+}
+
+function TryOnCanvas({ image, faceBox, color, onRemove }) {
+  const { t, colorName } = useI18n()
+  const canvasRef = useRef(null)
+  const name = colorName(color.name)
+
+  useEffect(() => {
+    if (canvasRef.current && image) {
+      drawTryOn(canvasRef.current, image, faceBox, color)
+    }
+  }, [image, faceBox, color])
+
+  return (
+    <figure className="try-on-item">
+      <canvas ref={canvasRef} aria-label={t('tryOn.canvasLabel', { color: name })}></canvas>
+      <figcaption>
+        <span className="color-preview" style={{ backgroundColor: color.hex }}></span>
+        {name}
+        <button type="button" className="try-on-remove" onClick={() => onRemove(color.hex)} aria-label={t('tryOn.remove', { color: name })}>
+          <i className="fas fa-times"></i>
+        </button>
+      </figcaption>
+    </figure>
+  )
+}
+
+function TryOnPreview({ imageUrl, faceBox, colors, onRemove }) {
+  const { t } = useI18n()
+  const [image, setImage] = useState(null)
+  const [loadFailed, setLoadFailed] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    const nextImage = new Image()
+    nextImage.onload = () => {
+      if (!cancelled) {
+        setImage(nextImage)
+        setLoadFailed(false)
+      }
+    }
+    nextImage.onerror = () => {
+      if (!cancelled) {
+        setImage(null)
+        setLoadFailed(true)
+      }
+    }
+    nextImage.src = imageUrl
+    return () => {
+      cancelled = true
+    }
+  }, [imageUrl])
+
+  return (
+    <div className="try-on">
+      <h4><i className="fas fa-tshirt"></i> {t('tryOn.title')}</h4>
+      <p className="try-on-hint">{t('tryOn.hint')}</p>
+      {loadFailed && <p className="try-on-error">{t('tryOn.loadError')}</p>}
+      <div className="try-on-grid">
+        {colors.map((color) => (
+          <TryOnCanvas key={color.hex} image={image} faceBox={faceBox} color={color} onRemove={onRemove} />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default TryOnPreview
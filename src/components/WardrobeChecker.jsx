@@ -0,0 +1,111 @@
+import { useMemo, useRef, useState } from 'react'
+import { MAIN_THREAD_BACKEND_CANDIDATES, analyzeGarment, ensureBackendReady, scoreGarment } from '../analysis/index.js'
+import { useI18n } from '../i18n/context.js'
+import { WASM_PATHS } from '../workers/wasmPaths.js'
+import HistoryThumbnail from './HistoryThumbnail.jsx'
+
+let nextGarmentId = 0
+
+function WardrobeChecker({ palette, skinLab, validateFile }) {
+  const { t, explain } = useI18n()
+  const [garments, setGarments] = useState([])
+  const inputRef = useRef(null)
+
+  const scoredGarments = useMemo(
+    () =>
+      garments.map((garment) =>
+        garment.colors ? { ...garment, result: scoreGarment(garment.colors, palette, skinLab) } : garment
+      ),
+    [garments, palette, skinLab]
+  )
+
+  const updateGarment = (id, changes) => {
+    setGarments((prev) => prev.map((garment) => (garment.id === id ? { ...garment, ...changes } : garment)))
+  }
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList ?? []).filter(validateFile)
+    const added = files.map((file) => {
+      nextGarmentId += 1
+      return { id: nextGarmentId, file, colors: null, error: '' }
+    })
+    setGarments((prev) => [...prev, ...added])
+    await ensureBackendReady('auto', { candidates: MAIN_THREAD_BACKEND_CANDIDATES, wasmPaths: WASM_PATHS })
+    for (const garment of added) {
+      try {
+        const { colors } = await analyzeGarment(garment.file)
+        updateGarment(garment.id, { colors })
+      } catch (error) {
+        updateGarment(garment.id, { error: error instanceof Error ? error.message : String(error) })
+      }
+    }
+  }
+
+  return (
+    <div className="wardrobe-checker">
+      <div className="wardrobe-header">
+        <div>
+          <h4><i className="fas fa-tshirt"></i> {t('wardrobe.title')}</h4>
+          <p>{t('wardrobe.text')}</p>
+        </div>
+        <button type="button" className="browse-btn" onClick={() => inputRef.current?.click()}>
+          <i className="fas fa-plus"></i> {t('wardrobe.add')}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept="image/*"
+          multiple
+          hidden
+          onChange={(event) => {
+            handleFiles(event.target.files)
+            event.target.value = ''
+          }}
+        />
+      </div>
+
+      {scoredGarments.length > 0 && (
+        <ul className="wardrobe-list">
+          {scoredGarments.map((garment) => (
+            <li key={garment.id} className={`wardrobe-item ${garment.result?.verdict ?? ''}`}>
+              <HistoryThumbnail blob={garment.file} alt={garment.file.name} className="wardrobe-thumbnail" />
+              <div className="wardrobe-details">
+                <div className="wardrobe-title">
+                  <strong>{garment.file.name}</strong>
+                  {garment.result && (
+                    <span className={`wardrobe-verdict ${garment.result.verdict}`}>
+                      {t(`wardrobe.verdicts.${garment.result.verdict}`)} · {Math.round(garment.result.score * 100)}
+                    </span>
+                  )}
+                </div>
+                {garment.error && <p className="wardrobe-error">{garment.error}</p>}
+                {!garment.error && !garment.result && <p className="wardrobe-pending">{t('wardrobe.extracting')}</p>}
+                {garment.result && (
+                  <ul className="wardrobe-colors">
+                    {garment.result.colors.map((color) => (
+                      <li key={color.hex}>
+                        <span className="color-preview" style={{ backgroundColor: color.hex }}></span>
+                        <span className="wardrobe-color-share">{Math.round(color.share * 100)}%</span>
+                        <span>{explain('wardrobe', color.reasons)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <button
+                type="button"
+                className="history-delete-btn"
+                onClick={() => setGarments((prev) => prev.filter((entry) => entry.id !== garment.id))}
+                aria-label={t('wardrobe.remove', { name: garment.file.name })}
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default WardrobeChecker
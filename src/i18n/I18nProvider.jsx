@@ -0,0 +1,26 @@
+import { useEffect, useMemo, useState } from 'react'
+import { I18nContext } from './context.js'
+import { createI18n, loadLocale, saveLocale } from './index.js'
+
+function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(loadLocale)
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+  }, [locale])
+
+  const value = useMemo(
+    () => ({
+      ...createI18n(locale),
+      setLocale: (nextLocale) => {
+        saveLocale(nextLocale)
+        setLocaleState(nextLocale)
+      },
+    }),
+    [locale]
+  )
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export default I18nProvider
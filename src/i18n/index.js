@@ -0,0 +1,106 @@
+import en from './locales/en.js'
+import id from './locales/id.js'
+
+export const LOCALES = { en, id }
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES)
+
+export const LOCALE_NAMES = Object.fromEntries(SUPPORTED_LOCALES.map((locale) => [locale, LOCALES[locale].languageName]))
+
+export const DEFAULT_LOCALE = 'en'
+
+const LOCALE_STORAGE_KEY = 'skintone-ai:locale'
+
+const LANGUAGE_ALIASES = { in: 'id' }
+
+const UNDERTONE_SUFFIXES = new Set(['Cool', 'Neutral', 'Warm'])
+
+export const detectLocale = (languages = typeof navigator === 'undefined' ? [] : navigator.languages ?? [navigator.language]) => {
+  for (const language of languages) {
+    const base = String(language ?? '').toLowerCase().split('-')[0]
+    const locale = LANGUAGE_ALIASES[base] ?? base
+    if (SUPPORTED_LOCALES.includes(locale)) {
+      return locale
+    }
+  }
+  return DEFAULT_LOCALE
+}
+
+export const loadLocale = () => {
+  try {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY)
+    if (SUPPORTED_LOCALES.includes(stored)) {
+      return stored
+    }
+  } catch {
+    return detectLocale()
+  }
+  return detectLocale()
+}
+
+export const saveLocale = (locale) => {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale)
+  } catch {
+    return false
+  }
+  return true
+}
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog)
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])))
+
+export const createTranslator = (locale) => {
+  const catalog = LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE]
+  const pluralRules = new Intl.PluralRules(locale)
+  return (key, params = {}) => {
+    let message = lookup(catalog, key) ?? lookup(LOCALES[DEFAULT_LOCALE], key)
+    if (message && typeof message === 'object' && 'other' in message) {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other
+    }
+    return typeof message === 'string' ? interpolate(message, params) : (params.defaultValue ?? key)
+  }
+}
+
+export const translateColorName = (name, locale) => {
+  const colors = LOCALES[locale]?.colors
+  if (!colors || !name) {
+    return name
+  }
+  if (colors.names[name]) {
+    return colors.names[name]
+  }
+  const words = name.split(' ')
+  const translated = words.map((word) => colors.words[word] ?? word)
+  const reorder = colors.headFirst && words.length > 1 && !UNDERTONE_SUFFIXES.has(words.at(-1))
+  return (reorder ? translated.reverse() : translated).join(' ')
+}
+
+export const createReasonFormatter = (locale, t) => {
+  const list = new Intl.ListFormat(locale, { type: 'conjunction' })
+  const localizeParams = (params = {}) => ({
+    ...params,
+    ...(params.undertone && { undertone: t(`undertoneNames.${params.undertone}`) }),
+    ...(params.season && { season: t(`seasons.${params.season}.name`) }),
+    ...(params.color && { color: translateColorName(params.color, locale) }),
+  })
+  return (group, reasons = []) => {
+    if (reasons.length === 0) {
+      return ''
+    }
+    const sentence = list.format(reasons.map(({ key, params }) => t(`reasons.${group}.${key}`, localizeParams(params))))
+    return `${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`
+  }
+}
+
+export const createI18n = (locale) => {
+  const t = createTranslator(locale)
+  return {
+    locale,
+    t,
+    colorName: (name) => translateColorName(name, locale),
+    explain: createReasonFormatter(locale, t),
+  }
+}
@@ -0,0 +1,505 @@
+const en = {
+  languageName: 'English',
+  nav: {
+    about: 'About',
+    analyzer: 'Analyzer',
+    history: 'History',
+    howItWorks: 'How It Works',
+    faq: 'FAQ',
+    language: 'Language',
+  },
+  hero: {
+    title: 'Discover Your Perfect Color Palette',
+    text: 'Upload a photo and our AI will analyze your skin tone to provide personalized clothing color recommendations that complement your natural beauty.',
+    cta: 'Try It Now',
+    imageAlt: 'Skin Tone Analysis',
+  },
+  about: {
+    title: 'Why Skin Tone Matters',
+    subtitle: 'Understanding your skin tone helps you make better fashion choices and enhances your personal style',
+    features: {
+      clothing: {
+        title: 'Better Clothing Choices',
+        text: 'Identify colors that naturally complement your skin tone for a more flattering look.',
+      },
+      palette: {
+        title: 'Personalized Palette',
+        text: 'Get customized color recommendations based on the Monk Skin Tone (MST) scale.',
+      },
+      ai: {
+        title: 'AI-Powered Analysis',
+        text: 'Leverage deep learning technology to accurately identify your skin tone category.',
+      },
+    },
+  },
+  mstInfo: {
+    title: 'The Monk Skin Tone Scale',
+    subtitle: 'A more inclusive way to classify the rich diversity of human skin tones',
+    description:
+      'The Monk Skin Tone (MST) Scale is a ten-point skin tone scale designed to be more inclusive and representative of the diversity of human skin tones. Created by Harvard professor Dr. Ellis Monk, it helps ensure technology works well for people of all skin tones.',
+    benefits: {
+      inclusive: 'More inclusive than traditional scales',
+      scientific: 'Scientifically developed and tested',
+      industry: 'Used by leading technology companies',
+    },
+  },
+  analyzer: {
+    title: 'Analyze Your Skin Tone',
+    subtitle: 'Upload your photo to discover your skin tone classification and get personalized clothing recommendations',
+    uploadTitle: 'Upload Your Photo',
+    uploadHint: 'For best results, use a well-lit photo of your face without makeup or filters',
+    uploadMode: 'Upload Photo',
+    cameraMode: 'Use Camera',
+    dragDrop: 'Drag and drop your image here',
+    batchHint: 'Add several photos to get one consensus result',
+    or: 'or',
+    browse: 'Browse Files',
+    supports: 'Supports: JPG, PNG, JPEG (Max 5MB)',
+    preview: 'Image Preview',
+    previewAlt: 'Preview',
+    change: 'Change',
+    showPerson: 'Show result for person {index}',
+    facesDetected: '{count} faces detected. Click a face to see its result.',
+    photosSelected: '{count} Photos Selected',
+    removeFile: 'Remove {name}',
+    analyze: 'Analyze Skin Tone',
+    analyzeMany: 'Analyze {count} Photos',
+    analyzing: 'Analyzing...',
+    photoProgress: 'Photo {index} of {count} · ',
+    invalidType: '{name}: please select a valid image file.',
+    tooLarge: '{name}: image size exceeds 5MB limit.',
+  },
+  stages: {
+    init: 'Starting analysis engine...',
+    decode: 'Reading image...',
+    correct: 'Correcting lighting...',
+    detect: 'Detecting face...',
+    quality: 'Checking photo quality...',
+    crop: 'Preparing face region...',
+    segment: 'Isolating skin pixels...',
+    augment: 'Preparing augmented crops...',
+    loadModel: 'Loading skin tone model...',
+    predict: 'Classifying skin tone...',
+  },
+  errors: {
+    analysisFailed: 'Analysis failed: {message}',
+    uploadFailed: 'Upload failed: {message}',
+    noCrop: 'There is no processed crop to attach to this correction.',
+    deleteUploadsFailed: 'Could not delete uploaded files: {message}',
+    deleteEntryFailed: 'Could not delete the entry: {message}',
+    clearHistoryFailed: 'Could not clear the history: {message}',
+  },
+  qualityGate: {
+    title: 'This photo may give an unreliable result',
+    override: 'Analyze anyway',
+  },
+  quality: {
+    noFace: 'No face was found. Use a photo where your face is clearly visible and facing the camera.',
+    blur: 'The photo looks blurry. Hold the camera steady, tap to focus on your face and try again.',
+    dark: 'The photo is too dark. Face a window or a soft light source and avoid backlighting.',
+    bright: 'The photo is overexposed. Move away from direct light or lower the exposure.',
+    clippedHighlights: 'Parts of your face are washed out by glare. Avoid direct flash or harsh sunlight.',
+    crushedShadows: 'Large parts of your face are lost in shadow. Light your face more evenly.',
+    faceSize: 'Your face is too small in the frame. Move closer so your face fills more of the photo.',
+    yaw: 'Your head is turned to the side. Look straight at the camera.',
+    roll: 'Your head is tilted. Keep your head upright and level.',
+  },
+  results: {
+    title: 'Analysis Results',
+    confidence: 'Confidence: {value}%',
+    lowConfidence: 'Low confidence: {value}%',
+    person: 'Person {index}',
+    classificationTitle: 'Your Skin Tone Classification',
+    classified: 'Your skin tone is classified as {label} on the Monk Skin Tone Scale',
+    between: 'Your skin tone is between {label} and {alternative} on the Monk Skin Tone Scale',
+    expected: 'Expected MST value:',
+    splitNote: ' · the model is split between two neighbouring tones, so treat this as a range.',
+    skinToneGroup: 'Skin Tone Group: {group}',
+    model: 'Model: {name} v{version}',
+  },
+  skinToneGroups: {
+    light: 'Light',
+    'light medium': 'Light Medium',
+    medium: 'Medium',
+    'medium deep': 'Medium Deep',
+    deep: 'Deep',
+  },
+  undertone: {
+    badge: 'Undertone: {value}',
+    noSkinPixels: 'No skin pixels were measured, so the undertone is based only on your answers below.',
+    hueAngle:
+      'Skin hue angle {angle}° (a*/b* in CIELAB). Higher angles lean yellow/golden (warm), lower angles lean pink/red (cool).',
+    veinsQuestion: 'Veins on your inner wrist look',
+    jewelryQuestion: 'Jewelry that flatters you most',
+    notSure: 'Not sure',
+    veins: {
+      green: 'Mostly green',
+      blue: 'Blue or purple',
+      mixed: 'A mix of both',
+    },
+    jewelry: {
+      gold: 'Gold',
+      silver: 'Silver',
+      both: 'Both look good',
+    },
+    withName: '{undertone} undertone',
+  },
+  undertones: {
+    warm: 'Warm',
+    neutral: 'Neutral',
+    cool: 'Cool',
+  },
+  undertoneNames: {
+    warm: 'warm',
+    neutral: 'neutral',
+    cool: 'cool',
+  },
+  season: {
+    scores: {
+      temperature: { low: 'Cool', high: 'Warm' },
+      value: { low: 'Deep', high: 'Light' },
+      chroma: { low: 'Soft', high: 'Bright' },
+    },
+    features: {
+      skin: 'Skin',
+      hair: 'Hair',
+      eyes: 'Eyes',
+    },
+    notFound: '{feature} (not found)',
+    contrast: 'Skin-to-feature contrast: ΔL* {value}',
+    closeTo: ' · close to {name}',
+  },
+  seasons: {
+    'light-spring': { name: 'Light Spring', description: 'Light, warm and delicate: soft contrast with a golden glow.' },
+    'warm-spring': { name: 'Warm Spring', description: 'Warm above all: clear, golden colors with medium depth.' },
+    'bright-spring': { name: 'Bright Spring', description: 'Clear and vivid with a warm lean: high contrast, saturated colors.' },
+    'light-summer': { name: 'Light Summer', description: 'Light and cool: airy pastels with low contrast.' },
+    'cool-summer': { name: 'Cool Summer', description: 'Cool above all: blue-based colors of medium depth, gently muted.' },
+    'soft-summer': { name: 'Soft Summer', description: 'Muted and cool-leaning: dusty, blended colors with gentle contrast.' },
+    'soft-autumn': { name: 'Soft Autumn', description: 'Muted and warm-leaning: earthy, softened colors with gentle contrast.' },
+    'warm-autumn': { name: 'Warm Autumn', description: 'Warm above all: rich, golden earth tones.' },
+    'deep-autumn': { name: 'Deep Autumn', description: 'Deep and warm: dark, rich colors with noticeable contrast.' },
+    'deep-winter': { name: 'Deep Winter', description: 'Deep and cool: dark jewel tones with strong contrast.' },
+    'cool-winter': { name: 'Cool Winter', description: 'Cool above all: icy and blue-based colors with high contrast.' },
+    'bright-winter': { name: 'Bright Winter', description: 'Clear and vivid with a cool lean: saturated colors and crisp contrast.' },
+  },
+  detection: {
+    faceDetected: 'Face detected',
+    noFace: 'No face detection',
+    faceRegion: 'Analysis is performed on the detected face region and resized to the model input size.',
+    fullImage: 'Analysis is performed on the full image and resized to the model input size.',
+    qualityWarning: 'Photo quality {score}/100 – this result may be less accurate:',
+    lightingCorrected: 'Lighting corrected ({method}):',
+    measuredSkin:
+      'Measured skin color {hex} · L* {l} · a* {a} · b* {b} · {coverage}% skin pixels',
+    processedImage: 'Processed Image',
+    processedAlt: 'Processed',
+    showMask: 'Show skin mask',
+  },
+  recommendations: {
+    title: 'Your Personalized Color Recommendations',
+    basisHarmony: 'Generated from your measured skin color, {undertone} undertone and {season} contrast profile.',
+    basisSeason: 'Your {season} palette, chosen from your skin depth, {undertone} undertone and contrast.',
+    colors: 'Colors',
+    recommendedTab: 'Recommended Colors',
+    avoidTab: 'Colors to Avoid',
+    recommendedTip: 'These colors will enhance your natural skin tone and create a harmonious look.',
+    avoidTip: 'These colors may clash with your skin tone or make you appear washed out.',
+    tryOnHint: 'Click any color to try it on your photo, or pick two to compare side by side.',
+  },
+  beauty: {
+    foundation: {
+      label: 'Foundation',
+      tip: 'Swatch the closest shade on your jawline in daylight before buying.',
+    },
+    lipstick: {
+      label: 'Lipstick',
+      tip: 'Lip colors that flatter your depth and undertone.',
+    },
+    blush: {
+      label: 'Blush',
+      tip: 'Blush shades that give a natural flush on your skin.',
+    },
+    hair: {
+      label: 'Hair Color',
+      tip: 'Hair colors that harmonize with your skin tone and contrast.',
+    },
+  },
+  reasons: {
+    harmony: {
+      contrast: 'clear lightness contrast with your skin',
+      undertoneMatch: 'echoes your {undertone} undertone',
+      complementary: 'complementary hue to your skin',
+      vividChroma: 'saturation suits your vivid coloring',
+      softChroma: 'muted enough for your soft coloring',
+      balancedChroma: 'balanced saturation for your coloring',
+      blendsWithSkin: 'too close to your skin tone, so it washes you out',
+      undertoneClash: 'fights your {undertone} undertone',
+      tooIntense: 'too intense for your coloring',
+      tooDull: 'too dull next to your coloring',
+      lowContrast: 'too little contrast with your skin',
+    },
+    beauty: {
+      skinMatch: 'ΔE {deltaE} from your measured skin color, {undertone} undertone',
+      mstMatch: 'closest to the MST {mst} reference color, {undertone} undertone',
+      undertone: 'suits {undertone} undertones',
+      depth: 'flatters MST {min}–{max} skin',
+      season: 'fits your {season} palette',
+      softMatch: 'a softer match for your coloring',
+    },
+    wardrobe: {
+      blendsWithSkin: 'very close to your skin color, so it can wash you out',
+      nearRecommended: 'close to {color} from your palette (ΔE {deltaE})',
+      nearAvoid: 'close to {color}, a color to avoid (ΔE {deltaE})',
+    },
+  },
+  report: {
+    title: 'Save Your Results',
+    text: 'Download a share card or a full PDF report. Both are generated on your device.',
+    shareCard: 'Share Card (PNG)',
+    pdf: 'Full Report (PDF)',
+    copyLink: 'Copy Link',
+    share: 'Share',
+    shareTitle: 'My SkinTone AI result',
+    shareText: 'My skin tone is {label} ({group}).',
+    linkCopied: 'Link copied. It contains your result and palette, but not your photo.',
+    copyPrompt: 'Copy this link to share your result:',
+    summaryTitle: 'Skin Tone Analysis Report',
+    clothingTitle: 'Clothing Colors',
+    beautyTitle: 'Makeup and Hair',
+    page: 'Page {page} of {count}',
+    expectedMst: 'Expected MST: {value}',
+    consensus: {
+      one: 'Consensus of {count} photo',
+      other: 'Consensus of {count} photos',
+    },
+    closeCall: 'Close call with {label}',
+    stable: 'Stable',
+    unstable: 'Unstable',
+    mstScale: 'Monk Skin Tone scale',
+    distribution: 'Probability distribution',
+    undertoneSeason: 'Undertone and season',
+    cardConfidence: '{value}% confidence',
+    flattering: 'Colors that flatter you',
+    generated: 'Generated on this device with SkinTone AI',
+  },
+  wardrobe: {
+    title: 'Wardrobe Check',
+    text: 'Upload photos of your clothes to see how well their main colors fit your palette.',
+    add: 'Add Garments',
+    extracting: 'Extracting colors...',
+    remove: 'Remove {name}',
+    verdicts: {
+      great: 'Great match',
+      good: 'Works for you',
+      neutral: 'Neutral',
+      avoid: 'Not your best',
+    },
+  },
+  tryOn: {
+    title: 'Try-On Preview',
+    hint: 'Click up to two colors to compare them next to your face.',
+    canvasLabel: '{color} next to your face',
+    remove: 'Remove {color}',
+    loadError: 'Your photo could not be loaded for the preview. Select it again to try on colors.',
+  },
+  accuracyMode: {
+    toggle: 'Accuracy mode (slower)',
+    hint: {
+      one: 'Averages the prediction over {count} variant of the crop.',
+      other: 'Averages the prediction over {count} variants of the crop: flipped, shifted, zoomed and with brighter or darker light.',
+    },
+    ensemble: {
+      one: 'Uses {count} model.',
+      other: 'Also combines {count} models.',
+    },
+  },
+  stability: {
+    stable: 'Stable prediction',
+    unstable: 'Unstable prediction: small changes to the crop change the result, so try a sharper, evenly lit photo.',
+    details: '{agreement}% of {count} samples agree · spread ±{spread} MST',
+    models: {
+      one: '{count} model',
+      other: '{count} models',
+    },
+  },
+  diagnostics: {
+    title: 'Diagnostics',
+    backend: 'Backend: {name}',
+    wasmFeatures: 'SIMD {simd}, threads {threads}',
+    on: 'on',
+    off: 'off',
+    requested: 'set explicitly',
+    benchmark: 'Startup benchmark: {results}',
+    benchmarkEntry: '{backend} {value} ms',
+    unavailable: '{backend} unavailable',
+    ms: '{value} ms',
+    stages: {
+      init: 'Backend setup',
+      decode: 'Decode',
+      detect: 'Face detection',
+      preprocess: 'Preprocessing',
+      augment: 'Augmentation',
+      loadModel: 'Model loading',
+      predict: 'Prediction',
+      total: 'Total',
+    },
+  },
+  modelSelector: {
+    label: 'Model (developer)',
+    option: '{name} v{version}',
+    default: '(default)',
+    meta: 'id {id} · input {inputSize}px · reported accuracy {accuracy}',
+  },
+  privacy: {
+    localOnly: 'Your photos are analyzed in this browser and never uploaded.',
+    toggle: 'Share my processed face crop to help improve the model',
+    sharingOn:
+      'After each analysis only the cropped face image is uploaded, with camera and location metadata removed. Your original photo stays on this device.',
+    sharingOff: 'Off: nothing is uploaded. Your photos are analyzed in this browser only.',
+    deleteButton: 'Delete my uploaded data ({count})',
+    deleteConfirm: {
+      one: 'Delete {count} uploaded image from our storage?',
+      other: 'Delete {count} uploaded images from our storage?',
+    },
+    deleted: 'Your uploaded images were deleted.',
+  },
+  feedback: {
+    toggle: "This isn't right",
+    question: 'Which tone on the scale matches your skin best?',
+    scaleLabel: 'Correct MST tone',
+    cancel: 'Cancel',
+    submit: 'Submit correction',
+    thanksShared: 'Thanks! Your correction to {label} was saved and shared to help retrain the model.',
+    thanksLocal: 'Thanks! Your correction to {label} was saved on this device.',
+    collected: {
+      one: '{count} correction collected on this device',
+      other: '{count} corrections collected on this device',
+    },
+    export: 'Export feedback dataset',
+  },
+  consensus: {
+    badge: 'Consensus of {used} of {total} photos',
+    text: 'Each photo is classified separately. The probabilities of the usable photos are averaged, weighted by photo quality, and photos with poor quality or a result far from the others are left out.',
+    photo: 'Photo {index}',
+    details: '{confidence}% · expected MST {expected} · quality {quality}/100',
+    weight: '{value}% weight',
+    rejected: {
+      'low-quality': 'Skipped: low photo quality',
+      outlier: 'Skipped: far from the other photos',
+    },
+  },
+  camera: {
+    framing: {
+      loading: 'Starting face guide...',
+      unavailable: 'Face guide unavailable. Center your face in the oval.',
+      none: 'No face detected. Look at the camera.',
+      multiple: 'Multiple faces detected. Only one person should be in frame.',
+      far: 'Move closer to the camera.',
+      close: 'Move a little further away.',
+      offCenter: 'Center your face in the oval.',
+      good: 'Great framing! Hold still and capture.',
+    },
+    waiting: 'Waiting for camera...',
+    unsupported: 'Camera access is not supported in this browser.',
+    denied: 'Camera permission was denied.',
+    failed: 'Unable to open the camera.',
+    cancel: 'Cancel',
+    capture: 'Capture Photo',
+  },
+  history: {
+    title: 'Your Analysis History',
+    subtitle: 'Results are saved in this browser so you can check how consistent they are across photos',
+    empty: 'No saved analyses yet. Every photo you analyze is stored on this device only.',
+    saved: {
+      one: '{count} saved analysis · select two or more to compare',
+      other: '{count} saved analyses · select two or more to compare',
+    },
+    clearAll: 'Clear all',
+    clearConfirm: 'Delete all saved analyses from this device?',
+    person: ' · Person {index}',
+    details: '{confidence}% · expected MST {expected} · {group}',
+    deleteEntry: 'Delete entry',
+    compare: 'Compare selected ({count})',
+    comparing: 'Comparing {count} results',
+    close: 'Close',
+    markerTitle: '{label} · expected MST {expected}',
+    agree: 'All results agree on {label}.',
+    disagree: 'The results disagree on the MST label.',
+    spread: 'Average expected MST {mean}, spread {spread}',
+    consistent: '(consistent).',
+    inconsistent: '(inconsistent, check lighting and photo quality).',
+  },
+  shared: {
+    title: 'Shared Skin Tone Result',
+    text: 'Someone shared this result with you. It contains no photo, only the classification and palette.',
+    confidence: '{value}% confidence',
+    cta: 'Analyze Your Own Photo',
+  },
+  mstDistribution: {
+    label: 'MST probability distribution',
+  },
+  howItWorks: {
+    title: 'How It Works',
+    subtitle: 'Our advanced AI technology analyzes your photo in seconds',
+    steps: {
+      upload: {
+        title: 'Upload a Photo',
+        text: 'Choose a well-lit, front-facing photo without makeup for the most accurate results.',
+      },
+      analysis: {
+        title: 'AI Analysis',
+        text: 'Our deep learning model analyzes your image and classifies your skin tone on the MST scale.',
+      },
+      recommendations: {
+        title: 'Get Recommendations',
+        text: 'Receive personalized clothing color recommendations based on your skin tone classification.',
+      },
+    },
+  },
+  faq: {
+    title: 'Frequently Asked Questions',
+    subtitle: 'Find answers to common questions about our skin tone analyzer',
+    items: {
+      accuracy: {
+        question: 'How accurate is the skin tone analysis?',
+        answer:
+          'Our AI model has been trained on diverse skin tone datasets and achieves high accuracy. However, results may vary based on lighting conditions, image quality, and other factors. For best results, use a well-lit photo without makeup or filters.',
+      },
+      privacy: {
+        question: 'Is my photo stored or shared?',
+        answer:
+          'Photos are analyzed locally in your browser and your original photo never leaves your device. Nothing is uploaded unless you turn on sharing in the privacy settings; then only the processed face crop is uploaded, with camera and location metadata removed. You can delete everything you uploaded at any time with "Delete my uploaded data". Share links contain your result and palette only, never an image.',
+      },
+      scale: {
+        question: 'How is the Monk Skin Tone scale different from other scales?',
+        answer:
+          'The Monk Skin Tone (MST) scale was developed to be more inclusive of diverse skin tones. It features 10 shades that better represent the full spectrum of human skin colors, making it more comprehensive than traditional scales like Fitzpatrick which has only 6 categories.',
+      },
+      clothing: {
+        question: 'Why does skin tone matter for clothing colors?',
+        answer:
+          'Certain colors naturally complement different skin tones while others may clash or make you appear washed out. Understanding your skin tone helps you choose clothing colors that enhance your natural features and create a more harmonious appearance.',
+      },
+    },
+  },
+  cta: {
+    title: 'Ready to Discover Your Perfect Colors?',
+    text: 'Upload your photo now and transform your wardrobe with personalized color recommendations',
+    button: 'Try Skin Tone Analyzer',
+  },
+  footer: {
+    tagline: 'Discover your perfect color palette with AI-powered skin tone analysis',
+    quickLinks: 'Quick Links',
+    resources: 'Resources',
+    privacyPolicy: 'Privacy Policy',
+    terms: 'Terms of Service',
+    contact: 'Contact Us',
+    newsletterTitle: 'Stay Updated',
+    newsletterText: 'Subscribe to our newsletter for style tips and updates',
+    emailPlaceholder: 'Your email address',
+    rights: 'All rights reserved.',
+  },
+}
+
+export default en
@@ -0,0 +1,626 @@
+const id = {
+  languageName: 'Bahasa Indonesia',
+  nav: {
+    about: 'Tentang',
+    analyzer: 'Analisis',
+    history: 'Riwayat',
+    howItWorks: 'Cara Kerja',
+    faq: 'FAQ',
+    language: 'Bahasa',
+  },
+  hero: {
+    title: 'Temukan Palet Warna Terbaikmu',
+    text: 'Unggah foto dan AI kami akan menganalisis warna kulitmu untuk memberikan rekomendasi warna pakaian yang menonjolkan kecantikan alamimu.',
+    cta: 'Coba Sekarang',
+    imageAlt: 'Analisis Warna Kulit',
+  },
+  about: {
+    title: 'Mengapa Warna Kulit Penting',
+    subtitle: 'Memahami warna kulit membantumu memilih busana dengan lebih tepat dan memperkuat gaya pribadimu',
+    features: {
+      clothing: {
+        title: 'Pilihan Busana Lebih Tepat',
+        text: 'Kenali warna yang secara alami serasi dengan warna kulitmu agar penampilan lebih menawan.',
+      },
+      palette: {
+        title: 'Palet Personal',
+        text: 'Dapatkan rekomendasi warna khusus berdasarkan skala Monk Skin Tone (MST).',
+      },
+      ai: {
+        title: 'Analisis Berbasis AI',
+        text: 'Manfaatkan teknologi deep learning untuk mengenali kategori warna kulitmu secara akurat.',
+      },
+    },
+  },
+  mstInfo: {
+    title: 'Skala Monk Skin Tone',
+    subtitle: 'Cara yang lebih inklusif untuk mengelompokkan beragam warna kulit manusia',
+    description:
+      'Skala Monk Skin Tone (MST) adalah skala warna kulit sepuluh tingkat yang dirancang agar lebih inklusif dan mewakili keragaman warna kulit manusia. Dibuat oleh profesor Harvard Dr. Ellis Monk, skala ini membantu memastikan teknologi bekerja dengan baik untuk semua warna kulit.',
+    benefits: {
+      inclusive: 'Lebih inklusif daripada skala tradisional',
+      scientific: 'Dikembangkan dan diuji secara ilmiah',
+      industry: 'Digunakan oleh perusahaan teknologi terkemuka',
+    },
+  },
+  analyzer: {
+    title: 'Analisis Warna Kulitmu',
+    subtitle: 'Unggah fotomu untuk mengetahui klasifikasi warna kulit dan mendapatkan rekomendasi pakaian yang personal',
+    uploadTitle: 'Unggah Fotomu',
+    uploadHint: 'Untuk hasil terbaik, gunakan foto wajah dengan pencahayaan baik tanpa riasan atau filter',
+    uploadMode: 'Unggah Foto',
+    cameraMode: 'Gunakan Kamera',
+    dragDrop: 'Seret dan lepas gambarmu di sini',
+    batchHint: 'Tambahkan beberapa foto untuk mendapatkan satu hasil gabungan',
+    or: 'atau',
+    browse: 'Pilih File',
+    supports: 'Mendukung: JPG, PNG, JPEG (Maks. 5MB)',
+    preview: 'Pratinjau Gambar',
+    previewAlt: 'Pratinjau',
+    change: 'Ganti',
+    showPerson: 'Tampilkan hasil untuk orang {index}',
+    facesDetected: '{count} wajah terdeteksi. Klik wajah untuk melihat hasilnya.',
+    photosSelected: '{count} Foto Dipilih',
+    removeFile: 'Hapus {name}',
+    analyze: 'Analisis Warna Kulit',
+    analyzeMany: 'Analisis {count} Foto',
+    analyzing: 'Menganalisis...',
+    photoProgress: 'Foto {index} dari {count} · ',
+    invalidType: '{name}: pilih file gambar yang valid.',
+    tooLarge: '{name}: ukuran gambar melebihi batas 5MB.',
+  },
+  stages: {
+    init: 'Menyiapkan mesin analisis...',
+    decode: 'Membaca gambar...',
+    correct: 'Mengoreksi pencahayaan...',
+    detect: 'Mendeteksi wajah...',
+    quality: 'Memeriksa kualitas foto...',
+    crop: 'Menyiapkan area wajah...',
+    segment: 'Memisahkan piksel kulit...',
+    augment: 'Menyiapkan potongan augmentasi...',
+    loadModel: 'Memuat model warna kulit...',
+    predict: 'Mengklasifikasikan warna kulit...',
+  },
+  errors: {
+    analysisFailed: 'Analisis gagal: {message}',
+    uploadFailed: 'Unggah gagal: {message}',
+    noCrop: 'Tidak ada potongan wajah yang bisa dilampirkan pada koreksi ini.',
+    deleteUploadsFailed: 'Tidak dapat menghapus file yang diunggah: {message}',
+    deleteEntryFailed: 'Tidak dapat menghapus entri: {message}',
+    clearHistoryFailed: 'Tidak dapat menghapus riwayat: {message}',
+  },
+  qualityGate: {
+    title: 'Foto ini mungkin memberikan hasil yang kurang akurat',
+    override: 'Tetap analisis',
+  },
+  quality: {
+    noFace: 'Wajah tidak ditemukan. Gunakan foto dengan wajah terlihat jelas dan menghadap kamera.',
+    blur: 'Foto terlihat buram. Pegang kamera dengan stabil, ketuk untuk fokus pada wajah, lalu coba lagi.',
+    dark: 'Foto terlalu gelap. Hadapkan wajah ke jendela atau sumber cahaya lembut dan hindari cahaya dari belakang.',
+    bright: 'Foto terlalu terang. Menjauhlah dari cahaya langsung atau turunkan eksposur.',
+    clippedHighlights: 'Sebagian wajahmu pudar karena silau. Hindari flash langsung atau sinar matahari terik.',
+    crushedShadows: 'Sebagian besar wajahmu tertutup bayangan. Terangi wajah dengan lebih merata.',
+    faceSize: 'Wajahmu terlalu kecil dalam bingkai. Mendekatlah agar wajah mengisi lebih banyak bagian foto.',
+    yaw: 'Kepalamu menoleh ke samping. Lihat lurus ke kamera.',
+    roll: 'Kepalamu miring. Tegakkan kepala dan jaga tetap lurus.',
+  },
+  results: {
+    title: 'Hasil Analisis',
+    confidence: 'Keyakinan: {value}%',
+    lowConfidence: 'Keyakinan rendah: {value}%',
+    person: 'Orang {index}',
+    classificationTitle: 'Klasifikasi Warna Kulitmu',
+    classified: 'Warna kulitmu diklasifikasikan sebagai {label} pada Skala Monk Skin Tone',
+    between: 'Warna kulitmu berada di antara {label} dan {alternative} pada Skala Monk Skin Tone',
+    expected: 'Nilai MST perkiraan:',
+    splitNote: ' · model ragu di antara dua warna yang berdekatan, jadi anggap ini sebagai rentang.',
+    skinToneGroup: 'Kelompok Warna Kulit: {group}',
+    model: 'Model: {name} v{version}',
+  },
+  skinToneGroups: {
+    light: 'Terang',
+    'light medium': 'Terang Sedang',
+    medium: 'Sedang',
+    'medium deep': 'Sedang Gelap',
+    deep: 'Gelap',
+  },
+  undertone: {
+    badge: 'Undertone: {value}',
+    noSkinPixels: 'Tidak ada piksel kulit yang terukur, jadi undertone hanya didasarkan pada jawabanmu di bawah.',
+    hueAngle:
+      'Sudut hue kulit {angle}° (a*/b* dalam CIELAB). Sudut lebih tinggi condong kuning/keemasan (hangat), sudut lebih rendah condong merah muda/merah (sejuk).',
+    veinsQuestion: 'Urat di pergelangan tangan bagian dalam terlihat',
+    jewelryQuestion: 'Perhiasan yang paling cocok untukmu',
+    notSure: 'Tidak yakin',
+    veins: {
+      green: 'Sebagian besar hijau',
+      blue: 'Biru atau ungu',
+      mixed: 'Campuran keduanya',
+    },
+    jewelry: {
+      gold: 'Emas',
+      silver: 'Perak',
+      both: 'Keduanya cocok',
+    },
+    withName: 'undertone {undertone}',
+  },
+  undertones: {
+    warm: 'Hangat',
+    neutral: 'Netral',
+    cool: 'Sejuk',
+  },
+  undertoneNames: {
+    warm: 'hangat',
+    neutral: 'netral',
+    cool: 'sejuk',
+  },
+  season: {
+    scores: {
+      temperature: { low: 'Sejuk', high: 'Hangat' },
+      value: { low: 'Gelap', high: 'Terang' },
+      chroma: { low: 'Lembut', high: 'Cerah' },
+    },
+    features: {
+      skin: 'Kulit',
+      hair: 'Rambut',
+      eyes: 'Mata',
+    },
+    notFound: '{feature} (tidak ditemukan)',
+    contrast: 'Kontras kulit dengan fitur wajah: ΔL* {value}',
+    closeTo: ' · mendekati {name}',
+  },
+  seasons: {
+    'light-spring': { name: 'Light Spring', description: 'Terang, hangat, dan lembut: kontras halus dengan kilau keemasan.' },
+    'warm-spring': { name: 'Warm Spring', description: 'Hangat di atas segalanya: warna jernih keemasan dengan kedalaman sedang.' },
+    'bright-spring': { name: 'Bright Spring', description: 'Jernih dan cerah dengan kecenderungan hangat: kontras tinggi, warna pekat.' },
+    'light-summer': { name: 'Light Summer', description: 'Terang dan sejuk: warna pastel ringan dengan kontras rendah.' },
+    'cool-summer': { name: 'Cool Summer', description: 'Sejuk di atas segalanya: warna berbasis biru dengan kedalaman sedang, sedikit redup.' },
+    'soft-summer': { name: 'Soft Summer', description: 'Redup dan condong sejuk: warna berdebu yang membaur dengan kontras lembut.' },
+    'soft-autumn': { name: 'Soft Autumn', description: 'Redup dan condong hangat: warna tanah yang dilembutkan dengan kontras lembut.' },
+    'warm-autumn': { name: 'Warm Autumn', description: 'Hangat di atas segalanya: warna tanah keemasan yang kaya.' },
+    'deep-autumn': { name: 'Deep Autumn', description: 'Gelap dan hangat: warna pekat yang kaya dengan kontras yang terlihat.' },
+    'deep-winter': { name: 'Deep Winter', description: 'Gelap dan sejuk: warna permata gelap dengan kontras kuat.' },
+    'cool-winter': { name: 'Cool Winter', description: 'Sejuk di atas segalanya: warna dingin berbasis biru dengan kontras tinggi.' },
+    'bright-winter': { name: 'Bright Winter', description: 'Jernih dan cerah dengan kecenderungan sejuk: warna pekat dan kontras tegas.' },
+  },
+  detection: {
+    faceDetected: 'Wajah terdeteksi',
+    noFace: 'Wajah tidak terdeteksi',
+    faceRegion: 'Analisis dilakukan pada area wajah yang terdeteksi dan diubah ukurannya sesuai input model.',
+    fullImage: 'Analisis dilakukan pada seluruh gambar dan diubah ukurannya sesuai input model.',
+    qualityWarning: 'Kualitas foto {score}/100 – hasil ini mungkin kurang akurat:',
+    lightingCorrected: 'Pencahayaan dikoreksi ({method}):',
+    measuredSkin: 'Warna kulit terukur {hex} · L* {l} · a* {a} · b* {b} · {coverage}% piksel kulit',
+    processedImage: 'Gambar Terproses',
+    processedAlt: 'Terproses',
+    showMask: 'Tampilkan masker kulit',
+  },
+  recommendations: {
+    title: 'Rekomendasi Warna Personalmu',
+    basisHarmony: 'Dihasilkan dari warna kulit terukur, undertone {undertone}, dan profil kontras {season}.',
+    basisSeason: 'Palet {season}-mu, dipilih berdasarkan kedalaman kulit, undertone {undertone}, dan kontras.',
+    colors: 'Warna',
+    recommendedTab: 'Warna yang Disarankan',
+    avoidTab: 'Warna yang Dihindari',
+    recommendedTip: 'Warna-warna ini akan menonjolkan warna kulit alamimu dan menciptakan tampilan yang harmonis.',
+    avoidTip: 'Warna-warna ini mungkin berbenturan dengan warna kulitmu atau membuatmu tampak pucat.',
+    tryOnHint: 'Klik warna mana pun untuk mencobanya di fotomu, atau pilih dua untuk membandingkannya berdampingan.',
+  },
+  beauty: {
+    foundation: {
+      label: 'Foundation',
+      tip: 'Coba shade terdekat di garis rahang pada cahaya siang sebelum membeli.',
+    },
+    lipstick: {
+      label: 'Lipstik',
+      tip: 'Warna bibir yang serasi dengan kedalaman kulit dan undertone-mu.',
+    },
+    blush: {
+      label: 'Perona Pipi',
+      tip: 'Warna perona pipi yang memberi rona alami pada kulitmu.',
+    },
+    hair: {
+      label: 'Warna Rambut',
+      tip: 'Warna rambut yang selaras dengan warna kulit dan kontrasmu.',
+    },
+  },
+  reasons: {
+    harmony: {
+      contrast: 'kontras terang-gelap yang jelas dengan kulitmu',
+      undertoneMatch: 'selaras dengan undertone {undertone}-mu',
+      complementary: 'hue komplementer dengan kulitmu',
+      vividChroma: 'saturasinya cocok dengan pewarnaanmu yang cerah',
+      softChroma: 'cukup redup untuk pewarnaanmu yang lembut',
+      balancedChroma: 'saturasi seimbang untuk pewarnaanmu',
+      blendsWithSkin: 'terlalu mirip dengan warna kulitmu sehingga membuatmu tampak pucat',
+      undertoneClash: 'bertentangan dengan undertone {undertone}-mu',
+      tooIntense: 'terlalu mencolok untuk pewarnaanmu',
+      tooDull: 'terlalu kusam di samping pewarnaanmu',
+      lowContrast: 'kontras dengan kulitmu terlalu rendah',
+    },
+    beauty: {
+      skinMatch: 'ΔE {deltaE} dari warna kulit terukurmu, undertone {undertone}',
+      mstMatch: 'paling dekat dengan warna acuan MST {mst}, undertone {undertone}',
+      undertone: 'cocok untuk undertone {undertone}',
+      depth: 'serasi dengan kulit MST {min}–{max}',
+      season: 'sesuai dengan palet {season}-mu',
+      softMatch: 'pilihan yang lebih lembut untuk pewarnaanmu',
+    },
+    wardrobe: {
+      blendsWithSkin: 'sangat mirip dengan warna kulitmu sehingga bisa membuatmu tampak pucat',
+      nearRecommended: 'mendekati {color} dari paletmu (ΔE {deltaE})',
+      nearAvoid: 'mendekati {color}, warna yang sebaiknya dihindari (ΔE {deltaE})',
+    },
+  },
+  report: {
+    title: 'Simpan Hasilmu',
+    text: 'Unduh kartu berbagi atau laporan PDF lengkap. Keduanya dibuat di perangkatmu.',
+    shareCard: 'Kartu Berbagi (PNG)',
+    pdf: 'Laporan Lengkap (PDF)',
+    copyLink: 'Salin Tautan',
+    share: 'Bagikan',
+    shareTitle: 'Hasil SkinTone AI saya',
+    shareText: 'Warna kulit saya adalah {label} ({group}).',
+    linkCopied: 'Tautan disalin. Tautan berisi hasil dan paletmu, tetapi tidak berisi fotomu.',
+    copyPrompt: 'Salin tautan ini untuk membagikan hasilmu:',
+    summaryTitle: 'Laporan Analisis Warna Kulit',
+    clothingTitle: 'Warna Pakaian',
+    beautyTitle: 'Riasan dan Rambut',
+    page: 'Halaman {page} dari {count}',
+    expectedMst: 'MST perkiraan: {value}',
+    consensus: {
+      other: 'Konsensus dari {count} foto',
+    },
+    closeCall: 'Hampir sama dengan {label}',
+    stable: 'Stabil',
+    unstable: 'Tidak stabil',
+    mstScale: 'Skala Monk Skin Tone',
+    distribution: 'Distribusi probabilitas',
+    undertoneSeason: 'Undertone dan musim',
+    cardConfidence: 'Keyakinan {value}%',
+    flattering: 'Warna yang cocok untukmu',
+    generated: 'Dibuat di perangkat ini dengan SkinTone AI',
+  },
+  wardrobe: {
+    title: 'Cek Lemari Pakaian',
+    text: 'Unggah foto pakaianmu untuk melihat seberapa cocok warna utamanya dengan paletmu.',
+    add: 'Tambah Pakaian',
+    extracting: 'Mengambil warna...',
+    remove: 'Hapus {name}',
+    verdicts: {
+      great: 'Sangat cocok',
+      good: 'Cocok untukmu',
+      neutral: 'Netral',
+      avoid: 'Kurang cocok',
+    },
+  },
+  tryOn: {
+    title: 'Pratinjau Coba Warna',
+    hint: 'Klik hingga dua warna untuk membandingkannya di samping wajahmu.',
+    canvasLabel: '{color} di samping wajahmu',
+    remove: 'Hapus {color}',
+    loadError: 'Fotomu tidak dapat dimuat untuk pratinjau. Pilih foto lagi untuk mencoba warna.',
+  },
+  accuracyMode: {
+    toggle: 'Mode akurasi (lebih lambat)',
+    hint: {
+      one: 'Merata-ratakan prediksi dari {count} variasi potongan.',
+      other: 'Merata-ratakan prediksi dari {count} variasi potongan: dibalik, digeser, diperbesar, serta dengan cahaya lebih terang atau lebih gelap.',
+    },
+    ensemble: {
+      one: 'Menggunakan {count} model.',
+      other: 'Juga menggabungkan {count} model.',
+    },
+  },
+  stability: {
+    stable: 'Prediksi stabil',
+    unstable: 'Prediksi tidak stabil: perubahan kecil pada potongan mengubah hasilnya, jadi coba foto yang lebih tajam dengan cahaya merata.',
+    details: '{agreement}% dari {count} sampel sepakat · sebaran ±{spread} MST',
+    models: {
+      one: '{count} model',
+      other: '{count} model',
+    },
+  },
+  diagnostics: {
+    title: 'Diagnostik',
+    backend: 'Backend: {name}',
+    wasmFeatures: 'SIMD {simd}, thread {threads}',
+    on: 'aktif',
+    off: 'nonaktif',
+    requested: 'dipilih secara eksplisit',
+    benchmark: 'Benchmark awal: {results}',
+    benchmarkEntry: '{backend} {value} md',
+    unavailable: '{backend} tidak tersedia',
+    ms: '{value} md',
+    stages: {
+      init: 'Persiapan backend',
+      decode: 'Dekode',
+      detect: 'Deteksi wajah',
+      preprocess: 'Prapemrosesan',
+      augment: 'Augmentasi',
+      loadModel: 'Memuat model',
+      predict: 'Prediksi',
+      total: 'Total',
+    },
+  },
+  modelSelector: {
+    label: 'Model (pengembang)',
+    option: '{name} v{version}',
+    default: '(bawaan)',
+    meta: 'id {id} · masukan {inputSize}px · akurasi yang dilaporkan {accuracy}',
+  },
+  privacy: {
+    localOnly: 'Fotomu dianalisis di browser ini dan tidak pernah diunggah.',
+    toggle: 'Bagikan potongan wajah terproses untuk membantu meningkatkan model',
+    sharingOn:
+      'Setelah setiap analisis hanya gambar potongan wajah yang diunggah, tanpa metadata kamera dan lokasi. Foto aslimu tetap di perangkat ini.',
+    sharingOff: 'Mati: tidak ada yang diunggah. Fotomu hanya dianalisis di browser ini.',
+    deleteButton: 'Hapus data yang saya unggah ({count})',
+    deleteConfirm: {
+      other: 'Hapus {count} gambar yang diunggah dari penyimpanan kami?',
+    },
+    deleted: 'Gambar yang kamu unggah telah dihapus.',
+  },
+  feedback: {
+    toggle: 'Hasil ini kurang tepat',
+    question: 'Warna mana pada skala yang paling cocok dengan kulitmu?',
+    scaleLabel: 'Warna MST yang benar',
+    cancel: 'Batal',
+    submit: 'Kirim koreksi',
+    thanksShared: 'Terima kasih! Koreksimu ke {label} telah disimpan dan dibagikan untuk membantu melatih ulang model.',
+    thanksLocal: 'Terima kasih! Koreksimu ke {label} telah disimpan di perangkat ini.',
+    collected: {
+      other: '{count} koreksi terkumpul di perangkat ini',
+    },
+    export: 'Ekspor dataset umpan balik',
+  },
+  consensus: {
+    badge: 'Gabungan {used} dari {total} foto',
+    text: 'Setiap foto diklasifikasikan secara terpisah. Probabilitas foto yang layak dirata-ratakan dengan bobot kualitas foto, dan foto berkualitas buruk atau dengan hasil yang jauh dari foto lain tidak disertakan.',
+    photo: 'Foto {index}',
+    details: '{confidence}% · MST perkiraan {expected} · kualitas {quality}/100',
+    weight: 'bobot {value}%',
+    rejected: {
+      'low-quality': 'Dilewati: kualitas foto rendah',
+      outlier: 'Dilewati: jauh dari foto lainnya',
+    },
+  },
+  camera: {
+    framing: {
+      loading: 'Menyiapkan panduan wajah...',
+      unavailable: 'Panduan wajah tidak tersedia. Posisikan wajahmu di tengah oval.',
+      none: 'Wajah tidak terdeteksi. Lihat ke kamera.',
+      multiple: 'Terdeteksi beberapa wajah. Hanya satu orang yang boleh berada dalam bingkai.',
+      far: 'Mendekatlah ke kamera.',
+      close: 'Mundurlah sedikit.',
+      offCenter: 'Posisikan wajahmu di tengah oval.',
+      good: 'Posisi sempurna! Tahan dan ambil foto.',
+    },
+    waiting: 'Menunggu kamera...',
+    unsupported: 'Akses kamera tidak didukung di browser ini.',
+    denied: 'Izin kamera ditolak.',
+    failed: 'Tidak dapat membuka kamera.',
+    cancel: 'Batal',
+    capture: 'Ambil Foto',
+  },
+  history: {
+    title: 'Riwayat Analisismu',
+    subtitle: 'Hasil disimpan di browser ini agar kamu bisa memeriksa konsistensinya di berbagai foto',
+    empty: 'Belum ada analisis tersimpan. Setiap foto yang kamu analisis hanya disimpan di perangkat ini.',
+    saved: {
+      other: '{count} analisis tersimpan · pilih dua atau lebih untuk dibandingkan',
+    },
+    clearAll: 'Hapus semua',
+    clearConfirm: 'Hapus semua analisis yang tersimpan dari perangkat ini?',
+    person: ' · Orang {index}',
+    details: '{confidence}% · MST perkiraan {expected} · {group}',
+    deleteEntry: 'Hapus entri',
+    compare: 'Bandingkan yang dipilih ({count})',
+    comparing: 'Membandingkan {count} hasil',
+    close: 'Tutup',
+    markerTitle: '{label} · MST perkiraan {expected}',
+    agree: 'Semua hasil sepakat pada {label}.',
+    disagree: 'Hasil-hasilnya berbeda pada label MST.',
+    spread: 'Rata-rata MST perkiraan {mean}, sebaran {spread}',
+    consistent: '(konsisten).',
+    inconsistent: '(tidak konsisten, periksa pencahayaan dan kualitas foto).',
+  },
+  shared: {
+    title: 'Hasil Warna Kulit yang Dibagikan',
+    text: 'Seseorang membagikan hasil ini kepadamu. Hasil ini tidak berisi foto, hanya klasifikasi dan palet.',
+    confidence: 'keyakinan {value}%',
+    cta: 'Analisis Fotomu Sendiri',
+  },
+  mstDistribution: {
+    label: 'Distribusi probabilitas MST',
+  },
+  howItWorks: {
+    title: 'Cara Kerja',
+    subtitle: 'Teknologi AI kami menganalisis fotomu dalam hitungan detik',
+    steps: {
+      upload: {
+        title: 'Unggah Foto',
+        text: 'Pilih foto menghadap depan dengan pencahayaan baik tanpa riasan untuk hasil paling akurat.',
+      },
+      analysis: {
+        title: 'Analisis AI',
+        text: 'Model deep learning kami menganalisis gambarmu dan mengklasifikasikan warna kulitmu pada skala MST.',
+      },
+      recommendations: {
+        title: 'Dapatkan Rekomendasi',
+        text: 'Terima rekomendasi warna pakaian personal berdasarkan klasifikasi warna kulitmu.',
+      },
+    },
+  },
+  faq: {
+    title: 'Pertanyaan yang Sering Diajukan',
+    subtitle: 'Temukan jawaban atas pertanyaan umum tentang penganalisis warna kulit kami',
+    items: {
+      accuracy: {
+        question: 'Seberapa akurat analisis warna kulitnya?',
+        answer:
+          'Model AI kami dilatih dengan dataset warna kulit yang beragam dan mencapai akurasi tinggi. Namun, hasil dapat bervariasi tergantung kondisi pencahayaan, kualitas gambar, dan faktor lainnya. Untuk hasil terbaik, gunakan foto dengan pencahayaan baik tanpa riasan atau filter.',
+      },
+      privacy: {
+        question: 'Apakah fotoku disimpan atau dibagikan?',
+        answer:
+          'Foto dianalisis secara lokal di browser dan foto aslimu tidak pernah meninggalkan perangkatmu. Tidak ada yang diunggah kecuali kamu mengaktifkan berbagi di pengaturan privasi; dalam hal itu hanya potongan wajah terproses yang diunggah, tanpa metadata kamera dan lokasi. Kamu dapat menghapus semua yang telah diunggah kapan saja dengan "Hapus data yang saya unggah". Tautan berbagi hanya berisi hasil dan paletmu, tidak pernah gambar.',
+      },
+      scale: {
+        question: 'Apa bedanya skala Monk Skin Tone dengan skala lain?',
+        answer:
+          'Skala Monk Skin Tone (MST) dikembangkan agar lebih inklusif terhadap beragam warna kulit. Skala ini memiliki 10 tingkat yang lebih mewakili seluruh spektrum warna kulit manusia, sehingga lebih lengkap daripada skala tradisional seperti Fitzpatrick yang hanya memiliki 6 kategori.',
+      },
+      clothing: {
+        question: 'Mengapa warna kulit penting untuk warna pakaian?',
+        answer:
+          'Warna tertentu secara alami serasi dengan warna kulit tertentu, sementara warna lain bisa berbenturan atau membuatmu tampak pucat. Memahami warna kulitmu membantumu memilih warna pakaian yang menonjolkan fitur alami dan menciptakan penampilan yang lebih harmonis.',
+      },
+    },
+  },
+  cta: {
+    title: 'Siap Menemukan Warna Terbaikmu?',
+    text: 'Unggah fotomu sekarang dan ubah isi lemarimu dengan rekomendasi warna personal',
+    button: 'Coba Penganalisis Warna Kulit',
+  },
+  footer: {
+    tagline: 'Temukan palet warna terbaikmu dengan analisis warna kulit berbasis AI',
+    quickLinks: 'Tautan Cepat',
+    resources: 'Sumber Daya',
+    privacyPolicy: 'Kebijakan Privasi',
+    terms: 'Ketentuan Layanan',
+    contact: 'Hubungi Kami',
+    newsletterTitle: 'Tetap Terkini',
+    newsletterText: 'Berlangganan buletin kami untuk tips gaya dan kabar terbaru',
+    emailPlaceholder: 'Alamat email kamu',
+    rights: 'Hak cipta dilindungi undang-undang.',
+  },
+  colors: {
+    headFirst: true,
+    names: {
+      'Baby Blue': 'Biru Muda Lembut',
+      'Baby Pink': 'Merah Jambu Lembut',
+      'Blue Black': 'Hitam Kebiruan',
+      'Blue Gray': 'Abu-abu Kebiruan',
+      'Blue Red': 'Merah Kebiruan',
+      'Orange Red': 'Merah Jingga',
+      'Powder Blue': 'Biru Pucat',
+      'True Red': 'Merah Klasik',
+    },
+    words: {
+      Amethyst: 'Kecubung',
+      Apple: 'Apel',
+      Apricot: 'Aprikot',
+      Aqua: 'Akua',
+      Ash: 'Abu',
+      Aubergine: 'Terung',
+      Auburn: 'Cokelat Kemerahan',
+      Beige: 'Krem',
+      Berry: 'Beri',
+      Black: 'Hitam',
+      Blonde: 'Pirang',
+      Blue: 'Biru',
+      Brick: 'Bata',
+      Bright: 'Cerah',
+      Brown: 'Cokelat',
+      Burgundy: 'Merah Marun',
+      Burnt: 'Bakar',
+      Buttercup: 'Kuning Mentega',
+      Camel: 'Cokelat Unta',
+      Caramel: 'Karamel',
+      Charcoal: 'Arang',
+      Chestnut: 'Kastanye',
+      Chocolate: 'Cokelat Tua',
+      Clear: 'Jernih',
+      Cobalt: 'Kobalt',
+      Colors: 'Warna',
+      Cool: 'Sejuk',
+      Copper: 'Tembaga',
+      Coral: 'Koral',
+      Cornflower: 'Bunga Jagung',
+      Cream: 'Krem Muda',
+      Cyan: 'Sian',
+      Dark: 'Tua',
+      Deep: 'Gelap',
+      Denim: 'Denim',
+      Dusty: 'Kusam',
+      Ebony: 'Eboni',
+      Electric: 'Elektrik',
+      Emerald: 'Zamrud',
+      Espresso: 'Espreso',
+      Forest: 'Hutan',
+      Fuchsia: 'Fuchsia',
+      Gold: 'Emas',
+      Golden: 'Keemasan',
+      Gray: 'Abu-abu',
+      Green: 'Hijau',
+      Honey: 'Madu',
+      Hot: 'Menyala',
+      Icy: 'Es',
+      Indigo: 'Nila',
+      Ivory: 'Gading',
+      Kelly: 'Kelly',
+      Khaki: 'Khaki',
+      Lavender: 'Lavender',
+      Lemon: 'Lemon',
+      Light: 'Muda',
+      Lime: 'Limau',
+      Magenta: 'Magenta',
+      Mauve: 'Ungu Muda Keabuan',
+      Mint: 'Mint',
+      Mocha: 'Moka',
+      Muted: 'Redup',
+      Mustard: 'Mustar',
+      Navy: 'Navy',
+      Neon: 'Neon',
+      Neutral: 'Netral',
+      Nude: 'Nude',
+      Olive: 'Zaitun',
+      Orange: 'Oranye',
+      Oxblood: 'Merah Darah',
+      Pale: 'Pucat',
+      Pastel: 'Pastel',
+      Pastels: 'Pastel',
+      Peach: 'Persik',
+      Periwinkle: 'Biru Keunguan',
+      Pine: 'Pinus',
+      Pink: 'Merah Jambu',
+      Plum: 'Plum',
+      Poppy: 'Poppy',
+      Porcelain: 'Porselen',
+      Pumpkin: 'Labu',
+      Pure: 'Murni',
+      Purple: 'Ungu',
+      Raspberry: 'Raspberi',
+      Red: 'Merah',
+      Rose: 'Mawar',
+      Royal: 'Royal',
+      Ruby: 'Rubi',
+      Rust: 'Karat',
+      Sage: 'Sage',
+      Salmon: 'Salem',
+      Sand: 'Pasir',
+      Sapphire: 'Safir',
+      Silver: 'Perak',
+      Slate: 'Batu Tulis',
+      Soft: 'Lembut',
+      Spruce: 'Cemara',
+      Stark: 'Pekat',
+      Strawberry: 'Stroberi',
+      Sunflower: 'Bunga Matahari',
+      Taupe: 'Taupe',
+      Teal: 'Hijau Kebiruan',
+      Terracotta: 'Terakota',
+      Tomato: 'Tomat',
+      True: 'Klasik',
+      Turquoise: 'Pirus',
+      Violet: 'Violet',
+      Vivid: 'Mencolok',
+      Warm: 'Hangat',
+      White: 'Putih',
+      Yellow: 'Kuning',
+    },
+  },
+}
+
+export default id
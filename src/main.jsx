@@ -2,9 +2,17 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import I18nProvider from './i18n/I18nProvider.jsx'
+import { registerServiceWorker } from './pwa/index.js'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </StrictMode>,
 )
+
+if (import.meta.env.PROD) {
+  registerServiceWorker()
+}
@@ -0,0 +1,12 @@
+export const supportsServiceWorker = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator
+
+export const registerServiceWorker = async (baseUrl = import.meta.env.BASE_URL) => {
+  if (!supportsServiceWorker()) {
+    return null
+  }
+  try {
+    return await navigator.serviceWorker.register(`${baseUrl}sw.js`, { scope: baseUrl })
+  } catch {
+    return null
+  }
+}
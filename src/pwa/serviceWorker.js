@@ -0,0 +1,88 @@
+const PRECACHE = self.__PRECACHE_MANIFEST
+const CACHE_PREFIX = 'skintone-ai-'
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE.version}`
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime`
+const NETWORK_FIRST_PATHS = ['models/manifest.json']
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com']
+
+const toScopeUrl = (file) => new URL(file, self.registration.scope).href
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(PRECACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE.files.map(toScopeUrl)))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(`${CACHE_PREFIX}precache-`) && name !== PRECACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+const putInCache = async (cacheName, request, response) => {
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+const networkFirst = async (request, fallbackUrl = request) => {
+  try {
+    return await putInCache(RUNTIME_CACHE_NAME, request, await fetch(request))
+  } catch (error) {
+    const cached = (await caches.match(request)) ?? (await caches.match(fallbackUrl))
+    if (cached) {
+      return cached
+    }
+    throw error
+  }
+}
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request)
+  if (cached) {
+    return cached
+  }
+  return putInCache(RUNTIME_CACHE_NAME, request, await fetch(request))
+}
+
+const staleWhileRevalidate = async (request) => {
+  const cached = await caches.match(request)
+  const network = fetch(request)
+    .then((response) => putInCache(RUNTIME_CACHE_NAME, request, response))
+    .catch(() => cached)
+  return cached ?? network
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') {
+    return
+  }
+  const url = new URL(request.url)
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, toScopeUrl('index.html')))
+    return
+  }
+  if (url.origin === self.location.origin) {
+    const isNetworkFirst = NETWORK_FIRST_PATHS.some((path) => url.href === toScopeUrl(path))
+    event.respondWith(isNetworkFirst ? networkFirst(request) : cacheFirst(request))
+    return
+  }
+  if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request))
+  }
+})
@@ -0,0 +1,149 @@
+export const REPORT_COLORS = {
+  primary: '#6c5ce7',
+  primaryDark: '#5541d7',
+  text: '#333333',
+  textLight: '#666666',
+  border: '#e0e0e0',
+  background: '#f8f9fa',
+  white: '#ffffff',
+}
+
+export const REPORT_FONT = "'Poppins', sans-serif"
+export const REPORT_TITLE_FONT = "'Montserrat', sans-serif"
+
+export const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const context = canvas.getContext('2d')
+  context.fillStyle = REPORT_COLORS.white
+  context.fillRect(0, 0, width, height)
+  context.textBaseline = 'alphabetic'
+  return { canvas, context }
+}
+
+export const loadReportImage = (url) =>
+  new Promise((resolve) => {
+    if (!url) {
+      resolve(null)
+      return
+    }
+    const image = new Image()
+    image.crossOrigin = 'anonymous'
+    image.onload = () => resolve(image)
+    image.onerror = () => resolve(null)
+    image.src = url
+  })
+
+export const setFont = (context, size, { weight = 400, family = REPORT_FONT } = {}) => {
+  context.font = `${weight} ${size}px ${family}`
+}
+
+export const drawText = (context, text, x, y, { size = 24, weight = 400, color = REPORT_COLORS.text, align = 'left', family } = {}) => {
+  setFont(context, size, { weight, family })
+  context.fillStyle = color
+  context.textAlign = align
+  context.fillText(text, x, y)
+}
+
+export const wrapText = (context, text, maxWidth) => {
+  const lines = []
+  let line = ''
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word
+    if (line && context.measureText(candidate).width > maxWidth) {
+      lines.push(line)
+      line = word
+    } else {
+      line = candidate
+    }
+  }
+  if (line) {
+    lines.push(line)
+  }
+  return lines
+}
+
+export const drawParagraph = (context, text, x, y, maxWidth, { size = 22, lineHeight = size * 1.45, ...options } = {}) => {
+  setFont(context, size, options)
+  const lines = wrapText(context, text, maxWidth)
+  lines.forEach((line, index) => drawText(context, line, x, y + index * lineHeight, { size, ...options }))
+  return y + lines.length * lineHeight
+}
+
+export const fillRoundRect = (context, x, y, width, height, radius, color) => {
+  context.beginPath()
+  context.roundRect(x, y, width, height, radius)
+  context.fillStyle = color
+  context.fill()
+}
+
+export const drawCircle = (context, x, y, radius, color, { stroke = REPORT_COLORS.border, lineWidth = 2 } = {}) => {
+  context.beginPath()
+  context.arc(x, y, radius, 0, Math.PI * 2)
+  context.fillStyle = color
+  context.fill()
+  if (stroke) {
+    context.strokeStyle = stroke
+    context.lineWidth = lineWidth
+    context.stroke()
+  }
+}
+
+export const drawCircularImage = (context, image, x, y, radius) => {
+  context.save()
+  context.beginPath()
+  context.arc(x, y, radius, 0, Math.PI * 2)
+  context.clip()
+  const scale = Math.max((radius * 2) / image.width, (radius * 2) / image.height)
+  const width = image.width * scale
+  const height = image.height * scale
+  context.drawImage(image, x - width / 2, y - height / 2, width, height)
+  context.restore()
+  drawCircle(context, x, y, radius, 'transparent', { stroke: REPORT_COLORS.white, lineWidth: 8 })
+}
+
+export const drawMstScale = (context, colors, activeIndex, x, y, width) => {
+  const gap = width / colors.length
+  const radius = Math.min(28, gap * 0.35)
+  colors.forEach((color, index) => {
+    const centerX = x + gap * index + gap / 2
+    const active = index === activeIndex
+    drawCircle(context, centerX, y, active ? radius * 1.35 : radius, color, {
+      stroke: active ? REPORT_COLORS.primary : REPORT_COLORS.border,
+      lineWidth: active ? 6 : 2,
+    })
+    drawText(context, String(index + 1), centerX, y + radius * 1.35 + 30, {
+      size: 20,
+      weight: active ? 700 : 400,
+      color: active ? REPORT_COLORS.primary : REPORT_COLORS.textLight,
+      align: 'center',
+    })
+  })
+}
+
+export const drawSwatchGrid = (context, swatches, x, y, width, { columns = 4, size = 72, labelSize = 20, rowHeight = size + 70 } = {}) => {
+  const gap = width / columns
+  swatches.forEach((swatch, index) => {
+    const centerX = x + gap * (index % columns) + gap / 2
+    const top = y + Math.floor(index / columns) * rowHeight
+    drawCircle(context, centerX, top + size / 2, size / 2, swatch.hex)
+    setFont(context, labelSize)
+    const [label] = wrapText(context, swatch.name, gap - 12)
+    drawText(context, label, centerX, top + size + labelSize + 14, { size: labelSize, align: 'center' })
+  })
+  return y + Math.ceil(swatches.length / columns) * rowHeight
+}
+
+export const formatUndertoneSeason = (report, t) =>
+  [
+    t('undertone.withName', { undertone: t(`undertoneNames.${report.undertone}`) }),
+    report.seasonId ? t(`seasons.${report.seasonId}.name`, { defaultValue: report.season }) : report.season,
+  ]
+    .filter(Boolean)
+    .join(' · ')
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to export the report image.'))), type, quality)
+  })
@@ -0,0 +1,85 @@
+import { BEAUTY_CATEGORIES } from '../analysis/beautyPalettes.js'
+import { canvasToBlob } from './canvas.js'
+import { createPdf } from './pdf.js'
+import { renderReportPages } from './reportPages.js'
+import { renderShareCard } from './shareCard.js'
+
+export * from './pdf.js'
+export * from './permalink.js'
+export * from './reportPages.js'
+export * from './shareCard.js'
+
+const PDF_JPEG_QUALITY = 0.92
+
+export const createReportData = ({ results, undertone, season, recommendations, beauty, createdAt = new Date() }) => ({
+  label: results.prediction,
+  confidence: results.confidence,
+  expectedMst: results.expectedMst,
+  probabilities: results.probabilities ?? [],
+  uncertain: results.uncertain,
+  alternativeLabel: results.alternativeLabel,
+  mstIndex: results.mstIndex,
+  mstColor: results.mstColor,
+  skinToneGroup: results.skinToneGroup,
+  undertone: undertone?.undertone ?? 'neutral',
+  season: season?.name ?? '',
+  seasonId: season?.id ?? null,
+  seasonDescription: season?.description ?? '',
+  imageUrl: results.thumbnailUrl ?? results.images?.[0]?.thumbnailUrl ?? null,
+  imageCount: results.consensus?.imageCount ?? 1,
+  model: results.model ?? null,
+  stability: results.stability ?? null,
+  recommended: recommendations?.recommended ?? [],
+  avoid: recommendations?.avoid ?? [],
+  beauty: beauty
+    ? BEAUTY_CATEGORIES.filter((category) => beauty[category.id]).map((category) => ({
+        id: category.id,
+        label: category.label,
+        shades: beauty[category.id].recommended,
+      }))
+    : [],
+  createdAt,
+})
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export const getReportFileName = (report, extension) =>
+  `skintone-${report.label.toLowerCase()}-${report.createdAt.toISOString().slice(0, 10)}.${extension}`
+
+const waitForFonts = async () => {
+  await document.fonts?.ready
+}
+
+export const exportShareCard = async (report, i18n) => {
+  await waitForFonts()
+  return canvasToBlob(await renderShareCard(report, i18n), 'image/png')
+}
+
+export const exportPdfReport = async (report, i18n) => {
+  await waitForFonts()
+  const canvases = await renderReportPages(report, i18n)
+  const pages = await Promise.all(
+    canvases.map(async (canvas) => ({
+      data: new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', PDF_JPEG_QUALITY)).arrayBuffer()),
+      width: canvas.width,
+      height: canvas.height,
+    }))
+  )
+  return createPdf(pages)
+}
+
+export const canShareFiles = () => {
+  if (typeof navigator === 'undefined' || !navigator.share || !navigator.canShare || typeof File === 'undefined') {
+    return false
+  }
+  return navigator.canShare({ files: [new File([''], 'probe.png', { type: 'image/png' })] })
+}
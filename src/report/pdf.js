@@ -0,0 +1,54 @@
+export const A4_POINTS = { width: 595.28, height: 841.89 }
+
+const encoder = new TextEncoder()
+const BINARY_MARKER = Uint8Array.from([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])
+
+export const createPdf = (pages, { width = A4_POINTS.width, height = A4_POINTS.height } = {}) => {
+  const chunks = []
+  const offsets = []
+  let length = 0
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+  const startObject = (id) => {
+    offsets[id] = length
+    write(`${id} 0 obj\n`)
+  }
+
+  write('%PDF-1.4\n')
+  write(BINARY_MARKER)
+  const pageIds = pages.map((_, index) => 3 + index * 3)
+  startObject(1)
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n')
+  startObject(2)
+  write(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`)
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index]
+    const content = `q ${width} 0 0 ${height} 0 0 cm /Im${index} Do Q`
+    startObject(pageId)
+    write(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /XObject << /Im${index} ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`
+    )
+    startObject(pageId + 1)
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`)
+    startObject(pageId + 2)
+    write(
+      `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode /Length ${page.data.length} >>\nstream\n`
+    )
+    write(page.data)
+    write('\nendstream\nendobj\n')
+  })
+
+  const xrefOffset = length
+  const objectCount = 3 + pages.length * 3
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`)
+  for (let id = 1; id < objectCount; id += 1) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`)
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+  return new Blob(chunks, { type: 'application/pdf' })
+}
@@ -0,0 +1,97 @@
+import { CLASS_LABELS, MST_COLORS, UNDERTONES } from '../analysis/constants.js'
+import { getSkinToneGroup, parseMstNumber } from '../analysis/prediction.js'
+import { SEASONS } from '../analysis/seasonPalettes.js'
+
+export const SHARE_HASH_KEY = 'result'
+export const SHARE_FORMAT_VERSION = 1
+
+const HEX_PATTERN = /^#[0-9a-f]{6}$/i
+const MAX_SHARED_SWATCHES = 12
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text)
+  let binary = ''
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (value) => {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=')
+  const binary = atob(padded)
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)))
+}
+
+const packSwatches = (swatches) => swatches.slice(0, MAX_SHARED_SWATCHES).map((swatch) => [swatch.name, swatch.hex])
+
+const unpackSwatches = (value) => {
+  if (!Array.isArray(value)) {
+    return []
+  }
+  return value
+    .filter(
+      (entry) =>
+        Array.isArray(entry) && typeof entry[0] === 'string' && typeof entry[1] === 'string' && HEX_PATTERN.test(entry[1])
+    )
+    .slice(0, MAX_SHARED_SWATCHES)
+    .map(([name, hex]) => ({ name: name.slice(0, 40), hex }))
+}
+
+export const encodeSharedResult = (report) =>
+  toBase64Url(
+    JSON.stringify({
+      v: SHARE_FORMAT_VERSION,
+      l: report.label,
+      c: round(report.confidence, 1),
+      e: round(report.expectedMst, 2),
+      p: report.probabilities.map((value) => round(value, 3)),
+      u: report.undertone,
+      s: report.seasonId,
+      r: packSwatches(report.recommended),
+      a: packSwatches(report.avoid),
+    })
+  )
+
+export const decodeSharedResult = (encoded) => {
+  let payload
+  try {
+    payload = JSON.parse(fromBase64Url(encoded))
+  } catch {
+    return null
+  }
+  if (payload?.v !== SHARE_FORMAT_VERSION || !CLASS_LABELS.includes(payload.l)) {
+    return null
+  }
+  const probabilities =
+    Array.isArray(payload.p) && payload.p.length === CLASS_LABELS.length && payload.p.every(Number.isFinite) ? payload.p : []
+  const mstIndex = parseMstNumber(payload.l) - 1
+  const season = typeof payload.s === 'string' && Object.hasOwn(SEASONS, payload.s) ? SEASONS[payload.s] : null
+  return {
+    label: payload.l,
+    confidence: Number.isFinite(payload.c) ? payload.c : null,
+    expectedMst: Number.isFinite(payload.e) ? payload.e : null,
+    probabilities,
+    undertone: UNDERTONES.includes(payload.u) ? payload.u : null,
+    season: season && { id: season.id, name: season.name, description: season.description },
+    mstIndex,
+    mstColor: MST_COLORS[mstIndex],
+    skinToneGroup: getSkinToneGroup(payload.l),
+    recommended: unpackSwatches(payload.r),
+    avoid: unpackSwatches(payload.a),
+  }
+}
+
+export const createShareUrl = (report, baseUrl = window.location.href) => {
+  const url = new URL(baseUrl)
+  url.hash = `${SHARE_HASH_KEY}=${encodeSharedResult(report)}`
+  return url.toString()
+}
+
+export const readSharedResultFromHash = (hash = window.location.hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const encoded = params.get(SHARE_HASH_KEY)
+  return encoded ? decodeSharedResult(encoded) : null
+}
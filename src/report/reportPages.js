@@ -0,0 +1,157 @@
+import { MST_COLORS } from '../analysis/constants.js'
+import { DEFAULT_LOCALE, createI18n } from '../i18n/index.js'
+import {
+  REPORT_COLORS,
+  REPORT_TITLE_FONT,
+  createCanvas,
+  drawCircle,
+  drawCircularImage,
+  drawMstScale,
+  drawParagraph,
+  drawText,
+  fillRoundRect,
+  formatUndertoneSeason,
+  loadReportImage,
+} from './canvas.js'
+
+export const REPORT_PAGE_SIZE = { width: 1240, height: 1754 }
+
+const MARGIN = 100
+const SWATCH_ROW_HEIGHT = 96
+
+const drawPageFrame = (context, title, pageNumber, pageCount, createdAt, { t, locale }) => {
+  const { width, height } = REPORT_PAGE_SIZE
+  context.fillStyle = REPORT_COLORS.primary
+  context.fillRect(0, 0, width, 16)
+  drawText(context, 'SkinTone AI', MARGIN, 100, { size: 28, weight: 800, color: REPORT_COLORS.primary, family: REPORT_TITLE_FONT })
+  drawText(context, createdAt.toLocaleString(locale), width - MARGIN, 100, { size: 20, color: REPORT_COLORS.textLight, align: 'right' })
+  drawText(context, title, MARGIN, 190, { size: 44, weight: 700, family: REPORT_TITLE_FONT })
+  drawText(context, t('report.page', { page: pageNumber, count: pageCount }), width / 2, height - 60, {
+    size: 18,
+    color: REPORT_COLORS.textLight,
+    align: 'center',
+  })
+}
+
+const drawDistribution = (context, probabilities, activeIndex, x, y, width, height) => {
+  const gap = width / MST_COLORS.length
+  const max = Math.max(...probabilities, 0.0001)
+  MST_COLORS.forEach((color, index) => {
+    const probability = probabilities[index] ?? 0
+    const barHeight = (probability / max) * height
+    const left = x + gap * index + gap * 0.2
+    fillRoundRect(context, left, y + height - barHeight, gap * 0.6, Math.max(barHeight, 2), 6, color)
+    if (index === activeIndex) {
+      context.strokeStyle = REPORT_COLORS.primary
+      context.lineWidth = 4
+      context.strokeRect(left, y + height - barHeight, gap * 0.6, Math.max(barHeight, 2))
+    }
+    const label = `MST${index + 1}`
+    drawText(context, label, left + gap * 0.3, y + height + 30, { size: 18, color: REPORT_COLORS.textLight, align: 'center' })
+    drawText(context, `${Math.round(probability * 100)}%`, left + gap * 0.3, y + height - barHeight - 12, {
+      size: 18,
+      weight: 600,
+      align: 'center',
+    })
+  })
+}
+
+const drawSwatchList = (context, swatches, y, reasonGroup, { colorName, explain }) => {
+  const { width } = REPORT_PAGE_SIZE
+  let top = y
+  for (const swatch of swatches) {
+    drawCircle(context, MARGIN + 32, top + 32, 32, swatch.hex)
+    drawText(context, colorName(swatch.name), MARGIN + 90, top + 26, { size: 24, weight: 600 })
+    drawText(context, swatch.hex.toUpperCase(), width - MARGIN, top + 26, { size: 20, color: REPORT_COLORS.textLight, align: 'right' })
+    if (swatch.reasons?.length > 0) {
+      drawParagraph(context, explain(reasonGroup, swatch.reasons), MARGIN + 90, top + 58, width - MARGIN * 2 - 90, {
+        size: 18,
+        color: REPORT_COLORS.textLight,
+      })
+    }
+    top += SWATCH_ROW_HEIGHT
+  }
+  return top
+}
+
+const renderSummaryPage = async (report, pageCount, i18n) => {
+  const { t } = i18n
+  const { width } = REPORT_PAGE_SIZE
+  const { canvas, context } = createCanvas(REPORT_PAGE_SIZE.width, REPORT_PAGE_SIZE.height)
+  drawPageFrame(context, t('report.summaryTitle'), 1, pageCount, report.createdAt, i18n)
+  const image = await loadReportImage(report.imageUrl)
+  if (image) {
+    drawCircularImage(context, image, MARGIN + 150, 420, 150)
+  } else {
+    drawCircle(context, MARGIN + 150, 420, 150, report.mstColor)
+  }
+  const textX = MARGIN + 360
+  drawText(context, report.label, textX, 340, { size: 72, weight: 800, color: REPORT_COLORS.primary, family: REPORT_TITLE_FONT })
+  drawText(context, t(`skinToneGroups.${report.skinToneGroup}`), textX, 400, { size: 30, weight: 600 })
+  drawText(context, t('results.confidence', { value: report.confidence.toFixed(1) }), textX, 450, { size: 24 })
+  drawText(context, t('report.expectedMst', { value: report.expectedMst.toFixed(1) }), textX, 490, { size: 24 })
+  if (report.imageCount > 1) {
+    drawText(context, t('report.consensus', { count: report.imageCount }), textX, 530, { size: 24 })
+  }
+  if (report.uncertain && report.alternativeLabel) {
+    drawText(context, t('report.closeCall', { label: report.alternativeLabel }), textX, 570, { size: 22, color: REPORT_COLORS.textLight })
+  }
+  const modelNotes = [
+    report.model && t('results.model', { name: report.model.name, version: report.model.version }),
+    report.stability &&
+      `${t(report.stability.stable ? 'report.stable' : 'report.unstable')}: ${t('stability.details', {
+        agreement: (report.stability.agreement * 100).toFixed(0),
+        count: report.stability.samples,
+        spread: report.stability.spread.toFixed(2),
+      })}`,
+  ].filter(Boolean)
+  if (modelNotes.length > 0) {
+    drawText(context, modelNotes.join(' · '), textX, 610, { size: 18, color: REPORT_COLORS.textLight })
+  }
+
+  fillRoundRect(context, MARGIN, 640, width - MARGIN * 2, 190, 24, REPORT_COLORS.background)
+  drawText(context, t('report.mstScale'), MARGIN + 40, 690, { size: 22, weight: 600, color: REPORT_COLORS.textLight })
+  drawMstScale(context, MST_COLORS, report.mstIndex, MARGIN + 40, 750, width - MARGIN * 2 - 80)
+
+  drawText(context, t('report.distribution'), MARGIN, 910, { size: 28, weight: 700 })
+  drawDistribution(context, report.probabilities, report.mstIndex, MARGIN, 960, width - MARGIN * 2, 260)
+
+  drawText(context, t('report.undertoneSeason'), MARGIN, 1330, { size: 28, weight: 700 })
+  drawText(context, formatUndertoneSeason(report, t), MARGIN, 1380, { size: 24, weight: 600 })
+  if (report.seasonId) {
+    drawParagraph(context, t(`seasons.${report.seasonId}.description`, { defaultValue: report.seasonDescription }), MARGIN, 1425, width - MARGIN * 2, { color: REPORT_COLORS.textLight })
+  }
+  return canvas
+}
+
+const renderPalettePage = (report, pageCount, i18n) => {
+  const { t } = i18n
+  const { canvas, context } = createCanvas(REPORT_PAGE_SIZE.width, REPORT_PAGE_SIZE.height)
+  drawPageFrame(context, t('report.clothingTitle'), 2, pageCount, report.createdAt, i18n)
+  drawText(context, t('recommendations.recommendedTab'), MARGIN, 280, { size: 28, weight: 700 })
+  const bottom = drawSwatchList(context, report.recommended.slice(0, 8), 310, 'harmony', i18n)
+  drawText(context, t('recommendations.avoidTab'), MARGIN, bottom + 60, { size: 28, weight: 700 })
+  drawSwatchList(context, report.avoid.slice(0, 6), bottom + 90, 'harmony', i18n)
+  return canvas
+}
+
+const renderBeautyPage = (report, pageCount, i18n) => {
+  const { t } = i18n
+  const { canvas, context } = createCanvas(REPORT_PAGE_SIZE.width, REPORT_PAGE_SIZE.height)
+  drawPageFrame(context, t('report.beautyTitle'), 3, pageCount, report.createdAt, i18n)
+  let top = 280
+  for (const category of report.beauty) {
+    drawText(context, t(`beauty.${category.id}.label`, { defaultValue: category.label }), MARGIN, top, { size: 28, weight: 700 })
+    top = drawSwatchList(context, category.shades.slice(0, 3), top + 30, 'beauty', i18n) + 30
+  }
+  return canvas
+}
+
+export const renderReportPages = async (report, i18n = createI18n(DEFAULT_LOCALE)) => {
+  const pageCount = report.beauty.length > 0 ? 3 : 2
+  const pages = [await renderSummaryPage(report, pageCount, i18n), renderPalettePage(report, pageCount, i18n)]
+  if (pageCount === 3) {
+    pages.push(renderBeautyPage(report, pageCount, i18n))
+  }
+  return pages
+}
@@ -0,0 +1,60 @@
+import { MST_COLORS } from '../analysis/constants.js'
+import { DEFAULT_LOCALE, createI18n } from '../i18n/index.js'
+import {
+  REPORT_COLORS,
+  REPORT_TITLE_FONT,
+  createCanvas,
+  drawCircle,
+  drawCircularImage,
+  drawMstScale,
+  drawSwatchGrid,
+  drawText,
+  fillRoundRect,
+  formatUndertoneSeason,
+  loadReportImage,
+} from './canvas.js'
+
+export const SHARE_CARD_SIZE = { width: 1080, height: 1350 }
+
+export const renderShareCard = async (report, { t, colorName, locale } = createI18n(DEFAULT_LOCALE)) => {
+  const { width, height } = SHARE_CARD_SIZE
+  const { canvas, context } = createCanvas(width, height)
+  const localizeSwatches = (swatches) => swatches.map((swatch) => ({ ...swatch, name: colorName(swatch.name) }))
+  const header = context.createLinearGradient(0, 0, width, 0)
+  header.addColorStop(0, REPORT_COLORS.primary)
+  header.addColorStop(1, REPORT_COLORS.primaryDark)
+  context.fillStyle = header
+  context.fillRect(0, 0, width, 300)
+  drawText(context, 'SkinTone AI', 60, 80, { size: 36, weight: 800, color: REPORT_COLORS.white, family: REPORT_TITLE_FONT })
+  drawText(context, report.createdAt.toLocaleDateString(locale), width - 60, 80, { size: 24, color: REPORT_COLORS.white, align: 'right' })
+
+  const image = await loadReportImage(report.imageUrl)
+  if (image) {
+    drawCircularImage(context, image, 200, 300, 130)
+  } else {
+    drawCircle(context, 200, 300, 130, report.mstColor, { stroke: REPORT_COLORS.white, lineWidth: 8 })
+  }
+  drawText(context, report.label, 380, 220, { size: 72, weight: 800, color: REPORT_COLORS.white, family: REPORT_TITLE_FONT })
+  drawText(context, t('report.cardConfidence', { value: report.confidence.toFixed(1) }), 380, 270, { size: 26, color: REPORT_COLORS.white })
+  drawText(context, t(`skinToneGroups.${report.skinToneGroup}`), 380, 370, { size: 30, weight: 600 })
+  drawText(context, formatUndertoneSeason(report, t), 380, 410, {
+    size: 24,
+    color: REPORT_COLORS.textLight,
+  })
+
+  fillRoundRect(context, 60, 470, width - 120, 170, 24, REPORT_COLORS.background)
+  drawText(context, t('report.mstScale'), 100, 515, { size: 22, weight: 600, color: REPORT_COLORS.textLight })
+  drawMstScale(context, MST_COLORS, report.mstIndex, 100, 570, width - 200)
+
+  drawText(context, t('report.flattering'), 60, 710, { size: 30, weight: 700 })
+  drawSwatchGrid(context, localizeSwatches(report.recommended.slice(0, 8)), 60, 735, width - 120, { columns: 4, size: 80, rowHeight: 150 })
+  drawText(context, t('recommendations.avoidTab'), 60, 1060, { size: 30, weight: 700 })
+  drawSwatchGrid(context, localizeSwatches(report.avoid.slice(0, 4)), 60, 1085, width - 120, { columns: 4, size: 80, rowHeight: 150 })
+
+  drawText(context, t('report.generated'), width / 2, height - 40, {
+    size: 20,
+    color: REPORT_COLORS.textLight,
+    align: 'center',
+  })
+  return canvas
+}
@@ -0,0 +1,62 @@
+const DB_NAME = 'skintone-ai'
+const DB_VERSION = 3
+
+export const HISTORY_STORE = 'history'
+export const UPLOADS_STORE = 'uploads'
+export const FEEDBACK_STORE = 'feedback'
+
+let dbPromise = null
+
+export const supportsLocalStorageDb = () => typeof indexedDB !== 'undefined'
+
+const upgrade = (db) => {
+  if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+    const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true })
+    store.createIndex('createdAt', 'createdAt')
+  }
+  if (!db.objectStoreNames.contains(UPLOADS_STORE)) {
+    const store = db.createObjectStore(UPLOADS_STORE, { keyPath: 'path' })
+    store.createIndex('createdAt', 'createdAt')
+  }
+  if (!db.objectStoreNames.contains(FEEDBACK_STORE)) {
+    const store = db.createObjectStore(FEEDBACK_STORE, { keyPath: 'id', autoIncrement: true })
+    store.createIndex('createdAt', 'createdAt')
+  }
+}
+
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!supportsLocalStorageDb()) {
+        reject(new Error('IndexedDB is not available in this browser.'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => upgrade(request.result)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((error) => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+export const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDb()
+  const transaction = db.transaction(storeName, mode)
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+  const [result] = await Promise.all([callback(transaction.objectStore(storeName)), completed])
+  return result
+}
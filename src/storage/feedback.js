@@ -0,0 +1,84 @@
+import { CLASS_LABELS } from '../analysis/constants.js'
+import { formatModelVersion } from '../analysis/registry.js'
+import { FEEDBACK_STORE, requestToPromise, withStore } from './db.js'
+import { createZip } from './zip.js'
+
+export const createFeedbackEntry = (
+  { crop, predictedLabel, confidence, probabilities, expectedMst, fileName, model },
+  correctedLabel,
+  { createdAt = Date.now() } = {}
+) => {
+  if (!CLASS_LABELS.includes(correctedLabel)) {
+    throw new Error(`Unknown MST label: ${correctedLabel}`)
+  }
+  return {
+    createdAt,
+    correctedLabel,
+    predictedLabel,
+    confidence,
+    probabilities,
+    expectedMst,
+    fileName: fileName ?? null,
+    model: model ?? null,
+    crop: crop ?? null,
+    remotePath: null,
+  }
+}
+
+export const addFeedbackEntry = (entry) =>
+  withStore(FEEDBACK_STORE, 'readwrite', async (store) => {
+    const id = await requestToPromise(store.add(entry))
+    return { ...entry, id }
+  })
+
+export const updateFeedbackEntry = (entry) => withStore(FEEDBACK_STORE, 'readwrite', (store) => requestToPromise(store.put(entry)))
+
+export const listFeedbackEntries = () =>
+  withStore(FEEDBACK_STORE, 'readonly', (store) => requestToPromise(store.index('createdAt').getAll()))
+
+export const clearFeedback = () => withStore(FEEDBACK_STORE, 'readwrite', (store) => requestToPromise(store.clear()))
+
+const toCsvRow = (values) =>
+  values.map((value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value))).join(',')
+
+export const exportFeedbackDataset = async (entries, { labels = CLASS_LABELS } = {}) => {
+  const files = []
+  const rows = [
+    toCsvRow(['file', 'label', 'predicted_label', 'confidence', 'expected_mst', 'model', 'created_at', ...labels.map((label) => `p_${label}`)]),
+  ]
+  const models = new Map()
+  for (const entry of entries) {
+    if (!entry.crop) {
+      continue
+    }
+    const name = `${entry.correctedLabel}/feedback_${String(entry.id).padStart(5, '0')}.jpg`
+    files.push({ name, data: new Uint8Array(await entry.crop.arrayBuffer()) })
+    if (entry.model) {
+      models.set(formatModelVersion(entry.model), entry.model)
+    }
+    rows.push(
+      toCsvRow([
+        name,
+        entry.correctedLabel,
+        entry.predictedLabel,
+        entry.confidence.toFixed(4),
+        entry.expectedMst.toFixed(3),
+        formatModelVersion(entry.model) ?? '',
+        new Date(entry.createdAt).toISOString(),
+        ...labels.map((_, index) => (entry.probabilities[index] ?? 0).toFixed(4)),
+      ])
+    )
+  }
+  const manifest = {
+    models: [...models.values()].map((model) => (typeof model === 'string' ? { id: model } : model)),
+    labels,
+    count: files.length,
+    layout: 'One folder per corrected label; labels.csv lists each crop with the model prediction and distribution.',
+    exportedAt: new Date().toISOString(),
+  }
+  return createZip([
+    ...files,
+    { name: 'labels.csv', data: `${rows.join('\n')}\n` },
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+  ])
+}
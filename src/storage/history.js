@@ -0,0 +1,41 @@
+import { HISTORY_STORE, requestToPromise, withStore } from './db.js'
+
+export const createHistoryEntry = (face, { fileName, faceIndex = 0, faceCount = 1, createdAt = Date.now() } = {}) => ({
+  createdAt,
+  fileName,
+  faceIndex,
+  faceCount,
+  label: face.label,
+  confidence: face.confidence,
+  expectedMst: face.expectedMst,
+  uncertain: face.uncertain,
+  alternativeLabel: face.alternativeLabel,
+  labels: face.labels,
+  probabilities: face.probabilities,
+  model: face.model ?? null,
+  mstIndex: face.mstIndex,
+  mstColor: face.mstColor,
+  skinToneGroup: face.skinToneGroup,
+  undertone: face.undertone?.undertone ?? null,
+  season: face.season?.name ?? null,
+  seasonId: face.season?.id ?? null,
+  skinColor: face.skin?.color.hex ?? null,
+  qualityScore: face.quality?.score ?? null,
+  thumbnail: face.processedBlob ?? null,
+})
+
+export const addHistoryEntry = (entry) =>
+  withStore(HISTORY_STORE, 'readwrite', async (store) => {
+    const id = await requestToPromise(store.add(entry))
+    return { ...entry, id }
+  })
+
+export const listHistoryEntries = () =>
+  withStore(HISTORY_STORE, 'readonly', async (store) => {
+    const entries = await requestToPromise(store.index('createdAt').getAll())
+    return entries.reverse()
+  })
+
+export const deleteHistoryEntry = (id) => withStore(HISTORY_STORE, 'readwrite', (store) => requestToPromise(store.delete(id)))
+
+export const clearHistory = () => withStore(HISTORY_STORE, 'readwrite', (store) => requestToPromise(store.clear()))
@@ -0,0 +1,64 @@
+const JPEG_SOI = 0xd8
+const JPEG_SOS = 0xda
+const JPEG_COMMENT = 0xfe
+const JPEG_ICC_PROFILE = 0xe2
+
+const isStandaloneMarker = (marker) => marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)
+
+const isMetadataMarker = (marker) => (marker >= 0xe1 && marker <= 0xef && marker !== JPEG_ICC_PROFILE) || marker === JPEG_COMMENT
+
+export const stripJpegMetadata = (bytes) => {
+  if (bytes[0] !== 0xff || bytes[1] !== JPEG_SOI) {
+    throw new Error('Not a JPEG file.')
+  }
+  const kept = [bytes.subarray(0, 2)]
+  let offset = 2
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      throw new Error('Malformed JPEG segment.')
+    }
+    const marker = bytes[offset + 1]
+    if (marker === 0xff) {
+      offset += 1
+      continue
+    }
+    if (marker === JPEG_SOS) {
+      kept.push(bytes.subarray(offset))
+      break
+    }
+    const length = isStandaloneMarker(marker) ? 0 : (bytes[offset + 2] << 8) | bytes[offset + 3]
+    const end = offset + 2 + length
+    if (!isMetadataMarker(marker)) {
+      kept.push(bytes.subarray(offset, end))
+    }
+    offset = end
+  }
+  const output = new Uint8Array(kept.reduce((sum, chunk) => sum + chunk.length, 0))
+  kept.reduce((position, chunk) => {
+    output.set(chunk, position)
+    return position + chunk.length
+  }, 0)
+  return output
+}
+
+const reencodeImage = async (blob) => {
+  const bitmap = await createImageBitmap(blob)
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height)
+    canvas.getContext('2d').drawImage(bitmap, 0, 0)
+    return canvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 })
+  } finally {
+    bitmap.close()
+  }
+}
+
+export const stripImageMetadata = async (blob) => {
+  if (blob.type === 'image/jpeg') {
+    try {
+      return new Blob([stripJpegMetadata(new Uint8Array(await blob.arrayBuffer()))], { type: 'image/jpeg' })
+    } catch {
+      return reencodeImage(blob)
+    }
+  }
+  return reencodeImage(blob)
+}
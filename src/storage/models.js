@@ -0,0 +1,31 @@
+const MODEL_STORAGE_KEY = 'skintone-ai:model'
+
+const MODEL_QUERY_PARAM = 'model'
+
+export const readModelFromUrl = () => {
+  if (typeof window === 'undefined') {
+    return null
+  }
+  return new URLSearchParams(window.location.search).get(MODEL_QUERY_PARAM)
+}
+
+export const loadModelPreference = () => {
+  const fromUrl = readModelFromUrl()
+  if (fromUrl) {
+    return fromUrl
+  }
+  try {
+    return localStorage.getItem(MODEL_STORAGE_KEY)
+  } catch {
+    return null
+  }
+}
+
+export const saveModelPreference = (id) => {
+  try {
+    localStorage.setItem(MODEL_STORAGE_KEY, id)
+  } catch {
+    return false
+  }
+  return true
+}
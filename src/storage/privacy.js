@@ -0,0 +1,26 @@
+const PRIVACY_STORAGE_KEY = 'skintone-ai:privacy'
+
+export const UPLOAD_MODES = ['none', 'processed']
+
+export const DEFAULT_PRIVACY_SETTINGS = { uploadMode: 'none', consentedAt: null }
+
+export const loadPrivacySettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRIVACY_STORAGE_KEY) ?? 'null')
+    if (stored && UPLOAD_MODES.includes(stored.uploadMode)) {
+      return { ...DEFAULT_PRIVACY_SETTINGS, ...stored }
+    }
+  } catch {
+    return DEFAULT_PRIVACY_SETTINGS
+  }
+  return DEFAULT_PRIVACY_SETTINGS
+}
+
+export const savePrivacySettings = (settings) => {
+  try {
+    localStorage.setItem(PRIVACY_STORAGE_KEY, JSON.stringify(settings))
+  } catch {
+    return false
+  }
+  return true
+}
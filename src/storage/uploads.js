@@ -0,0 +1,10 @@
+import { UPLOADS_STORE, requestToPromise, withStore } from './db.js'
+
+export const recordUpload = (path, { bucket, createdAt = Date.now() } = {}) =>
+  withStore(UPLOADS_STORE, 'readwrite', (store) => requestToPromise(store.put({ path, bucket, createdAt })))
+
+export const listUploads = () =>
+  withStore(UPLOADS_STORE, 'readonly', (store) => requestToPromise(store.index('createdAt').getAll()))
+
+export const removeUploadRecords = (paths) =>
+  withStore(UPLOADS_STORE, 'readwrite', (store) => Promise.all(paths.map((path) => requestToPromise(store.delete(path)))))
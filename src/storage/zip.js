@@ -0,0 +1,73 @@
+const encoder = new TextEncoder()
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1
+  }
+  return value >>> 0
+})
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+const createHeader = (size, fields) => {
+  const header = new DataView(new ArrayBuffer(size))
+  fields.forEach(([offset, value, bytes]) => {
+    if (bytes === 2) {
+      header.setUint16(offset, value, true)
+    } else {
+      header.setUint32(offset, value, true)
+    }
+  })
+  return new Uint8Array(header.buffer)
+}
+
+export const createZip = (files, { modifiedAt = new Date() } = {}) => {
+  const { time, date } = toDosDateTime(modifiedAt)
+  const chunks = []
+  const centralDirectory = []
+  let offset = 0
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+    const crc = crc32(data)
+    const shared = [
+      [6, 0x0800, 2],
+      [8, 0, 2],
+      [10, time, 2],
+      [12, date, 2],
+      [14, crc, 4],
+      [18, data.length, 4],
+      [22, data.length, 4],
+      [26, name.length, 2],
+    ]
+    const localHeader = createHeader(30, [[0, 0x04034b50, 4], [4, 20, 2], ...shared])
+    chunks.push(localHeader, name, data)
+    const centralShared = shared.map(([position, value, bytes]) => [position + 2, value, bytes])
+    centralDirectory.push(
+      createHeader(46, [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], ...centralShared, [42, offset, 4]]),
+      name
+    )
+    offset += localHeader.length + name.length + data.length
+  }
+  const directorySize = centralDirectory.reduce((sum, chunk) => sum + chunk.length, 0)
+  const end = createHeader(22, [
+    [0, 0x06054b50, 4],
+    [8, files.length, 2],
+    [10, files.length, 2],
+    [12, directorySize, 4],
+    [16, offset, 4],
+  ])
+  return new Blob([...chunks, ...centralDirectory, end], { type: 'application/zip' })
+}
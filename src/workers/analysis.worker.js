@@ -0,0 +1,49 @@
+import { analyzeFaces, encodeAnalysisImages, ensureBackendReady, getBackendInfo, loadFaceDetector } from '../analysis/index.js'
+import { WASM_PATHS } from './wasmPaths.js'
+
+const postProgress = (id, stage) => {
+  self.postMessage({ id, type: 'progress', stage })
+}
+
+const collectTransferables = (result) =>
+  (result?.faces ?? []).flatMap((face) => [face.crop?.data.buffer, face.skinMask?.data.buffer]).filter(Boolean)
+
+const handlers = {
+  init: async (id, { backend, detectorModelUrl } = {}) => {
+    const backendOk = await ensureBackendReady(backend, { wasmPaths: WASM_PATHS })
+    loadFaceDetector(detectorModelUrl)
+    return { backendOk, backend: getBackendInfo() }
+  },
+  analyze: async (id, { bitmap, options }) => {
+    try {
+      const analysis = await analyzeFaces(bitmap, {
+        ...options,
+        wasmPaths: WASM_PATHS,
+        onProgress: (stage) => postProgress(id, stage),
+      })
+      return encodeAnalysisImages(analysis)
+    } finally {
+      bitmap.close()
+    }
+  },
+}
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data
+  const handler = handlers[type]
+  if (!handler) {
+    self.postMessage({ id, type: 'error', message: `Unknown request type: ${type}` })
+    return
+  }
+  try {
+    const result = await handler(id, payload)
+    self.postMessage({ id, type: 'result', result }, collectTransferables(result))
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: 'error',
+      message: error instanceof Error ? error.message : String(error),
+      quality: error?.quality ?? null,
+    })
+  }
+}
@@ -0,0 +1,95 @@
+import { QualityGateError, analyzeFaces, encodeAnalysisImages, ensureBackendReady, fuseResults } from '../analysis/index.js'
+import { WASM_PATHS } from './wasmPaths.js'
+
+let worker = null
+let nextRequestId = 0
+const pendingRequests = new Map()
+
+export const supportsWorkerAnalysis = () =>
+  typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined'
+
+const rejectPending = (error) => {
+  pendingRequests.forEach(({ reject }) => reject(error))
+  pendingRequests.clear()
+}
+
+const handleMessage = ({ data }) => {
+  const request = pendingRequests.get(data.id)
+  if (!request) {
+    return
+  }
+  if (data.type === 'progress') {
+    request.onProgress?.(data.stage)
+    return
+  }
+  pendingRequests.delete(data.id)
+  if (data.type === 'error') {
+    request.reject(data.quality ? new QualityGateError(data.quality) : new Error(data.message))
+    return
+  }
+  request.resolve(data.result)
+}
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = handleMessage
+    worker.onerror = (event) => {
+      event.preventDefault()
+      rejectPending(new Error(event.message || 'Analysis worker crashed.'))
+      worker.terminate()
+      worker = null
+    }
+  }
+  return worker
+}
+
+const postRequest = (type, payload, transfer = [], onProgress) =>
+  new Promise((resolve, reject) => {
+    nextRequestId += 1
+    const id = nextRequestId
+    pendingRequests.set(id, { resolve, reject, onProgress })
+    getWorker().postMessage({ id, type, payload }, transfer)
+  })
+
+const toAbsoluteUrl = (url) => (typeof url === 'string' ? new URL(url, window.location.href).href : url)
+
+export const warmUpAnalysis = ({ backend, detectorModelUrl } = {}) => {
+  if (!supportsWorkerAnalysis()) {
+    return ensureBackendReady(backend, { wasmPaths: WASM_PATHS })
+  }
+  return postRequest('init', { backend, detectorModelUrl: toAbsoluteUrl(detectorModelUrl) }).catch(() => null)
+}
+
+export const analyzeInBackground = async (file, options = {}, onProgress) => {
+  if (!supportsWorkerAnalysis()) {
+    const analysis = await analyzeFaces(file, { ...options, wasmPaths: WASM_PATHS, onProgress })
+    return encodeAnalysisImages(analysis)
+  }
+  const bitmap = await createImageBitmap(file)
+  const workerOptions = {
+    ...options,
+    modelUrl: toAbsoluteUrl(options.modelUrl),
+    detectorModelUrl: toAbsoluteUrl(options.detectorModelUrl),
+    ensemble: options.ensemble?.map((member) => ({ ...member, modelUrl: toAbsoluteUrl(member.modelUrl) })),
+  }
+  return postRequest('analyze', { bitmap, options: workerOptions }, [bitmap], onProgress)
+}
+
+export const analyzeManyInBackground = async (files, options = {}, onProgress) => {
+  const analyses = []
+  for (const [index, file] of files.entries()) {
+    analyses.push(
+      await analyzeInBackground(file, { ...options, maxFaces: 1 }, (stage) => onProgress?.(stage, { index, count: files.length }))
+    )
+  }
+  const results = analyses.map((analysis) => analysis.faces[analysis.primaryIndex])
+  return {
+    analyses,
+    results,
+    consensus: fuseResults(results, {
+      undertoneHints: options.undertoneHints,
+      recommendationCount: options.recommendationCount,
+    }),
+  }
+}
@@ -0,0 +1,11 @@
+import wasmUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url'
+import wasmSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url'
+import wasmThreadedSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url'
+
+const toAbsolute = (url) => new URL(url, self.location.href).href
+
+export const WASM_PATHS = {
+  'tfjs-backend-wasm.wasm': toAbsolute(wasmUrl),
+  'tfjs-backend-wasm-simd.wasm': toAbsolute(wasmSimdUrl),
+  'tfjs-backend-wasm-threaded-simd.wasm': toAbsolute(wasmThreadedSimdUrl),
+}
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import * as tf from '@tensorflow/tfjs'
+import { CLASS_LABELS, analyzeImage, parseMstNumber } from '../src/analysis/index.js'
+import { createStubDetector, fixtureModel, readFixtureImage } from './helpers.js'
+
+const ANALYSIS_OPTIONS = { modelUrl: fixtureModel, detector: null, backend: 'cpu' }
+
+const lightFace = readFixtureImage('light-face.png')
+const deepFace = readFixtureImage('deep-face.png')
+
+const toRgba = ({ data, width, height }) => {
+  const rgba = new Uint8ClampedArray(width * height * 4)
+  for (let pixel = 0; pixel < width * height; pixel += 1) {
+    rgba.set(data.subarray(pixel * 3, pixel * 3 + 3), pixel * 4)
+    rgba[pixel * 4 + 3] = 255
+  }
+  return { data: rgba, width, height }
+}
+
+test('analyzeImage returns a structured result for a light fixture', async () => {
+  const result = await analyzeImage(lightFace, ANALYSIS_OPTIONS)
+  assert.ok(CLASS_LABELS.includes(result.label))
+  assert.ok(parseMstNumber(result.label) <= 4, `expected a light MST label, got ${result.label}`)
+  assert.equal(result.probabilities.length, CLASS_LABELS.length)
+  assert.ok(Math.abs(result.probabilities.reduce((sum, value) => sum + value, 0) - 1) < 1e-6)
+  assert.ok(Math.abs(result.confidence - Math.max(...result.probabilities)) < 1e-6)
+  assert.deepEqual(result.cropBox, { x: 0, y: 0, width: lightFace.width, height: lightFace.height })
+  assert.equal(result.faceDetected, false)
+  assert.equal(result.faceBox, null)
+  assert.equal(typeof result.luminance, 'number')
+  assert.deepEqual(result.sourceSize, { width: lightFace.width, height: lightFace.height })
+})
+
+test('analyzeImage ranks a deep fixture darker than a light one', async () => {
+  const light = await analyzeImage(lightFace, ANALYSIS_OPTIONS)
+  const deep = await analyzeImage(deepFace, ANALYSIS_OPTIONS)
+  assert.ok(parseMstNumber(deep.label) >= 8, `expected a deep MST label, got ${deep.label}`)
+  assert.ok(deep.expectedMst > light.expectedMst)
+  assert.ok(deep.luminance < light.luminance)
+})
+
+test('analyzeImage accepts RGBA pixel data and tensors', async () => {
+  const fromRgb = await analyzeImage(lightFace, ANALYSIS_OPTIONS)
+  const fromRgba = await analyzeImage(toRgba(lightFace), ANALYSIS_OPTIONS)
+  const tensor = tf.tensor3d(Int32Array.from(lightFace.data), [lightFace.height, lightFace.width, 3], 'int32')
+  try {
+    const fromTensor = await analyzeImage(tensor, ANALYSIS_OPTIONS)
+    assert.equal(fromRgba.label, fromRgb.label)
+    assert.equal(fromTensor.label, fromRgb.label)
+    assert.deepEqual(fromTensor.cropBox, fromRgb.cropBox)
+  } finally {
+    tensor.dispose()
+  }
+})
+
+test('analyzeImage rejects tensors without three dimensions', async () => {
+  const tensor = tf.zeros([1, 8, 8, 3], 'int32')
+  try {
+    await assert.rejects(analyzeImage(tensor, ANALYSIS_OPTIONS), /shape \[height, width, 3\]/)
+  } finally {
+    tensor.dispose()
+  }
+})
+
+test('analyzeImage crops around the face returned by the detector', async () => {
+  const faceBox = { x: 24, y: 34, width: 48, height: 64 }
+  const result = await analyzeImage(lightFace, { ...ANALYSIS_OPTIONS, detector: createStubDetector([faceBox]) })
+  assert.equal(result.faceDetected, true)
+  assert.deepEqual(result.faceBox, faceBox)
+  assert.ok(result.cropBox.x < faceBox.x && result.cropBox.y < faceBox.y)
+  assert.ok(result.cropBox.x + result.cropBox.width <= lightFace.width)
+  assert.ok(result.cropBox.y + result.cropBox.height <= lightFace.height)
+  assert.ok(parseMstNumber(result.label) <= 4)
+})
+
+test('analyzeImage does not leak tensors', async () => {
+  await analyzeImage(lightFace, ANALYSIS_OPTIONS)
+  const before = tf.memory().numTensors
+  await analyzeImage(deepFace, { ...ANALYSIS_OPTIONS, detector: createStubDetector([{ x: 20, y: 30, width: 56, height: 76 }]) })
+  assert.equal(tf.memory().numTensors, before)
+})
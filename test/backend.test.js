@@ -0,0 +1,18 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { ensureBackendReady, getBackendInfo } from '../src/analysis/backend.js'
+
+test('ensureBackendReady retries after a failed initialization', async () => {
+  assert.equal(await ensureBackendReady('auto', { candidates: ['webgpu'] }), false)
+  assert.equal(getBackendInfo(), null)
+  assert.equal(await ensureBackendReady('cpu'), true)
+  const info = getBackendInfo()
+  assert.equal(info.name, 'cpu')
+  assert.equal(info.requested, 'cpu')
+  assert.deepEqual(info.benchmarks, [])
+})
+
+test('ensureBackendReady keeps the first successful choice', async () => {
+  assert.equal(await ensureBackendReady('wasm'), true)
+  assert.equal(getBackendInfo().name, 'cpu')
+})
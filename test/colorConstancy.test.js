@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import * as tf from '@tensorflow/tfjs'
+import { estimateColorCorrection, estimateIlluminant, getCorrectionGains } from '../src/analysis/colorConstancy.js'
+import { prepareSource } from '../src/analysis/image.js'
+
+const luminance = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b
+
+const uniformPixels = (rgb, width = 16, height = 16) => ({
+  data: Uint8ClampedArray.from({ length: width * height * 3 }, (_, index) => rgb[index % 3]),
+  width,
+  height,
+})
+
+test('estimateIlluminant reads the percentile or the mean of each channel', () => {
+  const data = [10, 20, 30, 50, 60, 70]
+  assert.deepEqual(estimateIlluminant(data, 'white-patch', 1), [50, 60, 70])
+  assert.deepEqual(estimateIlluminant(data, 'gray-world'), [30, 40, 50])
+})
+
+test('getCorrectionGains leaves a neutral illuminant untouched at any exposure', () => {
+  assert.deepEqual(getCorrectionGains([120, 120, 120]), [1, 1, 1])
+  assert.deepEqual(getCorrectionGains([40, 40, 40]), [1, 1, 1])
+})
+
+test('getCorrectionGains removes a color cast without changing luminance', () => {
+  const illuminant = [200, 150, 100]
+  const gains = getCorrectionGains(illuminant)
+  const corrected = illuminant.map((value, channel) => value * gains[channel])
+  assert.ok(Math.abs(corrected[0] - corrected[1]) < 1e-9 && Math.abs(corrected[1] - corrected[2]) < 1e-9)
+  assert.ok(Math.abs(luminance(corrected) - luminance(illuminant)) < 1e-9)
+})
+
+test('white-patch correction does not brighten a dark gray photo', async () => {
+  const { pixels, colorCorrection } = await prepareSource(uniformPixels([120, 120, 120]), { qualityCheck: false })
+  try {
+    assert.equal(colorCorrection.method, 'white-patch')
+    assert.deepEqual(colorCorrection.gains, [1, 1, 1])
+    assert.deepEqual(Array.from(await pixels.slice([0, 0, 0], [1, 1, 3]).data()), [120, 120, 120])
+  } finally {
+    pixels.dispose()
+  }
+})
+
+test('estimateColorCorrection reports no gains when disabled and rejects unknown methods', async () => {
+  const pixels = tf.fill([4, 4, 3], 90, 'int32')
+  try {
+    assert.deepEqual(await estimateColorCorrection(pixels, { method: 'none' }), { method: 'none', illuminant: null, gains: [1, 1, 1] })
+    await assert.rejects(estimateColorCorrection(pixels, { method: 'retinex' }), /Unknown color correction method/)
+  } finally {
+    pixels.dispose()
+  }
+})
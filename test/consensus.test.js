@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { CLASS_LABELS, analyzeImages, fuseResults } from '../src/analysis/index.js'
+import { fixtureModel, readFixtureImage } from './helpers.js'
+
+const peakedAt = (mst) => CLASS_LABELS.map((_, index) => (index === mst - 1 ? 0.8 : 0.2 / (CLASS_LABELS.length - 1)))
+
+const createResult = (mst, qualityScore = 1) => {
+  const probabilities = peakedAt(mst)
+  return {
+    label: `MST${mst}`,
+    confidence: 0.8,
+    probabilities,
+    expectedMst: probabilities.reduce((sum, value, index) => sum + value * (index + 1), 0),
+    quality: { score: qualityScore },
+    skin: null,
+    features: null,
+  }
+}
+
+test('fuseResults averages the probabilities of agreeing photos', () => {
+  const consensus = fuseResults([createResult(5), createResult(5), createResult(6)])
+  assert.equal(consensus.label, 'MST5')
+  assert.equal(consensus.imageCount, 3)
+  assert.equal(consensus.usedCount, 3)
+  assert.ok(Math.abs(consensus.probabilities.reduce((sum, value) => sum + value, 0) - 1) < 1e-6)
+  assert.ok(consensus.breakdown.every((entry) => entry.included && entry.rejectedReason === null))
+})
+
+test('fuseResults drops low quality photos and outliers', () => {
+  const consensus = fuseResults([createResult(4), createResult(4), createResult(5), createResult(10), createResult(9, 0.2)])
+  assert.equal(consensus.label, 'MST4')
+  assert.equal(consensus.usedCount, 3)
+  assert.equal(consensus.breakdown[3].rejectedReason, 'outlier')
+  assert.equal(consensus.breakdown[4].rejectedReason, 'low-quality')
+  assert.equal(consensus.breakdown[4].weight, 0)
+})
+
+test('fuseResults keeps the best photo when every photo is below the quality threshold', () => {
+  const consensus = fuseResults([createResult(3, 0.1), createResult(7, 0.3)])
+  assert.equal(consensus.label, 'MST7')
+  assert.equal(consensus.usedCount, 1)
+  assert.equal(consensus.breakdown[0].rejectedReason, 'low-quality')
+})
+
+test('fuseResults requires at least one result', () => {
+  assert.throws(() => fuseResults([]), /At least one result/)
+})
+
+test('analyzeImages fuses the fixture photos into one result', async () => {
+  const lightFace = readFixtureImage('light-face.png')
+  const { results, consensus } = await analyzeImages([lightFace, lightFace], {
+    modelUrl: fixtureModel,
+    detector: null,
+    backend: 'cpu',
+  })
+  assert.equal(results.length, 2)
+  assert.equal(consensus.label, results[0].label)
+  assert.equal(consensus.imageCount, 2)
+  assert.ok(consensus.skin.color.hex.startsWith('#'))
+})
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import * as tf from '@tensorflow/tfjs'
+import { CLASS_LABELS, TTA_VARIANTS, analyzeImage, averageProbabilities, summarizeStability } from '../src/analysis/index.js'
+import { fixtureModel, readFixtureImage } from './helpers.js'
+
+const oneHot = (mst) => CLASS_LABELS.map((_, index) => (index === mst - 1 ? 1 : 0))
+
+test('averageProbabilities takes the mean of every class', () => {
+  const average = averageProbabilities([oneHot(3), oneHot(5)])
+  assert.equal(average[2], 0.5)
+  assert.equal(average[4], 0.5)
+  assert.equal(average.reduce((sum, value) => sum + value, 0), 1)
+})
+
+test('summarizeStability marks agreeing samples as stable', () => {
+  const stability = summarizeStability([oneHot(4), oneHot(4), oneHot(4), oneHot(4)], 'MST4')
+  assert.equal(stability.samples, 4)
+  assert.deepEqual(stability.votes, { MST4: 4 })
+  assert.equal(stability.agreement, 1)
+  assert.equal(stability.spread, 0)
+  assert.deepEqual(stability.expectedRange, [4, 4])
+  assert.equal(stability.stable, true)
+})
+
+test('summarizeStability marks split votes as unstable', () => {
+  const stability = summarizeStability([oneHot(4), oneHot(6), oneHot(4), oneHot(6)], 'MST4')
+  assert.deepEqual(stability.votes, { MST4: 2, MST6: 2 })
+  assert.equal(stability.agreement, 0.5)
+  assert.equal(stability.spread, 1)
+  assert.deepEqual(stability.expectedRange, [4, 6])
+  assert.equal(stability.stable, false)
+})
+
+test('accuracy mode predicts every augmentation for every ensemble member', async () => {
+  const lightFace = readFixtureImage('light-face.png')
+  const modelInfo = { name: 'fixture', version: '1.0.0' }
+  const options = {
+    modelUrl: fixtureModel,
+    detector: null,
+    backend: 'cpu',
+    accuracyMode: true,
+    ensemble: [{ modelUrl: fixtureModel, modelInfo }],
+  }
+  await analyzeImage(lightFace, options)
+  const before = tf.memory().numTensors
+  const result = await analyzeImage(lightFace, options)
+  assert.equal(result.stability.samples, (TTA_VARIANTS.length + 1) * 2)
+  assert.deepEqual(result.stability.models, [modelInfo])
+  assert.ok(result.stability.agreement > 0 && result.stability.agreement <= 1)
+  assert.ok(result.stability.expectedRange[0] <= result.expectedMst && result.expectedMst <= result.stability.expectedRange[1])
+  assert.equal(tf.memory().numTensors, before)
+})
+
+test('stability is only reported in accuracy mode', async () => {
+  const result = await analyzeImage(readFixtureImage('deep-face.png'), { modelUrl: fixtureModel, detector: null, backend: 'cpu' })
+  assert.equal(result.stability, null)
+})
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { before, test } from 'node:test'
+import * as tf from '@tensorflow/tfjs'
+import { ensureBackendReady } from '../src/analysis/backend.js'
+import { loadFaceDetector } from '../src/analysis/faceDetector.js'
+import { analyzeImage } from '../src/analysis/index.js'
+import { detectFaces } from '../src/analysis/image.js'
+import { fileModelHandler } from '../src/analysis/node.js'
+import { fixtureModel, readFixtureImage } from './helpers.js'
+
+const DETECTOR_PATH = fileURLToPath(new URL('../public/models/face_detection_short/model.json', import.meta.url))
+const PORTRAIT_FEATURES = {
+  rightEye: { x: 75, y: 102 },
+  leftEye: { x: 117, y: 102 },
+  noseTip: { x: 96, y: 124 },
+  mouthCenter: { x: 96, y: 150 },
+}
+
+const portrait = readFixtureImage('portrait.png')
+
+const assertNear = (point, expected, tolerance, name) =>
+  assert.ok(
+    Math.hypot(point.x - expected.x, point.y - expected.y) <= tolerance,
+    `${name} at (${point.x.toFixed(1)}, ${point.y.toFixed(1)}), expected near (${expected.x}, ${expected.y})`
+  )
+
+before(() => ensureBackendReady('cpu'))
+
+test('the bundled face detector loads from disk and runs', async () => {
+  const detector = await loadFaceDetector(fileModelHandler(DETECTOR_PATH))
+  assert.ok(detector, 'expected the bundled detector to load')
+  const pixels = tf.fill([160, 120, 3], 128, 'int32')
+  try {
+    assert.deepEqual(await detectFaces(detector, pixels), [])
+  } finally {
+    pixels.dispose()
+  }
+})
+
+test('the bundled face detector finds the face in the portrait fixture', async () => {
+  const detector = await loadFaceDetector(fileModelHandler(DETECTOR_PATH))
+  const pixels = tf.tensor3d(Int32Array.from(portrait.data), [portrait.height, portrait.width, 3], 'int32')
+  try {
+    const faces = await detectFaces(detector, pixels)
+    assert.equal(faces.length, 1)
+    const [{ box, keypoints }] = faces
+    assertNear({ x: box.x + box.width / 2, y: box.y + box.height / 2 }, { x: 96, y: 125 }, 12, 'box center')
+    assert.ok(box.width > 80 && box.width < 130, `box width ${box.width}`)
+    assert.ok(box.height > 80 && box.height < 130, `box height ${box.height}`)
+    assert.equal(keypoints.length, 6)
+    for (const [name, expected] of Object.entries(PORTRAIT_FEATURES)) {
+      assertNear(keypoints.find((point) => point.name === name), expected, 8, name)
+    }
+  } finally {
+    pixels.dispose()
+  }
+})
+
+test('analyzeImage crops the portrait fixture around the detected face', async () => {
+  const detector = await loadFaceDetector(fileModelHandler(DETECTOR_PATH))
+  const result = await analyzeImage(portrait, { modelUrl: fixtureModel, detector, backend: 'cpu' })
+  assert.equal(result.faceDetected, true)
+  assert.ok(result.cropBox.width < portrait.width)
+  assert.equal(result.skin.method, 'landmarks+color')
+})
+
+test('a detector that cannot be loaded resolves to null instead of another source', async () => {
+  const missing = {
+    load: async () => {
+      throw new Error('offline')
+    },
+  }
+  assert.equal(await loadFaceDetector(missing), null)
+})
+
+test('without a model URL no detector is loaded', async () => {
+  assert.equal(await loadFaceDetector(), null)
+  assert.equal(await loadFaceDetector(null, { backend: 'cpu' }), null)
+})
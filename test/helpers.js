@@ -0,0 +1,81 @@
+import { readFileSync } from 'node:fs'
+import { Buffer } from 'node:buffer'
+import { fileURLToPath } from 'node:url'
+import { inflateSync } from 'node:zlib'
+import { fileModelHandler } from '../src/analysis/node.js'
+
+const PNG_SIGNATURE = '89504e470d0a1a0a'
+const PNG_CHANNELS = { 2: 3, 6: 4 }
+
+export const fixturePath = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url))
+
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft
+  const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)]
+  if (distances[0] <= distances[1] && distances[0] <= distances[2]) {
+    return left
+  }
+  return distances[1] <= distances[2] ? up : upLeft
+}
+
+const unfilter = (filter, value, left, up, upLeft) => {
+  switch (filter) {
+    case 1:
+      return value + left
+    case 2:
+      return value + up
+    case 3:
+      return value + ((left + up) >> 1)
+    case 4:
+      return value + paeth(left, up, upLeft)
+    default:
+      return value
+  }
+}
+
+export const readPng = (file) => {
+  const buffer = readFileSync(file)
+  if (buffer.subarray(0, 8).toString('hex') !== PNG_SIGNATURE) {
+    throw new Error(`${file} is not a PNG file.`)
+  }
+  let header = null
+  const chunks = []
+  for (let offset = 8; offset < buffer.length; ) {
+    const length = buffer.readUInt32BE(offset)
+    const type = buffer.toString('ascii', offset + 4, offset + 8)
+    const data = buffer.subarray(offset + 8, offset + 8 + length)
+    if (type === 'IHDR') {
+      header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), bitDepth: data[8], colorType: data[9], interlace: data[12] }
+    } else if (type === 'IDAT') {
+      chunks.push(data)
+    }
+    offset += length + 12
+  }
+  const channels = PNG_CHANNELS[header?.colorType]
+  if (!channels || header.bitDepth !== 8 || header.interlace !== 0) {
+    throw new Error(`${file} must be an 8-bit, non-interlaced RGB or RGBA PNG.`)
+  }
+  const { width, height } = header
+  const raw = inflateSync(Buffer.concat(chunks))
+  const stride = width * channels
+  const data = new Uint8ClampedArray(stride * height)
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)]
+    for (let x = 0; x < stride; x += 1) {
+      const index = y * stride + x
+      const left = x >= channels ? data[index - channels] : 0
+      const up = y > 0 ? data[index - stride] : 0
+      const upLeft = x >= channels && y > 0 ? data[index - stride - channels] : 0
+      data[index] = unfilter(filter, raw[y * (stride + 1) + 1 + x], left, up, upLeft) & 0xff
+    }
+  }
+  return { data, width, height }
+}
+
+export const readFixtureImage = (name) => readPng(fixturePath(name))
+
+export const fixtureModel = fileModelHandler(fixturePath('model/model.json'))
+
+export const createStubDetector = (boxes) => ({
+  estimateFaces: async () => boxes.map((box) => ({ box: { xMin: box.x, yMin: box.y, width: box.width, height: box.height }, keypoints: [] })),
+})
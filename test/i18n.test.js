@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { LOCALES, createI18n } from '../src/i18n/index.js'
+import { formatUndertoneSeason } from '../src/report/canvas.js'
+
+const collectKeys = (catalog, prefix = '') =>
+  Object.entries(catalog)
+    .filter(([key]) => prefix || key !== 'colors')
+    .flatMap(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return 'other' in value ? [`${prefix}${key}`] : collectKeys(value, `${prefix}${key}.`)
+      }
+      return [`${prefix}${key}`]
+    })
+
+test('every locale has the same message keys as English', () => {
+  const expected = collectKeys(LOCALES.en).sort()
+  for (const [locale, catalog] of Object.entries(LOCALES)) {
+    assert.deepEqual(collectKeys(catalog).sort(), expected, `${locale} catalog is out of sync`)
+  }
+})
+
+test('createI18n translates plurals, color names and reasons', () => {
+  const en = createI18n('en')
+  assert.equal(en.t('report.consensus', { count: 1 }), 'Consensus of 1 photo')
+  assert.equal(en.t('report.consensus', { count: 3 }), 'Consensus of 3 photos')
+  const id = createI18n('id')
+  assert.equal(id.t('report.page', { page: 2, count: 3 }), 'Halaman 2 dari 3')
+  assert.notEqual(id.colorName('Navy Blue'), 'Navy Blue')
+  assert.equal(id.t('missing.key', { defaultValue: 'fallback' }), 'fallback')
+})
+
+test('report text uses the translated undertone and season names', () => {
+  const report = { undertone: 'warm', seasonId: 'deep-autumn', season: 'Deep Autumn' }
+  assert.equal(formatUndertoneSeason(report, createI18n('en').t), 'warm undertone · Deep Autumn')
+  assert.equal(formatUndertoneSeason(report, createI18n('id').t), 'undertone hangat · Deep Autumn')
+  assert.equal(formatUndertoneSeason({ undertone: 'cool', seasonId: null, season: '' }, createI18n('id').t), 'undertone sejuk')
+})
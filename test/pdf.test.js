@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { A4_POINTS, createPdf } from '../src/report/pdf.js'
+
+const JPEG = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 0xff, 0xd9])
+
+const readPdf = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  return { bytes, text: new TextDecoder('latin1').decode(bytes) }
+}
+
+test('createPdf writes one A4 page per image', async () => {
+  const blob = createPdf([
+    { data: JPEG, width: 1240, height: 1754 },
+    { data: JPEG, width: 1240, height: 1754 },
+  ])
+  assert.equal(blob.type, 'application/pdf')
+  const { text } = await readPdf(blob)
+  assert.ok(text.startsWith('%PDF-1.4\n'))
+  assert.ok(text.trimEnd().endsWith('%%EOF'))
+  assert.match(text, /\/Kids \[3 0 R 6 0 R\] \/Count 2/)
+  assert.equal(text.match(/\/Type \/Page /g).length, 2)
+  assert.ok(text.includes(`/MediaBox [0 0 ${A4_POINTS.width} ${A4_POINTS.height}]`))
+  assert.ok(text.includes('/Width 1240 /Height 1754'))
+  assert.ok(text.includes(`/Filter /DCTDecode /Length ${JPEG.length}`))
+})
+
+test('createPdf points the cross-reference table at every object', async () => {
+  const { bytes, text } = await readPdf(createPdf([{ data: JPEG, width: 10, height: 10 }], { width: 200, height: 100 }))
+  assert.ok(text.includes('/MediaBox [0 0 200 100]'))
+  const xrefOffset = Number(text.match(/startxref\n(\d+)\n/)[1])
+  assert.ok(text.slice(xrefOffset).startsWith('xref\n0 6\n'))
+  const offsets = [...text.slice(xrefOffset).matchAll(/^(\d{10}) 00000 n $/gm)].map((match) => Number(match[1]))
+  assert.equal(offsets.length, 5)
+  offsets.forEach((offset, index) => assert.ok(text.slice(offset).startsWith(`${index + 1} 0 obj\n`)))
+  const imageStart = text.indexOf('stream\n', offsets[4]) + 'stream\n'.length
+  assert.deepEqual(Array.from(bytes.subarray(imageStart, imageStart + JPEG.length)), Array.from(JPEG))
+  assert.match(text, /trailer\n<< \/Size 6 \/Root 1 0 R >>/)
+})
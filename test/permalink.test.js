@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { Buffer } from 'node:buffer'
+import { createShareUrl, decodeSharedResult, encodeSharedResult, readSharedResultFromHash } from '../src/report/permalink.js'
+
+const REPORT = {
+  label: 'MST6',
+  confidence: 72.46,
+  expectedMst: 5.834,
+  probabilities: [0, 0, 0.01, 0.04, 0.18, 0.6246, 0.12, 0.0254, 0, 0],
+  undertone: 'warm',
+  seasonId: 'deep-autumn',
+  recommended: [{ name: 'Olive Green', hex: '#708238' }],
+  avoid: [{ name: 'Icy Pink', hex: '#f8d8e0' }],
+}
+
+const encodePayload = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url')
+
+test('shared results survive a round trip through the URL hash', () => {
+  const url = createShareUrl(REPORT, 'https://example.com/app/#about')
+  const shared = readSharedResultFromHash(new URL(url).hash)
+  assert.equal(shared.label, 'MST6')
+  assert.equal(shared.confidence, 72.5)
+  assert.equal(shared.expectedMst, 5.83)
+  assert.equal(shared.probabilities.length, 10)
+  assert.equal(shared.undertone, 'warm')
+  assert.equal(shared.season.id, 'deep-autumn')
+  assert.equal(shared.skinToneGroup, 'medium')
+  assert.deepEqual(shared.recommended, REPORT.recommended)
+  assert.deepEqual(shared.avoid, REPORT.avoid)
+})
+
+test('decodeSharedResult rejects malformed payloads', () => {
+  assert.equal(decodeSharedResult('not base64 json'), null)
+  assert.equal(decodeSharedResult(encodePayload({ v: 1, l: 'MST11' })), null)
+  assert.equal(decodeSharedResult(encodePayload({ v: 2, l: 'MST3' })), null)
+  assert.equal(readSharedResultFromHash('#other=1'), null)
+})
+
+test('decodeSharedResult ignores season ids that are not own keys', () => {
+  const payload = JSON.parse(Buffer.from(encodeSharedResult(REPORT), 'base64url').toString('utf8'))
+  for (const seasonId of ['constructor', '__proto__', 'toString', 42]) {
+    assert.equal(decodeSharedResult(encodePayload({ ...payload, s: seasonId })).season, null)
+  }
+})
+
+test('decodeSharedResult drops invalid swatches and undertones', () => {
+  const shared = decodeSharedResult(
+    encodePayload({ v: 1, l: 'MST2', u: 'purple', r: [['Red', 'red'], ['Navy', '#000080'], 'oops'], a: 'none' })
+  )
+  assert.equal(shared.undertone, null)
+  assert.deepEqual(shared.recommended, [{ name: 'Navy', hex: '#000080' }])
+  assert.deepEqual(shared.avoid, [])
+})
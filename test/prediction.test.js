@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { CLASS_LABELS } from '../src/analysis/constants.js'
+import {
+  adjustPredictionWithLuminance,
+  alignProbabilities,
+  calculateLuminance,
+  getPrediction,
+  getSkinToneGroup,
+  parseMstNumber,
+  summarizeDistribution,
+} from '../src/analysis/prediction.js'
+
+test('getPrediction picks the most likely label', () => {
+  assert.deepEqual(getPrediction([0.1, 0.7, 0.2], ['MST1', 'MST2', 'MST3']), { predictedLabel: 'MST2', confidence: 0.7 })
+})
+
+test('parseMstNumber and getSkinToneGroup map labels to groups', () => {
+  assert.equal(parseMstNumber('MST10'), 10)
+  assert.deepEqual(
+    CLASS_LABELS.map(getSkinToneGroup),
+    ['light', 'light', 'light medium', 'light medium', 'medium', 'medium', 'medium deep', 'medium deep', 'deep', 'deep']
+  )
+})
+
+test('calculateLuminance averages RGBA pixels', () => {
+  assert.equal(calculateLuminance([255, 255, 255, 255, 0, 0, 0, 255]), 127.5)
+})
+
+test('alignProbabilities reorders model labels to the MST scale', () => {
+  assert.deepEqual(alignProbabilities([0.2, 0.8], ['MST3', 'MST1'], ['MST1', 'MST2', 'MST3']), [0.8, 0, 0.2])
+})
+
+test('summarizeDistribution normalizes and flags close calls', () => {
+  const summary = summarizeDistribution([2, 1.8, 0.2], ['MST4', 'MST5', 'MST6'])
+  assert.deepEqual(summary.topLabels, ['MST4', 'MST5'])
+  assert.ok(Math.abs(summary.probabilities.reduce((sum, value) => sum + value, 0) - 1) < 1e-9)
+  assert.ok(Math.abs(summary.expectedMst - 4.55) < 1e-9)
+  assert.equal(summary.uncertain, true)
+  assert.equal(summarizeDistribution([0.9, 0.1], ['MST1', 'MST2']).uncertain, false)
+})
+
+test('adjustPredictionWithLuminance only shifts dim mid-tone predictions', () => {
+  assert.equal(adjustPredictionWithLuminance('MST5', 120), 'MST5')
+  assert.equal(adjustPredictionWithLuminance('MST5', 70), 'MST7')
+  assert.equal(adjustPredictionWithLuminance('MST2', 40), 'MST5')
+  assert.equal(adjustPredictionWithLuminance('MST9', 40), 'MST9')
+})
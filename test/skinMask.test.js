@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { createMaskOverlay, fillOutsideMask, isSkinColor, segmentSkin, toCropSpace } from '../src/analysis/skinMask.js'
+
+const SKIN = [224, 172, 140]
+const BACKGROUND = [70, 90, 130]
+
+const createImage = (width, height, pick) => {
+  const data = new Uint8ClampedArray(width * height * 4)
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const offset = (y * width + x) * 4
+      data.set([...pick(x, y), 255], offset)
+    }
+  }
+  return { data, width, height }
+}
+
+test('isSkinColor accepts skin tones and rejects blown highlights and blue backgrounds', () => {
+  assert.equal(isSkinColor(SKIN), true)
+  assert.equal(isSkinColor([120, 80, 60]), true)
+  assert.equal(isSkinColor(BACKGROUND), false)
+  assert.equal(isSkinColor([255, 220, 200]), false)
+  assert.equal(isSkinColor([10, 8, 6]), false)
+})
+
+test('toCropSpace maps source coordinates into the crop', () => {
+  const cropBox = { x: 100, y: 50, width: 200, height: 100 }
+  assert.deepEqual(toCropSpace({ x: 200, y: 100 }, cropBox, 50, 50), { x: 25, y: 25 })
+})
+
+test('segmentSkin keeps skin pixels and summarizes their color', () => {
+  const image = createImage(20, 20, (x) => (x < 10 ? SKIN : BACKGROUND))
+  const skin = segmentSkin(image)
+  assert.equal(skin.method, 'color')
+  assert.equal(skin.coverage, 0.5)
+  assert.equal(skin.mask.data[0], 1)
+  assert.equal(skin.mask.data[19], 0)
+  assert.deepEqual(skin.color.rgb, SKIN)
+  assert.equal(skin.color.hex, '#e0ac8c')
+})
+
+test('segmentSkin limits the mask to the face and skips the eyes', () => {
+  const image = createImage(40, 40, () => SKIN)
+  const face = {
+    box: { x: 10, y: 10, width: 20, height: 20 },
+    keypoints: [
+      { name: 'rightEye', x: 15, y: 16 },
+      { name: 'leftEye', x: 25, y: 16 },
+    ],
+  }
+  const skin = segmentSkin(image, { cropBox: { x: 0, y: 0, width: 40, height: 40 }, face })
+  assert.equal(skin.method, 'landmarks+color')
+  assert.equal(skin.mask.data[20 * 40 + 20], 1)
+  assert.equal(skin.mask.data[0], 0)
+  assert.equal(skin.mask.data[16 * 40 + 15], 0)
+})
+
+test('segmentSkin falls back to the whole region when no skin is found', () => {
+  const skin = segmentSkin(createImage(10, 10, () => BACKGROUND))
+  assert.equal(skin.method, 'none')
+  assert.equal(skin.coverage, 1)
+  assert.deepEqual(skin.color.rgb, BACKGROUND)
+})
+
+test('fillOutsideMask and createMaskOverlay only change pixels outside the mask', () => {
+  const image = createImage(4, 1, () => SKIN)
+  const mask = { data: Uint8Array.from([1, 0, 1, 0]), width: 4, height: 1 }
+  const filled = fillOutsideMask(image, mask, [0, 0, 0])
+  assert.deepEqual(Array.from(filled.data.slice(0, 8)), [...SKIN, 255, 0, 0, 0, 255])
+  const overlay = createMaskOverlay(image, mask)
+  assert.deepEqual(Array.from(overlay.data.slice(0, 4)), [...SKIN, 255])
+  assert.notDeepEqual(Array.from(overlay.data.slice(4, 7)), SKIN)
+  assert.deepEqual(Array.from(image.data.slice(4, 7)), SKIN)
+})
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { crc32, createZip } from '../src/storage/zip.js'
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+const readEntries = (bytes) => {
+  const view = new DataView(bytes.buffer)
+  const end = bytes.length - 22
+  assert.equal(view.getUint32(end, true), 0x06054b50)
+  const count = view.getUint16(end + 10, true)
+  let position = view.getUint32(end + 16, true)
+  const entries = []
+  for (let index = 0; index < count; index += 1) {
+    assert.equal(view.getUint32(position, true), 0x02014b50)
+    const crc = view.getUint32(position + 16, true)
+    const size = view.getUint32(position + 24, true)
+    const nameLength = view.getUint16(position + 28, true)
+    const localOffset = view.getUint32(position + 42, true)
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength))
+    assert.equal(view.getUint32(localOffset, true), 0x04034b50)
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true)
+    entries.push({ name, crc, data: bytes.subarray(dataStart, dataStart + size) })
+    position += 46 + nameLength
+  }
+  return entries
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(encoder.encode('123456789')), 0xcbf43926)
+  assert.equal(crc32(new Uint8Array()), 0)
+})
+
+test('createZip stores every file so it can be read back', async () => {
+  const image = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0, 255])
+  const blob = createZip([
+    { name: 'labels.csv', data: 'file,label\nmst/0001.png,MST5\n' },
+    { name: 'mst/0001.png', data: image },
+  ])
+  assert.equal(blob.type, 'application/zip')
+  const entries = readEntries(new Uint8Array(await blob.arrayBuffer()))
+  assert.deepEqual(
+    entries.map((entry) => entry.name),
+    ['labels.csv', 'mst/0001.png']
+  )
+  assert.equal(decoder.decode(entries[0].data), 'file,label\nmst/0001.png,MST5\n')
+  assert.deepEqual(Array.from(entries[1].data), Array.from(image))
+  entries.forEach((entry) => assert.equal(entry.crc, crc32(entry.data)))
+})
+
+test('createZip writes the modification time in DOS format', async () => {
+  const blob = createZip([{ name: 'a.txt', data: 'a' }], { modifiedAt: new Date(2024, 4, 17, 13, 45, 30) })
+  const view = new DataView(await blob.arrayBuffer())
+  assert.equal(view.getUint16(10, true), (13 << 11) | (45 << 5) | 15)
+  assert.equal(view.getUint16(12, true), (44 << 9) | (5 << 5) | 17)
+})
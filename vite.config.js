@@ -1,12 +1,89 @@
 import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import fs from 'node:fs'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import react from '@vitejs/plugin-react'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
+const listFiles = (dir) =>
+  fs.existsSync(dir)
+    ? fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const fullPath = path.join(dir, entry.name)
+        return entry.isDirectory() ? listFiles(fullPath) : [fullPath]
+      })
+    : []
+
+const CROSS_ORIGIN_ISOLATION_HEADERS = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'credentialless',
+}
+
+const REQUIRED_MODELS = ['models/face_detection_short/model.json']
+
+const requiredModels = () => {
+  let publicDir = ''
+  return {
+    name: 'skintone-required-models',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    buildStart() {
+      for (const modelPath of REQUIRED_MODELS) {
+        const modelJsonPath = path.join(publicDir, modelPath)
+        if (!fs.existsSync(modelJsonPath)) {
+          this.error(`Missing public/${modelPath}; the app needs it to work offline.`)
+        }
+        const { weightsManifest } = JSON.parse(fs.readFileSync(modelJsonPath, 'utf8'))
+        const missing = weightsManifest
+          .flatMap((group) => group.paths)
+          .filter((file) => !fs.existsSync(path.join(path.dirname(modelJsonPath), file)))
+        if (missing.length > 0) {
+          this.error(`Missing weight files for public/${modelPath}: ${missing.join(', ')}`)
+        }
+      }
+    },
+  }
+}
+
+const serviceWorker = () => {
+  let publicDir = ''
+  return {
+    name: 'skintone-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const publicFiles = listFiles(publicDir).map((fullPath) => {
+        hash.update(fs.readFileSync(fullPath))
+        return path.relative(publicDir, fullPath).split(path.sep).join('/')
+      })
+      Object.values(bundle).forEach((output) => hash.update(output.type === 'chunk' ? output.code : output.source))
+      const files = [...new Set(['index.html', ...Object.keys(bundle), ...publicFiles])]
+      const manifest = { version: hash.update(files.join('\n')).digest('hex').slice(0, 12), files }
+      const source = fs
+        .readFileSync(path.resolve(__dirname, 'src/pwa/serviceWorker.js'), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), requiredModels(), serviceWorker()],
+  server: {
+    headers: CROSS_ORIGIN_ISOLATION_HEADERS,
+  },
+  preview: {
+    headers: CROSS_ORIGIN_ISOLATION_HEADERS,
+  },
+  worker: {
+    format: 'es',
+  },
   resolve: {
     alias: {
       '@mediapipe/face_detection': path.resolve(__dirname, 'src/mediapipe-face-detection.js'),